@@ -4,15 +4,20 @@ import os
 import uuid
 import requests
 import hashlib
+import re
+import sys
+import mimetypes
 from pathlib import Path
 
 app = Flask(__name__)
 app.config['UPLOAD_FOLDER'] = 'uploads'
 app.config['TILE_CACHE_FOLDER'] = 'tile_cache'
+app.config['VENDOR_FOLDER'] = 'vendor'
 app.config['MAX_CONTENT_LENGTH'] = 16 * 1024 * 1024  # 16MB max
 
 os.makedirs(app.config['UPLOAD_FOLDER'], exist_ok=True)
 os.makedirs(app.config['TILE_CACHE_FOLDER'], exist_ok=True)
+os.makedirs(app.config['VENDOR_FOLDER'], exist_ok=True)
 
 # Tile provider configurations
 TILE_PROVIDERS = {
@@ -34,12 +39,84 @@ TILE_PROVIDERS = {
     }
 }
 
+# Browser libraries served from /vendor (video encoding); fetched from the CDN once, then kept locally
+VENDOR_CDN = 'https://unpkg.com/'
+VENDOR_PACKAGES = [
+    '@ffmpeg/ffmpeg@0.12.7',
+    '@ffmpeg/util@0.12.1',
+    '@ffmpeg/core@0.12.4',
+    'mp4-muxer@5.1.3',
+    'webm-muxer@5.0.3'
+]
+
+# Entry points loaded by the app; their relative imports are followed when prefetching
+VENDOR_ENTRY_FILES = [
+    '@ffmpeg/ffmpeg@0.12.7/dist/esm/index.js',
+    '@ffmpeg/util@0.12.1/dist/esm/index.js',
+    '@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.js',
+    '@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.wasm',
+    'mp4-muxer@5.1.3/build/mp4-muxer.mjs',
+    'webm-muxer@5.0.3/build/webm-muxer.mjs'
+]
+
+# import ... from './x.js', import('./x.js') and new URL('./x.js', import.meta.url)
+RELATIVE_IMPORT_PATTERN = re.compile(r'''(?:\bfrom\s*|\bimport\s*\(?\s*|new URL\(\s*)['"](\.{1,2}/[^'"]+)['"]''')
+
+mimetypes.add_type('application/javascript', '.mjs')
+mimetypes.add_type('application/wasm', '.wasm')
+
+
+def is_vendor_path(filename):
+    """Only files inside the pinned packages may be fetched."""
+    if '..' in filename.split('/'):
+        return False
+    return any(filename.startswith(package + '/') for package in VENDOR_PACKAGES)
+
+
+def get_vendor_file(filename):
+    """Return a vendored file's bytes, downloading it on first use."""
+    cache_file = Path(app.config['VENDOR_FOLDER']) / filename
+    if cache_file.exists():
+        return cache_file.read_bytes()
+
+    resp = requests.get(VENDOR_CDN + filename, headers={'User-Agent': 'GPX-3D-Flyover/1.0'}, timeout=60)
+    resp.raise_for_status()
+    cache_file.parent.mkdir(parents=True, exist_ok=True)
+    cache_file.write_bytes(resp.content)
+    return resp.content
+
+
+def download_vendor_files():
+    """Fetch the vendored libraries and everything they import, for offline use."""
+    pending = list(VENDOR_ENTRY_FILES)
+    seen = set()
+    while pending:
+        filename = pending.pop()
+        if filename in seen:
+            continue
+        seen.add(filename)
+
+        data = get_vendor_file(filename)
+        print(f'  {filename}')
+        if filename.endswith(('.js', '.mjs')):
+            base = filename.rsplit('/', 1)[0]
+            for relative in RELATIVE_IMPORT_PATTERN.findall(data.decode('utf-8', errors='ignore')):
+                target = os.path.normpath(f'{base}/{relative}').replace(os.sep, '/')
+                if is_vendor_path(target):
+                    pending.append(target)
+
 
 @app.route('/')
 def index():
     return render_template('index.html')
 
 
+@app.route('/embed')
+def embed():
+    """Map-only flyover for iframes; the track and view come from the URL hash."""
+    return render_template('embed.html')
+
+
 @app.route('/tiles/<provider>/<int:z>/<int:x>/<int:y>.png')
 def get_tile(provider, z, x, y):
     """Proxy and cache map tiles locally."""
@@ -94,6 +171,50 @@ def get_tile(provider, z, x, y):
         return jsonify({'error': str(e)}), 500
 
 
+@app.route('/vendor/<path:filename>')
+def get_vendor(filename):
+    """Serve a vendored browser library, caching it locally on first request."""
+    if not is_vendor_path(filename):
+        return jsonify({'error': 'Unknown vendor file'}), 404
+
+    try:
+        data = get_vendor_file(filename)
+    except requests.RequestException as e:
+        return jsonify({'error': f'Vendor file unavailable: {e}'}), 502
+
+    mimetype = mimetypes.guess_type(filename)[0] or 'application/octet-stream'
+    response = Response(data, mimetype=mimetype)
+    response.headers['Content-Length'] = len(data)
+    response.headers['Cache-Control'] = 'public, max-age=31536000, immutable'  # Versions are pinned
+    return response
+
+
+# Sensor fields read from GPX extensions (Garmin TrackPointExtension and power)
+EXTENSION_FIELDS = {
+    'hr': 'hr',
+    'cad': 'cad',
+    'atemp': 'atemp',
+    'speed': 'speed',
+    'power': 'power',
+    'PowerInWatts': 'power'
+}
+
+
+def read_point_extensions(point):
+    """Collect sensor values from a GPX point's extension elements."""
+    values = {}
+    for extension in point.extensions:
+        for element in extension.iter():
+            tag = element.tag.split('}')[-1]  # Strip XML namespace
+            key = EXTENSION_FIELDS.get(tag)
+            if key and element.text:
+                try:
+                    values[key] = float(element.text)
+                except ValueError:
+                    pass
+    return values
+
+
 @app.route('/upload', methods=['POST'])
 def upload_gpx():
     if 'file' not in request.files:
@@ -113,6 +234,7 @@ def upload_gpx():
         track_data = {
             'name': gpx.tracks[0].name if gpx.tracks and gpx.tracks[0].name else 'Unnamed Track',
             'points': [],
+            'tracks': [],
             'bounds': {
                 'minLat': float('inf'),
                 'maxLat': float('-inf'),
@@ -123,15 +245,23 @@ def upload_gpx():
             }
         }
 
-        for track in gpx.tracks:
+        # Points are flattened; each track lists its segments as [start, end) index ranges
+        for track_index, track in enumerate(gpx.tracks):
+            segments = []
             for segment in track.segments:
+                start = len(track_data['points'])
                 for point in segment.points:
                     elevation = point.elevation if point.elevation else 0
-                    track_data['points'].append({
+                    track_point = {
                         'lat': point.latitude,
                         'lon': point.longitude,
                         'ele': elevation
-                    })
+                    }
+                    if point.time:
+                        # Milliseconds since epoch, matching the client-side importer
+                        track_point['time'] = int(point.time.timestamp() * 1000)
+                    track_point.update(read_point_extensions(point))
+                    track_data['points'].append(track_point)
 
                     # Update bounds
                     track_data['bounds']['minLat'] = min(track_data['bounds']['minLat'], point.latitude)
@@ -141,9 +271,41 @@ def upload_gpx():
                     track_data['bounds']['minEle'] = min(track_data['bounds']['minEle'], elevation)
                     track_data['bounds']['maxEle'] = max(track_data['bounds']['maxEle'], elevation)
 
+                end = len(track_data['points'])
+                if end > start:
+                    segments.append({'start': start, 'end': end})
+
+            if segments:
+                track_data['tracks'].append({
+                    'name': track.name or f'Track {track_index + 1}',
+                    'segments': segments
+                })
+
         if not track_data['points']:
             return jsonify({'error': 'No track points found in GPX file'}), 400
 
+        # Waypoints (<wpt>), in the same shape as the client-side importer
+        track_data['waypoints'] = []
+        for waypoint in gpx.waypoints:
+            entry = {
+                'lat': waypoint.latitude,
+                'lon': waypoint.longitude,
+                'name': waypoint.name or 'Waypoint'
+            }
+            if waypoint.elevation is not None:
+                entry['ele'] = waypoint.elevation
+            if waypoint.description:
+                entry['description'] = waypoint.description
+            if waypoint.time:
+                entry['time'] = int(waypoint.time.timestamp() * 1000)
+            track_data['waypoints'].append(entry)
+
+        optional_fields = ['time', 'hr', 'cad', 'power', 'atemp', 'speed']
+        track_data['fields'] = [
+            key for key in optional_fields
+            if any(key in p for p in track_data['points'])
+        ]
+
         # Calculate center
         track_data['center'] = {
             'lat': (track_data['bounds']['minLat'] + track_data['bounds']['maxLat']) / 2,
@@ -157,4 +319,8 @@ def upload_gpx():
 
 
 if __name__ == '__main__':
-    app.run(debug=True, port=5000, threaded=True)
+    if '--vendor' in sys.argv:
+        print('Downloading vendored libraries...')
+        download_vendor_files()
+    else:
+        app.run(debug=True, port=5000, threaded=True)
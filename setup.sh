@@ -83,6 +83,7 @@ echo ""
 echo "Creating directories..."
 mkdir -p uploads
 mkdir -p tile_cache
+mkdir -p vendor
 print_status "Directories created"
 
 # Verify installation
@@ -96,6 +97,15 @@ else
     exit 1
 fi
 
+# Download the video encoding libraries so MP4 export works offline
+echo ""
+echo "Downloading video encoder libraries..."
+if $PYTHON_CMD app.py --vendor > /dev/null; then
+    print_status "Video encoder libraries downloaded"
+else
+    print_warning "Could not download video encoder libraries; they will be fetched on first use"
+fi
+
 echo ""
 echo "================================================"
 echo -e "${GREEN}  Setup completed successfully!${NC}"
@@ -9,24 +9,56 @@ class FlyoverAnimation {
         this.lastTimestamp = 0;
         this.progress = 0;
 
+        // Preview playback (recordings always play once, in real time)
+        this.playbackRate = 1;
+        this.loopMode = 'off'; // 'off', 'loop' or 'pingpong'
+        this.direction = 1; // -1 while ping-pong playback runs backwards
+        this.stepHistory = []; // States frames were stepped from, to step back through them
+        this.stepTime = null; // Sequence time of the last stepped frame
+
+        // In and out points: the part of the track played and recorded, as track progress
+        this.inPoint = 0;
+        this.outPoint = 1;
+
         // Animation settings
-        this.mode = 'follow'; // 'follow' or 'birdseye'
+        this.mode = 'follow'; // A key of poseBuilders
         this.speed = 1;
         this.cameraAltitude = 100;
         this.cameraPitch = 60;
 
+        // Pacing: 'distance' (constant ground speed) or 'time' (follow recorded timestamps)
+        this.pacing = 'distance';
+        this.baseSpeedMps = 160; // Ground speed at 1x in distance pacing
+        this.timeLapse = 60; // Time pacing: recorded seconds per playback second (60 = 1h in 1min)
+        this.compressPauses = true;
+        this.pauseThreshold = 30; // Stationary stretches longer than this (seconds) are compressed
+        this.compressedPauseDuration = 2; // Recorded seconds a compressed pause still takes
+        this.stationarySpeed = 0.5; // m/s below which the rider counts as stopped
+
         // Distance-based animation data (for constant speed)
         this.cumulativeDistances = null;
         this.totalDistance = 0;
         this.distanceDataInitialized = false;
 
+        // Track segments as distance ranges; gaps between them add no distance
+        this.segmentRanges = [];
+        this.currentSegment = null;
+
+        // Time-based animation data (playback seconds per point, pauses compressed)
+        this.cumulativeTimes = null;
+        this.totalTime = 0;
+
         // Terrain-aware camera settings
         this.terrainSampleCount = 20; // Number of points to sample along sight line
         this.minTerrainClearance = 80; // Minimum meters above terrain (increased significantly)
-        this.terrainLookAhead = 400; // Meters to look ahead for terrain clearance
+        this.terrainLookAhead = 0; // Meters of ground ahead of the camera it stays clear of (0 = only below it)
+        this.terrainLookAheadSamples = 4; // Ground samples over the look-ahead
         this.cameraDistance = 150; // Distance behind track point
         this.terrainExaggeration = 1.5; // Must match map terrain exaggeration
 
+        // Where the camera of the last computed frame is ({ lon, lat, alt }), e.g. for its speed
+        this.cameraLocation = null;
+
         // Smoothing for camera altitude changes
         this.lastCameraAltitude = null;
         this.altitudeSmoothingFactor = 0.05; // Lower = smoother, slower response
@@ -41,11 +73,72 @@ class FlyoverAnimation {
         this.lastSmoothedPosition = null;
         this.positionSmoothingFactor = 0.15; // Lower = more inertia
 
-        // Progress marker
-        this.progressMarker = null;
-        this.progressMarkerSourceId = 'progress-marker-source';
-        this.progressMarkerLayerId = 'progress-marker-layer';
-        this.progressMarkerOutlineLayerId = 'progress-marker-outline-layer';
+        // Heading follows the track this far behind and ahead, further at higher speeds
+        this.lookDistance = 400; // Meters at 1x
+        this.maxLookDistance = 1200; // Meters at most
+
+        // Camera keyframes (empty = use the global mode/altitude/pitch for the whole flight)
+        this.keyframes = [];
+
+        // Camera pose per mode: { camera: {lon, lat, alt}, lookAt: {lon, lat, alt}, fallbackAltitude }
+        this.poseBuilders = {
+            follow: (trackPosition, settings) => this.computeFollowPose(trackPosition, settings),
+            birdseye: (trackPosition, settings) => this.computeBirdseyePose(trackPosition, settings),
+            orbit: (trackPosition, settings) => this.computeOrbitPose(trackPosition, settings),
+            side: (trackPosition, settings) => this.computeSidePose(trackPosition, settings),
+            firstperson: (trackPosition, settings) => this.computeFirstPersonPose(trackPosition, settings),
+            drone: (trackPosition, settings) => this.computeDronePose(trackPosition, settings)
+        };
+
+        // First-person camera: eye height above the ground and how far along the track it looks
+        this.eyeHeight = 3;
+        this.eyeClearance = 2; // Sight-line clearance over crests, much lower than minTerrainClearance
+        this.firstPersonLookAhead = 80;
+
+        // Orbit camera: circles a fixed point instead of chasing the rider
+        this.orbit = {
+            target: 'highest', // 'highest', 'start', 'finish' or 'custom'
+            customTarget: null, // { lon, lat, ele } picked on the map
+            radius: 800, // meters from the target
+            altitude: 300, // meters above the target
+            angularSpeed: 12, // degrees per second
+            startAngle: 0
+        };
+        this.highestPoint = null;
+
+        // Playback sequence: optional intro and outro phases around the track flyover
+        this.intro = { type: 'none', duration: 8 };
+        this.outro = { type: 'none', duration: 8 };
+        this.phaseTransition = 2; // Seconds to ease between an intro/outro and the flyover
+        this.sequenceTime = 0; // Seconds since the start of the sequence
+        this.currentPhase = null;
+        this.phaseTime = 0; // Seconds since the start of the current phase
+
+        // Photos and clips the flyover pauses at (MediaLibrary items)
+        this.media = [];
+        this.mediaDuration = 5; // Seconds the flyover pauses at each one (0 = no pauses)
+        this.mediaMaxDistance = 300; // GPS-placed media further than this (meters) from the track is skipped
+        this.mediaStops = []; // [{ item, distance }] along the played track, in order
+
+        // Camera pose per intro/outro phase type; settings carry phaseTime and phaseDuration
+        this.phaseBuilders = {
+            overview: (trackPosition, settings) => this.computeOverviewIntroPose(trackPosition, settings),
+            pullback: (trackPosition, settings) => this.computePullbackOutroPose(trackPosition, settings),
+            orbit: (trackPosition, settings) => this.computeOrbitPose(trackPosition, settings)
+        };
+
+        // Whole-track overview used by the swoop intro and pull-back outro
+        this.overviewPitch = 45;
+        this.overviewFov = 36.87; // MapLibre's default vertical field of view (degrees)
+        this.overviewMargin = 1.3; // Extra room around the track bounds
+        this.overviewHold = 0.3; // Share of the phase spent holding the overview
+
+        // Progress marker (dot, icon, avatar or 3D model)
+        this.progressMarker = new ProgressMarker();
+
+        // Optional per-point fields carried through interpolation (see TrackImporter)
+        this.pointFields = ['time', 'hr', 'cad', 'power', 'atemp', 'speed'];
+        this.currentPoint = null; // Interpolated track point at the current progress
 
         // Callbacks
         this.onProgress = null;
@@ -69,6 +162,244 @@ class FlyoverAnimation {
         this.cameraPitch = pitch;
     }
 
+    // Orbit around 'highest', 'start', 'finish' or a 'custom' { lon, lat } point
+    setOrbitTarget(target, point = null) {
+        this.orbit.target = target;
+        if (point) {
+            this.orbit.customTarget = {
+                lon: point.lon,
+                lat: point.lat,
+                ele: point.ele !== undefined ? point.ele : this.getTrackElevationNear(point.lon, point.lat)
+            };
+        }
+    }
+
+    setOrbitRadius(radius) {
+        this.orbit.radius = radius;
+    }
+
+    setOrbitAltitude(altitude) {
+        this.orbit.altitude = altitude;
+    }
+
+    setOrbitSpeed(degreesPerSecond) {
+        this.orbit.angularSpeed = degreesPerSecond;
+    }
+
+    // Intro/outro: a phase type ('none' or a key of phaseBuilders) and its length in seconds
+    setIntro(type, duration) {
+        this.intro = { type, duration };
+    }
+
+    setOutro(type, duration) {
+        this.outro = { type, duration };
+    }
+
+    setMedia(items) {
+        this.media = items;
+        this.placeMedia();
+    }
+
+    setMediaDuration(seconds) {
+        this.mediaDuration = seconds;
+    }
+
+    // Camera and pacing settings as plain data (render jobs, saved projects)
+    getSettings() {
+        return {
+            mode: this.mode,
+            speed: this.speed,
+            cameraAltitude: this.cameraAltitude,
+            cameraPitch: this.cameraPitch,
+            pacing: this.pacing,
+            timeLapse: this.timeLapse,
+            compressPauses: this.compressPauses,
+            orbit: { ...this.orbit },
+            intro: { ...this.intro },
+            outro: { ...this.outro },
+            mediaDuration: this.mediaDuration,
+            keyframes: this.keyframes.map(keyframe => ({ ...keyframe })),
+            inPoint: this.inPoint,
+            outPoint: this.outPoint,
+            cameraFeel: this.getCameraFeel()
+        };
+    }
+
+    applySettings(settings) {
+        this.setMode(settings.mode);
+        this.setSpeed(settings.speed);
+        this.setCameraAltitude(settings.cameraAltitude);
+        this.setCameraPitch(settings.cameraPitch);
+        this.setPacing(settings.pacing);
+        this.setTimeLapse(settings.timeLapse);
+        this.setCompressPauses(settings.compressPauses);
+        this.orbit = { ...this.orbit, ...settings.orbit };
+        this.setIntro(settings.intro.type, settings.intro.duration);
+        this.setOutro(settings.outro.type, settings.outro.duration);
+        this.setMediaDuration(settings.mediaDuration ?? this.mediaDuration);
+        this.setKeyframes(settings.keyframes.map(keyframe => ({ ...keyframe })));
+        this.setRange(settings.inPoint ?? 0, settings.outPoint ?? 1);
+        if (settings.cameraFeel) {
+            this.setCameraFeel(settings.cameraFeel);
+        }
+    }
+
+    // Named camera feels; 'default' is the constructor's tuning
+    static getCameraFeelPresets() {
+        return {
+            default: {
+                altitudeSmoothing: 0.05, bearingSmoothing: 0.06, bearingHistorySize: 20, positionSmoothing: 0.15,
+                minTerrainClearance: 80, cameraDistance: 150, terrainLookAhead: 0, lookDistance: 400, maxLookDistance: 1200
+            },
+            // Slow, wide turns and an early climb over rises
+            cinematic: {
+                altitudeSmoothing: 0.02, bearingSmoothing: 0.03, bearingHistorySize: 40, positionSmoothing: 0.08,
+                minTerrainClearance: 100, cameraDistance: 200, terrainLookAhead: 400, lookDistance: 700, maxLookDistance: 2000
+            },
+            // Close behind, turning with the track
+            responsive: {
+                altitudeSmoothing: 0.1, bearingSmoothing: 0.12, bearingHistorySize: 10, positionSmoothing: 0.3,
+                minTerrainClearance: 60, cameraDistance: 120, terrainLookAhead: 0, lookDistance: 250, maxLookDistance: 800
+            },
+            // Heading averaged over the zigzags, lots of inertia, so hairpins don't swing the view
+            switchbacks: {
+                altitudeSmoothing: 0.05, bearingSmoothing: 0.04, bearingHistorySize: 30, positionSmoothing: 0.06,
+                minTerrainClearance: 80, cameraDistance: 100, terrainLookAhead: 200, lookDistance: 600, maxLookDistance: 1500
+            }
+        };
+    }
+
+    // How the camera follows the track: smoothing, distance and terrain clearance
+    getCameraFeel() {
+        return {
+            altitudeSmoothing: this.altitudeSmoothingFactor,
+            bearingSmoothing: this.bearingSmoothingFactor,
+            bearingHistorySize: this.bearingHistorySize,
+            positionSmoothing: this.positionSmoothingFactor,
+            minTerrainClearance: this.minTerrainClearance,
+            cameraDistance: this.cameraDistance,
+            terrainLookAhead: this.terrainLookAhead,
+            lookDistance: this.lookDistance,
+            maxLookDistance: this.maxLookDistance
+        };
+    }
+
+    // Takes effect from the next frame, so it can be tuned while playing
+    setCameraFeel(feel) {
+        this.altitudeSmoothingFactor = feel.altitudeSmoothing ?? this.altitudeSmoothingFactor;
+        this.bearingSmoothingFactor = feel.bearingSmoothing ?? this.bearingSmoothingFactor;
+        this.bearingHistorySize = feel.bearingHistorySize ?? this.bearingHistorySize;
+        this.positionSmoothingFactor = feel.positionSmoothing ?? this.positionSmoothingFactor;
+        this.minTerrainClearance = feel.minTerrainClearance ?? this.minTerrainClearance;
+        this.cameraDistance = feel.cameraDistance ?? this.cameraDistance;
+        this.terrainLookAhead = feel.terrainLookAhead ?? this.terrainLookAhead;
+        this.lookDistance = feel.lookDistance ?? this.lookDistance;
+        this.maxLookDistance = Math.max(this.lookDistance, feel.maxLookDistance ?? this.maxLookDistance);
+    }
+
+    // Name of the preset a camera feel matches, or 'custom'
+    static getCameraFeelPresetName(feel) {
+        const match = Object.entries(FlyoverAnimation.getCameraFeelPresets())
+            .find(([, preset]) => Object.keys(preset).every(key => preset[key] === feel[key]));
+        return match ? match[0] : 'custom';
+    }
+
+    // Switch pacing while keeping the current position on the track
+    setPacing(pacing) {
+        if (pacing === this.pacing) return;
+        this.keepTrackPositions(() => {
+            this.pacing = pacing;
+        });
+    }
+
+    // Change how progress maps onto the track, keeping the current position and the in and out
+    // points at the same places on it
+    keepTrackPositions(change) {
+        if (!this.distanceDataInitialized) {
+            change();
+            return;
+        }
+        const [position, inDistance, outDistance] = [this.progress, this.inPoint, this.outPoint]
+            .map(progress => this.getDistanceAtProgress(progress));
+        change();
+        this.progress = this.getProgressAtDistance(position);
+        this.inPoint = this.inPoint > 0 ? this.getProgressAtDistance(inDistance) : 0;
+        this.outPoint = this.outPoint < 1 ? this.getProgressAtDistance(outDistance) : 1;
+    }
+
+    // Play and record only the track between two progress values (0 and 1 for all of it)
+    setRange(inPoint, outPoint) {
+        this.inPoint = Math.max(0, Math.min(1, inPoint));
+        this.outPoint = Math.max(0, Math.min(1, outPoint));
+        if (this.outPoint <= this.inPoint) {
+            [this.inPoint, this.outPoint] = [0, 1];
+        }
+    }
+
+    // Play and record only the track between two distances along it, in meters
+    setRangeByDistance(startDistance, endDistance) {
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
+        }
+        this.setRange(this.getProgressAtDistance(startDistance), this.getProgressAtDistance(endDistance));
+    }
+
+    hasRange() {
+        return this.inPoint > 0 || this.outPoint < 1;
+    }
+
+    // { start, end } distances in meters of the in and out points
+    getRangeDistances() {
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
+        }
+        return {
+            start: this.getDistanceAtProgress(this.inPoint),
+            end: this.getDistanceAtProgress(this.outPoint)
+        };
+    }
+
+    clampToRange(progress) {
+        return Math.max(this.inPoint, Math.min(this.outPoint, progress));
+    }
+
+    setPlaybackRate(rate) {
+        this.playbackRate = rate;
+    }
+
+    setLoopMode(mode) {
+        this.loopMode = mode;
+        if (mode !== 'pingpong') {
+            this.direction = 1;
+        }
+    }
+
+    setTimeLapse(factor) {
+        this.timeLapse = Math.max(1, factor);
+    }
+
+    setCompressPauses(enabled) {
+        if (enabled === this.compressPauses) return;
+        this.keepTrackPositions(() => {
+            this.compressPauses = enabled;
+            if (this.distanceDataInitialized) {
+                this.initializeDistanceData();
+            }
+        });
+    }
+
+    // Time pacing needs timestamps on the track; otherwise fall back to distance pacing
+    isTimePacingAvailable() {
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
+        }
+        return this.cumulativeTimes !== null && this.totalTime > 0;
+    }
+
+    usesTimePacing() {
+        return this.pacing === 'time' && this.isTimePacingAvailable();
+    }
+
     // Initialize distance data for constant-speed animation
     initializeDistanceData() {
         const points = this.map.getTrackPoints();
@@ -77,28 +408,176 @@ class FlyoverAnimation {
             return;
         }
 
+        let segments = this.map.getTrackSegments ? this.map.getTrackSegments() : [];
+        if (segments.length === 0) {
+            segments = [{ start: 0, end: points.length }];
+        }
+
         this.cumulativeDistances = [0];
         this.totalDistance = 0;
+        this.segmentRanges = [];
+        this.currentSegment = null;
 
-        for (let i = 1; i < points.length; i++) {
-            const dist = this.calculateDistance(points[i - 1], points[i]);
-            this.totalDistance += dist;
-            this.cumulativeDistances.push(this.totalDistance);
+        for (const segment of segments) {
+            // Jump across the gap to the previous segment instead of counting its distance
+            if (segment.start > 0) {
+                this.cumulativeDistances.push(this.totalDistance);
+            }
+            const startDistance = this.totalDistance;
+            for (let i = segment.start + 1; i < segment.end; i++) {
+                this.totalDistance += this.calculateDistance(points[i - 1], points[i]);
+                this.cumulativeDistances.push(this.totalDistance);
+            }
+            this.segmentRanges.push({
+                start: segment.start,
+                end: segment.end,
+                startDistance,
+                endDistance: this.totalDistance
+            });
         }
 
+        this.initializeTimeData(points);
+        this.highestPoint = this.findHighestPoint(points);
+
         this.distanceDataInitialized = true;
+        this.placeMedia();
         console.log(`Track initialized: ${points.length} points, ${(this.totalDistance / 1000).toFixed(2)} km total distance`);
     }
 
+    // Build playback time per point from recorded timestamps, compressing long stops
+    initializeTimeData(points) {
+        this.cumulativeTimes = null;
+        this.totalTime = 0;
+
+        if (!points.some(p => p.time !== undefined)) return;
+
+        // Seconds spent on each segment; points without a timestamp take no time
+        const durations = [0];
+        let lastTime = null;
+        for (let i = 0; i < points.length; i++) {
+            const time = points[i].time;
+            if (i > 0) {
+                durations.push(time !== undefined && lastTime !== null ? Math.max(0, (time - lastTime) / 1000) : 0);
+            }
+            if (time !== undefined) lastTime = time;
+        }
+
+        if (this.compressPauses) {
+            // Find runs of stationary segments and squeeze each long run into a short pause
+            let runStart = -1;
+            let runDuration = 0;
+            for (let i = 1; i <= points.length; i++) {
+                const segmentDistance = i < points.length ? this.cumulativeDistances[i] - this.cumulativeDistances[i - 1] : 0;
+                const stationary = i < points.length && durations[i] > 0 &&
+                    segmentDistance / durations[i] < this.stationarySpeed;
+
+                if (stationary) {
+                    if (runStart < 0) runStart = i;
+                    runDuration += durations[i];
+                    continue;
+                }
+
+                if (runStart >= 0 && runDuration > this.pauseThreshold) {
+                    const scale = this.compressedPauseDuration / runDuration;
+                    for (let j = runStart; j < i; j++) {
+                        durations[j] *= scale;
+                    }
+                }
+                runStart = -1;
+                runDuration = 0;
+            }
+        }
+
+        this.cumulativeTimes = [0];
+        for (let i = 1; i < points.length; i++) {
+            this.totalTime += durations[i];
+            this.cumulativeTimes.push(this.totalTime);
+        }
+    }
+
+    // Distance along the played track of each photo and clip: at the point recorded closest to its
+    // capture time when it was placed by time (so out-and-back tracks pause on the right pass),
+    // otherwise at the nearest point
+    placeMedia() {
+        this.mediaStops = [];
+        if (!this.distanceDataInitialized) return;
+
+        const points = this.map.getTrackPoints();
+        for (const item of this.media) {
+            if (item.kind === 'waypoint' || !item.placement) continue;
+            let index = item.placement === 'time' ? this.findPointIndexAtTime(points, item.time) : null;
+            if (index === null || this.calculateDistance(points[index], item) > this.mediaMaxDistance) {
+                index = this.findNearestPointIndex(points, item);
+            }
+            if (index !== null) {
+                this.mediaStops.push({ item, distance: this.cumulativeDistances[index] });
+            }
+        }
+        this.mediaStops.sort((a, b) => a.distance - b.distance);
+    }
+
+    findNearestPointIndex(points, position) {
+        let nearest = null;
+        let nearestDistance = this.mediaMaxDistance;
+        for (let i = 0; i < points.length; i++) {
+            const distance = this.calculateDistance(points[i], position);
+            if (distance <= nearestDistance) {
+                nearest = i;
+                nearestDistance = distance;
+            }
+        }
+        return nearest;
+    }
+
+    // Point recorded closest to a time, or null for tracks without timestamps
+    findPointIndexAtTime(points, time) {
+        let nearest = null;
+        for (let i = 0; i < points.length; i++) {
+            if (points[i].time === undefined) continue;
+            if (nearest === null || Math.abs(points[i].time - time) < Math.abs(points[nearest].time - time)) {
+                nearest = i;
+            }
+        }
+        return nearest;
+    }
+
+    findHighestPoint(points) {
+        let highest = points[0];
+        for (const point of points) {
+            if ((point.ele || 0) > (highest.ele || 0)) highest = point;
+        }
+        return highest;
+    }
+
+    // Track segment (from segmentRanges) containing a point index
+    getSegmentRangeAt(index) {
+        for (const range of this.segmentRanges) {
+            if (index < range.end) return range;
+        }
+        return this.segmentRanges[this.segmentRanges.length - 1];
+    }
+
+    // Reset all camera smoothing so the next frame starts fresh
+    resetSmoothing() {
+        this.lastCameraAltitude = null;
+        this.lastBearing = null;
+        this.bearingHistory = [];
+        this.lastSmoothedPosition = null;
+    }
+
     // Find segment index using binary search for efficiency
     findSegmentAtDistance(targetDistance) {
-        const distances = this.cumulativeDistances;
+        return this.findSegmentIndex(this.cumulativeDistances, targetDistance);
+    }
+
+    // Binary search over a non-decreasing cumulative array
+    findSegmentIndex(values, target) {
         let left = 0;
-        let right = distances.length - 1;
+        let right = values.length - 1;
 
         while (left < right - 1) {
             const mid = Math.floor((left + right) / 2);
-            if (distances[mid] <= targetDistance) {
+            if (values[mid] <= target) {
                 left = mid;
             } else {
                 right = mid;
@@ -108,6 +587,46 @@ class FlyoverAnimation {
         return left;
     }
 
+    // Map playback progress (0-1) to distance along the track for the active pacing
+    getDistanceAtProgress(progress) {
+        progress = Math.max(0, Math.min(1, progress));
+        if (!this.usesTimePacing()) {
+            return progress * this.totalDistance;
+        }
+
+        const targetTime = progress * this.totalTime;
+        const index = this.findSegmentIndex(this.cumulativeTimes, targetTime);
+        const next = Math.min(index + 1, this.cumulativeTimes.length - 1);
+        const segmentTime = this.cumulativeTimes[next] - this.cumulativeTimes[index];
+        const t = segmentTime > 0 ? (targetTime - this.cumulativeTimes[index]) / segmentTime : 0;
+        return this.cumulativeDistances[index] + (this.cumulativeDistances[next] - this.cumulativeDistances[index]) * t;
+    }
+
+    // Inverse of getDistanceAtProgress
+    getProgressAtDistance(distance) {
+        if (this.totalDistance <= 0) return 0;
+        distance = Math.max(0, Math.min(this.totalDistance, distance));
+        if (!this.usesTimePacing()) {
+            return distance / this.totalDistance;
+        }
+
+        const index = this.findSegmentAtDistance(distance);
+        const next = Math.min(index + 1, this.cumulativeDistances.length - 1);
+        const segmentLength = this.cumulativeDistances[next] - this.cumulativeDistances[index];
+        const t = segmentLength > 0 ? (distance - this.cumulativeDistances[index]) / segmentLength : 0;
+        const time = this.cumulativeTimes[index] + (this.cumulativeTimes[next] - this.cumulativeTimes[index]) * t;
+        return time / this.totalTime;
+    }
+
+    // Ground speed relative to the 1x distance pace; drives speed-dependent smoothing
+    getSpeedFactor() {
+        if (!this.usesTimePacing()) {
+            return this.speed;
+        }
+        const duration = this.getTrackDuration();
+        return duration > 0 ? (this.totalDistance / duration) / this.baseSpeedMps : this.speed;
+    }
+
     calculateBearing(point1, point2) {
         const lat1 = point1.lat * Math.PI / 180;
         const lat2 = point2.lat * Math.PI / 180;
@@ -135,11 +654,24 @@ class FlyoverAnimation {
     }
 
     interpolate(point1, point2, t) {
-        return {
+        const point = {
             lat: point1.lat + (point2.lat - point1.lat) * t,
             lon: point1.lon + (point2.lon - point1.lon) * t,
             ele: point1.ele + (point2.ele - point1.ele) * t
         };
+
+        // Timestamps and sensor values are only present when the device recorded them
+        for (const key of this.pointFields) {
+            const v1 = point1[key];
+            const v2 = point2[key];
+            if (v1 !== undefined && v2 !== undefined) {
+                point[key] = v1 + (v2 - v1) * t;
+            } else if (v1 !== undefined || v2 !== undefined) {
+                point[key] = v1 !== undefined ? v1 : v2;
+            }
+        }
+
+        return point;
     }
 
     // Smoothing function for camera movement
@@ -164,15 +696,15 @@ class FlyoverAnimation {
     smoothBearing(newBearing) {
         // Calculate speed-dependent smoothing parameters
         // At speed 1x: base values, at higher speeds: more smoothing
-        const speedFactor = Math.max(1, this.speed);
+        const speedFactor = Math.max(1, this.getSpeedFactor());
         
         // Smoothing factor decreases with speed (more smoothing at high speed)
-        // Base: 0.06 at 1x, down to 0.015 at 20x
-        const dynamicSmoothingFactor = Math.max(0.015, 0.06 / Math.sqrt(speedFactor));
+        // Base: bearingSmoothingFactor (0.06) at 1x, down to a quarter of it at 20x
+        const dynamicSmoothingFactor = Math.max(this.bearingSmoothingFactor / 4, this.bearingSmoothingFactor / Math.sqrt(speedFactor));
         
         // History size increases with speed (more averaging at high speed)
-        // Base: 20 at 1x, up to 60 at 20x
-        const dynamicHistorySize = Math.min(60, Math.floor(20 * Math.sqrt(speedFactor)));
+        // Base: bearingHistorySize (20) at 1x, up to three times that at 20x
+        const dynamicHistorySize = Math.min(this.bearingHistorySize * 3, Math.floor(this.bearingHistorySize * Math.sqrt(speedFactor)));
 
         if (this.lastBearing === null) {
             this.lastBearing = newBearing;
@@ -225,9 +757,10 @@ class FlyoverAnimation {
         }
 
         // Speed-dependent smoothing factor
-        // At 1x: 0.15 (responsive), at 20x: 0.04 (lots of inertia)
-        const speedFactor = Math.max(1, this.speed);
-        const dynamicFactor = Math.max(0.04, this.positionSmoothingFactor / Math.sqrt(speedFactor));
+        // At 1x: positionSmoothingFactor (0.15, responsive), at 20x: 0.04 (lots of inertia)
+        const speedFactor = Math.max(1, this.getSpeedFactor());
+        const minFactor = Math.min(0.04, this.positionSmoothingFactor);
+        const dynamicFactor = Math.max(minFactor, this.positionSmoothingFactor / Math.sqrt(speedFactor));
 
         // Apply exponential smoothing to lat, lon, ele
         this.lastSmoothedPosition.lat += (newPosition.lat - this.lastSmoothedPosition.lat) * dynamicFactor;
@@ -251,11 +784,8 @@ class FlyoverAnimation {
             this.initializeDistanceData();
         }
 
-        // Clamp progress to valid range
-        progress = Math.max(0, Math.min(1, progress));
-
-        // Convert progress to target distance
-        const targetDistance = progress * this.totalDistance;
+        // Convert progress to target distance (clamped, pacing-aware)
+        const targetDistance = this.getDistanceAtProgress(progress);
 
         // Find the segment containing this distance using binary search
         const segmentIndex = this.findSegmentAtDistance(targetDistance);
@@ -272,7 +802,14 @@ class FlyoverAnimation {
 
         // t is the interpolation factor (0-1) within this segment
         const t = segmentLength > 0 ? (targetDistance - segmentStartDist) / segmentLength : 0;
-        
+
+        // Entering another track segment: cut to it instead of flying the camera over the gap
+        const trackSegment = this.getSegmentRangeAt(segmentIndex);
+        if (this.currentSegment !== null && trackSegment !== this.currentSegment) {
+            this.resetSmoothing();
+        }
+        this.currentSegment = trackSegment;
+
         const rawPos = this.interpolate(point1, point2, t);
         
         // Apply position smoothing (inertia) to reduce jitter on switchbacks
@@ -281,8 +818,8 @@ class FlyoverAnimation {
         // Calculate mean direction from past and future 400m for smooth viewing angle
         const meanDirectionBearing = this.calculateMeanDirectionBearing(targetDistance, rawPos, points);
         
-        // Calculate immediate bearing (short look-ahead of 50m)
-        const immediateLookAhead = Math.min(this.totalDistance, targetDistance + 50);
+        // Calculate immediate bearing (short look-ahead of 50m, within the current segment)
+        const immediateLookAhead = Math.min(trackSegment.endDistance, targetDistance + 50);
         const immedSegmentIndex = this.findSegmentAtDistance(immediateLookAhead);
         const immedSegmentStartDist = this.cumulativeDistances[immedSegmentIndex];
         const immedSegmentEndDist = this.cumulativeDistances[Math.min(immedSegmentIndex + 1, this.cumulativeDistances.length - 1)];
@@ -295,7 +832,7 @@ class FlyoverAnimation {
 
         // Blend ratio is speed-dependent: higher speeds rely more on mean direction
         // At 1x: 80% mean, 20% immediate. At 20x: 95% mean, 5% immediate
-        const speedFactor = Math.max(1, this.speed);
+        const speedFactor = Math.max(1, this.getSpeedFactor());
         const meanWeight = Math.min(0.95, 0.80 + 0.015 * (speedFactor - 1));
         const blendedBearing = this.blendBearings(meanDirectionBearing, immediateBearing, meanWeight);
         
@@ -307,19 +844,111 @@ class FlyoverAnimation {
             rawPosition: rawPos,        // Raw position for marker (stays on track)
             bearing: smoothedBearing,
             rawBearing: blendedBearing,
-            index: segmentIndex
+            index: segmentIndex,
+            t,                          // Fraction of the way to the next point
+            distance: targetDistance
         };
     }
 
+    // Unsmoothed track position at a distance, clamped to the current track segment
+    getPositionAtDistance(distance) {
+        const trackSegment = this.currentSegment || { startDistance: 0, endDistance: this.totalDistance };
+        return this.getTrackPointAtDistance(Math.max(trackSegment.startDistance, Math.min(trackSegment.endDistance, distance)));
+    }
+
+    // Interpolated track point (with sensor fields) at a distance along the whole track
+    getTrackPointAtDistance(distance) {
+        const points = this.map.getTrackPoints();
+        distance = Math.max(0, Math.min(this.totalDistance, distance));
+
+        const index = this.findSegmentAtDistance(distance);
+        const next = Math.min(index + 1, points.length - 1);
+        const segmentLength = this.cumulativeDistances[next] - this.cumulativeDistances[index];
+        const t = segmentLength > 0 ? (distance - this.cumulativeDistances[index]) / segmentLength : 0;
+        return this.interpolate(points[index], points[next], t);
+    }
+
+    // Distance along the track of the spot closest to a location (picked on the map)
+    getDistanceNearest(lon, lat) {
+        const points = this.map.getTrackPoints();
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
+        }
+
+        // Flat projection around the location; plenty for finding the closest stretch
+        const cosLat = Math.cos(lat * Math.PI / 180);
+        let closest = Infinity;
+        let distance = 0;
+        for (let i = 0; i < points.length - 1; i++) {
+            const length = this.cumulativeDistances[i + 1] - this.cumulativeDistances[i];
+            if (length <= 0) continue; // Segment gaps and repeated points
+            const ax = (points[i].lon - lon) * cosLat;
+            const ay = points[i].lat - lat;
+            const dx = (points[i + 1].lon - lon) * cosLat - ax;
+            const dy = points[i + 1].lat - lat - ay;
+            const t = Math.max(0, Math.min(1, -(ax * dx + ay * dy) / (dx * dx + dy * dy)));
+            const squared = (ax + dx * t) ** 2 + (ay + dy * t) ** 2;
+            if (squared < closest) {
+                closest = squared;
+                distance = this.cumulativeDistances[i] + length * t;
+            }
+        }
+        return distance;
+    }
+
+    // First recorded timestamp of the track (ms), or null without timestamps
+    getStartTime() {
+        for (const point of this.map.getTrackPoints()) {
+            if (point.time !== undefined) return point.time;
+        }
+        return null;
+    }
+
+    // Recorded seconds since the start of the track at a distance, or null without timestamps
+    getElapsedTimeAtDistance(distance) {
+        const startTime = this.getStartTime();
+        const point = this.getTrackPointAtDistance(distance);
+        return startTime !== null && point.time !== undefined ? (point.time - startTime) / 1000 : null;
+    }
+
+    // Distance along the track where the recorded time reaches seconds since its start
+    // (null without timestamps)
+    getDistanceAtElapsedTime(seconds) {
+        const points = this.map.getTrackPoints();
+        const startTime = this.getStartTime();
+        if (startTime === null) return null;
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
+        }
+
+        const target = startTime + seconds * 1000;
+        let previous = null; // Last point with a timestamp
+        for (let i = 0; i < points.length; i++) {
+            if (points[i].time === undefined) continue;
+            if (points[i].time >= target) {
+                if (previous === null || points[i].time === points[previous].time) {
+                    return this.cumulativeDistances[i];
+                }
+                const t = (target - points[previous].time) / (points[i].time - points[previous].time);
+                return this.cumulativeDistances[previous] + (this.cumulativeDistances[i] - this.cumulativeDistances[previous]) * t;
+            }
+            previous = i;
+        }
+        return this.totalDistance;
+    }
+
     // Calculate mean direction bearing from past and future distance along track
     // Look distance is speed-dependent: higher speeds look further ahead
     calculateMeanDirectionBearing(currentDistance, currentPos, points) {
-        // Speed-dependent look distance: 400m at 1x, up to 1200m at 20x
-        const speedFactor = Math.max(1, this.speed);
-        const lookDistance = Math.min(1200, 400 * Math.sqrt(speedFactor)); // meters to look back and forward
+        // Speed-dependent look distance: lookDistance (400m) at 1x, up to maxLookDistance (1200m)
+        const speedFactor = Math.max(1, this.getSpeedFactor());
+        const lookDistance = Math.min(this.maxLookDistance, this.lookDistance * Math.sqrt(speedFactor)); // meters to look back and forward
         
+        // Never look across a segment gap
+        const trackSegment = this.currentSegment || { startDistance: 0, endDistance: this.totalDistance };
+
         // Get position behind (or start if not enough distance)
-        const pastDistance = Math.max(0, currentDistance - lookDistance);
+        const pastDistance = Math.max(trackSegment.startDistance, currentDistance - lookDistance);
         const pastSegmentIndex = this.findSegmentAtDistance(pastDistance);
         const pastSegmentStartDist = this.cumulativeDistances[pastSegmentIndex];
         const pastSegmentEndDist = this.cumulativeDistances[Math.min(pastSegmentIndex + 1, this.cumulativeDistances.length - 1)];
@@ -330,7 +959,7 @@ class FlyoverAnimation {
         const pastPos = this.interpolate(pastPoint1, pastPoint2, pastT);
 
         // Get position ahead (or end if not enough distance)
-        const futureDistance = Math.min(this.totalDistance, currentDistance + lookDistance);
+        const futureDistance = Math.min(trackSegment.endDistance, currentDistance + lookDistance);
         const futureSegmentIndex = this.findSegmentAtDistance(futureDistance);
         const futureSegmentStartDist = this.cumulativeDistances[futureSegmentIndex];
         const futureSegmentEndDist = this.cumulativeDistances[Math.min(futureSegmentIndex + 1, this.cumulativeDistances.length - 1)];
@@ -373,9 +1002,12 @@ class FlyoverAnimation {
 
         try {
             const elevation = map.queryTerrainElevation([lon, lat]);
-            if (elevation !== null && elevation > 0) {
-                // Account for terrain exaggeration - the visual terrain is higher than the query returns
-                return elevation * this.terrainExaggeration;
+            if (elevation !== null) {
+                // MapLibre returns the exaggerated (visual) elevation relative to the map center's elevation
+                const absoluteElevation = elevation + (map.transform?.elevation || 0);
+                if (absoluteElevation > 0) {
+                    return absoluteElevation;
+                }
             }
             // If terrain query fails, use fallback elevation (from GPX data)
             return fallbackElevation || 0;
@@ -423,16 +1055,19 @@ class FlyoverAnimation {
     }
 
     // Calculate minimum camera altitude needed for clear line of sight
-    // This uses proper geometry: the line from camera to lookAt point must clear all terrain
-    calculateLineOfSightClearance(cameraLon, cameraLat, lookAtLon, lookAtLat, lookAtAlt, numSamples) {
+    // This uses proper geometry: the line from camera to lookAt point must clear all terrain.
+    // With taper, the clearance shrinks to zero towards a look-at point that sits on the ground
+    calculateLineOfSightClearance(cameraLon, cameraLat, lookAtLon, lookAtLat, lookAtAlt, numSamples, minClearance = this.minTerrainClearance, taper = false) {
         let minRequiredCamAlt = 0;
-        const clearance = this.minTerrainClearance; // meters above terrain at each point along sight line
 
         for (let i = 0; i <= numSamples; i++) {
             const t = i / numSamples;
             
             // Skip points very close to lookAt (t approaching 1 causes division issues)
             if (t >= 0.98) continue;
+
+            // Meters above terrain at this point of the sight line
+            const clearance = taper ? minClearance * (1 - t) : minClearance;
             
             // Sample point along the line from camera to lookAt
             const lon = cameraLon + (lookAtLon - cameraLon) * t;
@@ -479,131 +1114,429 @@ class FlyoverAnimation {
         return this.lastCameraAltitude;
     }
 
+    // Camera settings at a progress: the global settings, or interpolated keyframes
+    getCameraSettings(progress = this.progress) {
+        const globalSettings = {
+            mode: this.mode,
+            altitude: this.cameraAltitude,
+            pitch: this.cameraPitch,
+            distance: this.cameraDistance,
+            bearingOffset: 0
+        };
+
+        const keyframes = this.keyframes;
+        if (keyframes.length === 0) {
+            return { ...globalSettings, blendMode: null, blend: 0 };
+        }
+
+        if (progress <= keyframes[0].progress) {
+            return { ...keyframes[0], blendMode: null, blend: 0 };
+        }
+        const last = keyframes[keyframes.length - 1];
+        if (progress >= last.progress) {
+            return { ...last, blendMode: null, blend: 0 };
+        }
+
+        let index = 0;
+        while (keyframes[index + 1].progress < progress) index++;
+        const from = keyframes[index];
+        const to = keyframes[index + 1];
+
+        // Each keyframe's easing shapes the transition that arrives at it
+        const span = to.progress - from.progress;
+        const t = this.applyEasing(span > 0 ? (progress - from.progress) / span : 1, to.easing);
+
+        return {
+            mode: from.mode,
+            altitude: from.altitude + (to.altitude - from.altitude) * t,
+            pitch: from.pitch + (to.pitch - from.pitch) * t,
+            distance: from.distance + (to.distance - from.distance) * t,
+            bearingOffset: from.bearingOffset + this.bearingDifference(from.bearingOffset, to.bearingOffset) * t,
+            // Different modes can't be interpolated as numbers: their camera poses are blended instead
+            blendMode: to.mode !== from.mode ? to.mode : null,
+            blend: t
+        };
+    }
+
+    applyEasing(t, easing) {
+        switch (easing) {
+            case 'linear':
+                return t;
+            case 'easeIn':
+                return t * t * t;
+            case 'easeOut':
+                return 1 - Math.pow(1 - t, 3);
+            case 'hold':
+                return t < 1 ? 0 : 1;
+            default:
+                return this.easeInOutCubic(t);
+        }
+    }
+
+    // Keyframes: { progress, mode, altitude, pitch, distance, bearingOffset, easing }
+    setKeyframes(keyframes) {
+        this.keyframes = [...keyframes].sort((a, b) => a.progress - b.progress);
+    }
+
     // Calculate terrain-aware camera position
-    getCameraPosition(trackPosition) {
+    getCameraPosition(trackPosition, progress = this.progress) {
+        const settings = this.getCameraSettings(progress);
+        const pose = this.getTrackPose(trackPosition, settings);
+
+        // Smooth altitude after blending so the camera never jumps between poses
+        pose.camera.alt = this.smoothAltitude(pose.camera.alt);
+
+        return this.poseToCameraPosition(pose, trackPosition, settings);
+    }
+
+    // Flyover pose for the given camera settings, blending keyframes with different modes
+    getTrackPose(trackPosition, settings) {
+        settings = { ...settings, elapsed: this.sequenceTime };
+
+        let pose = this.computeCameraPose(trackPosition, settings.mode, settings);
+        if (settings.blendMode) {
+            const targetPose = this.computeCameraPose(trackPosition, settings.blendMode, settings);
+            pose = this.blendPoses(pose, targetPose, settings.blend);
+            this.keepAboveGround(pose);
+        }
+        return pose;
+    }
+
+    computeCameraPose(trackPosition, mode, settings) {
+        const builder = this.poseBuilders[mode] || this.poseBuilders.follow;
+        return builder(trackPosition, settings);
+    }
+
+    // Move a position along a bearing; returns { lon, lat }
+    offsetPosition(position, meters, bearing) {
+        const { latOffset, lonOffset } = this.metersToLatLon(meters, this.normalizeBearing(bearing), position.lat);
+        return { lon: position.lon + lonOffset, lat: position.lat + latOffset };
+    }
+
+    // Lowest camera altitude that keeps the look-at point in sight and the camera above ground
+    getClearAltitude(camera, lookAt, userAltitude, fallbackElevation, clearance = this.minTerrainClearance, taperClearance = false) {
+        // CRITICAL: Calculate minimum camera altitude for clear line of sight
+        // Sample many points between camera and look-at point
+        const lineOfSightCamAlt = this.calculateLineOfSightClearance(
+            camera.lon, camera.lat,
+            lookAt.lon, lookAt.lat,
+            lookAt.alt,
+            30, // Many samples for accuracy
+            clearance,
+            taperClearance
+        );
+
+        // Also check terrain directly under camera, and with a look-ahead the ground in front of it
+        // too, so the camera climbs before a rise rather than on it
+        let cameraGroundElevation = this.queryTerrainElevation(camera.lon, camera.lat, fallbackElevation);
+        if (this.terrainLookAhead > 0) {
+            const bearing = this.calculateBearing(camera, lookAt);
+            for (let i = 1; i <= this.terrainLookAheadSamples; i++) {
+                const ahead = this.offsetPosition(camera, this.terrainLookAhead * i / this.terrainLookAheadSamples, bearing);
+                cameraGroundElevation = Math.max(cameraGroundElevation, this.queryTerrainElevation(ahead.lon, ahead.lat, fallbackElevation));
+            }
+        }
+
+        // Camera must be:
+        // 1. High enough for line-of-sight clearance
+        // 2. Above the terrain directly beneath it
+        // 3. Plus the user-configured altitude offset
+        const minAltForLoS = lineOfSightCamAlt + userAltitude;
+        const minAltForGround = cameraGroundElevation + userAltitude + clearance;
+
+        return Math.max(minAltForLoS, minAltForGround);
+    }
+
+    // Follow mode: camera behind and above the current position, pitch sets how far ahead it looks
+    computeFollowPose(trackPosition, settings) {
         const { position, bearing } = trackPosition;
-        const map = this.map.map;
+        const viewBearing = bearing + settings.bearingOffset;
 
         // Use track point elevation as base reference (with exaggeration)
         const trackPointElevation = (position.ele || 0) * this.terrainExaggeration;
 
-        if (this.mode === 'follow') {
-            // Follow mode: camera behind and above the current position
-            const offsetDistance = this.cameraDistance; // meters behind
-
-            // Calculate camera ground position (behind the track)
-            const backBearing = (bearing + 180) % 360;
-            const { latOffset, lonOffset } = this.metersToLatLon(offsetDistance, backBearing, position.lat);
-            const cameraLon = position.lon + lonOffset;
-            const cameraLat = position.lat + latOffset;
-
-            // The look-at point is slightly ahead of current position
-            const lookAtDistance = 30; // meters ahead of current position
-            const { latOffset: lookLatOffset, lonOffset: lookLonOffset } = 
-                this.metersToLatLon(lookAtDistance, bearing, position.lat);
-            const lookAtLon = position.lon + lookLonOffset;
-            const lookAtLat = position.lat + lookLatOffset;
-
-            // Get terrain at look-at point
-            const lookAtTerrainEle = this.queryTerrainElevation(lookAtLon, lookAtLat, trackPointElevation);
+        // Calculate camera ground position (behind the track)
+        const camera = this.offsetPosition(position, settings.distance, viewBearing + 180);
+
+        const lookAtAhead = (meters) => {
+            const point = this.offsetPosition(position, meters, viewBearing);
             // The look-at altitude should be at or slightly above track/terrain level
-            const lookAtAlt = Math.max(trackPointElevation, lookAtTerrainEle) + 5;
-
-            // CRITICAL: Calculate minimum camera altitude for clear line of sight
-            // Sample many points between camera and look-at point
-            const lineOfSightCamAlt = this.calculateLineOfSightClearance(
-                cameraLon, cameraLat,
-                lookAtLon, lookAtLat,
-                lookAtAlt,
-                30 // Many samples for accuracy
-            );
+            const terrainEle = this.queryTerrainElevation(point.lon, point.lat, trackPointElevation);
+            return { ...point, alt: Math.max(trackPointElevation, terrainEle) + 5 };
+        };
 
-            // Also check terrain directly under camera
-            const cameraGroundElevation = this.queryTerrainElevation(cameraLon, cameraLat, trackPointElevation);
+        // The look-at point is slightly ahead of current position
+        let lookAt = lookAtAhead(30);
+        let altitude = this.getClearAltitude(camera, lookAt, settings.altitude, trackPointElevation);
 
-            // Camera must be:
-            // 1. High enough for line-of-sight clearance
-            // 2. Above the terrain directly beneath it
-            // 3. Plus the user-configured altitude offset
-            const minAltForLoS = lineOfSightCamAlt + this.cameraAltitude;
-            const minAltForGround = cameraGroundElevation + this.cameraAltitude + this.minTerrainClearance;
-            
-            const rawAltitude = Math.max(minAltForLoS, minAltForGround);
-            const requiredAltitude = this.smoothAltitude(rawAltitude);
-
-            // Use Free Camera API for precise 3D positioning
-            if (map && typeof maplibregl !== 'undefined') {
-                try {
-                    const camera = map.getFreeCameraOptions();
-
-                    // Set camera position in 3D space
-                    camera.position = maplibregl.MercatorCoordinate.fromLngLat(
-                        [cameraLon, cameraLat],
-                        requiredAltitude
-                    );
-
-                    // Look at the point ahead of current track position
-                    camera.lookAtPoint([lookAtLon, lookAtLat], lookAtAlt);
-
-                    return { freeCamera: camera };
-                } catch (e) {
-                    console.warn('Free camera API failed, falling back to standard camera:', e);
-                }
-            }
+        // Tilting up (higher pitch) moves the look-at point further down the track
+        const pitchRad = Math.max(0, Math.min(85, settings.pitch)) * Math.PI / 180;
+        const lookAhead = (altitude - lookAt.alt) * Math.tan(pitchRad) - settings.distance;
+        if (lookAhead > 30) {
+            lookAt = lookAtAhead(lookAhead);
+            altitude = Math.max(altitude, this.getClearAltitude(camera, lookAt, settings.altitude, trackPointElevation));
+        }
 
-            // Fallback to standard camera positioning
-            return {
-                center: [position.lon, position.lat],
-                zoom: this.calculateZoom(this.cameraAltitude),
-                pitch: this.cameraPitch,
-                bearing: bearing
-            };
-        } else {
-            // Bird's eye mode: camera directly above looking down
-            const trackElevation = this.queryTerrainElevation(position.lon, position.lat);
-
-            // Sample terrain in a wider area for bird's eye view
-            let maxTerrainHeight = trackElevation;
-            const sampleRadius = 500; // meters
-
-            for (let angle = 0; angle < 360; angle += 45) {
-                const { latOffset, lonOffset } = this.metersToLatLon(sampleRadius, angle, position.lat);
-                const sampleLon = position.lon + lonOffset;
-                const sampleLat = position.lat + latOffset;
-                const elevation = this.queryTerrainElevation(sampleLon, sampleLat);
-                maxTerrainHeight = Math.max(maxTerrainHeight, elevation);
-            }
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: settings.altitude
+        };
+    }
 
-            const requiredAltitude = maxTerrainHeight + (this.cameraAltitude * 3) + this.minTerrainClearance;
+    // Bird's eye mode: high above the current position, pulled back by the pitch angle
+    computeBirdseyePose(trackPosition, settings) {
+        const { position, bearing } = trackPosition;
+        const viewBearing = bearing + settings.bearingOffset;
+        const trackElevation = this.queryTerrainElevation(position.lon, position.lat, (position.ele || 0) * this.terrainExaggeration);
 
-            // Use Free Camera for bird's eye view as well
-            if (map && typeof maplibregl !== 'undefined') {
-                try {
-                    const camera = map.getFreeCameraOptions();
+        // Sample terrain in a wider area for bird's eye view
+        let maxTerrainHeight = trackElevation;
+        const sampleRadius = 500; // meters
 
-                    camera.position = maplibregl.MercatorCoordinate.fromLngLat(
-                        [position.lon, position.lat],
-                        requiredAltitude
-                    );
+        for (let angle = 0; angle < 360; angle += 45) {
+            const sample = this.offsetPosition(position, sampleRadius, angle);
+            const elevation = this.queryTerrainElevation(sample.lon, sample.lat);
+            maxTerrainHeight = Math.max(maxTerrainHeight, elevation);
+        }
 
-                    // Look at current position with slight forward offset
-                    const { latOffset, lonOffset } = this.metersToLatLon(50, bearing, position.lat);
-                    camera.lookAtPoint([position.lon + lonOffset, position.lat + latOffset]);
+        let altitude = maxTerrainHeight + (settings.altitude * 3) + this.minTerrainClearance;
 
-                    return { freeCamera: camera };
-                } catch (e) {
-                    console.warn('Free camera API failed, falling back to standard camera:', e);
-                }
-            }
+        // Look at the current position; pitch 0 looks straight down
+        const lookAt = { lon: position.lon, lat: position.lat, alt: trackElevation };
+        const pitchRad = Math.max(0, Math.min(85, settings.pitch)) * Math.PI / 180;
+        const pullBack = Math.max(1, (altitude - trackElevation) * Math.tan(pitchRad));
+        const camera = this.offsetPosition(position, pullBack, viewBearing + 180);
+        altitude = Math.max(altitude, this.getClearAltitude(camera, lookAt, settings.altitude, trackElevation));
 
-            // Fallback
-            return {
-                center: [position.lon, position.lat],
-                zoom: this.calculateZoom(this.cameraAltitude * 3),
-                pitch: this.cameraPitch,
-                bearing: bearing
-            };
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: settings.altitude * 3
+        };
+    }
+
+    // Side view: tracks alongside the rider, perpendicular to the direction of travel
+    computeSidePose(trackPosition, settings) {
+        const { position, bearing } = trackPosition;
+        const trackElevation = this.queryTerrainElevation(position.lon, position.lat, (position.ele || 0) * this.terrainExaggeration);
+        const lookAt = { lon: position.lon, lat: position.lat, alt: trackElevation };
+
+        // Camera off the rider's right; bearing offset swings it around (180 = left side)
+        const camera = this.offsetPosition(position, settings.distance, bearing + 90 + settings.bearingOffset);
+        const altitude = this.getClearAltitude(camera, lookAt, settings.altitude, trackElevation);
+
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: settings.altitude + settings.distance
+        };
+    }
+
+    // First person: eye level on the track, looking at the track a little further on
+    computeFirstPersonPose(trackPosition, settings) {
+        const { position, bearing } = trackPosition;
+        const eyeGround = this.queryTerrainElevation(position.lon, position.lat, (position.ele || 0) * this.terrainExaggeration);
+
+        // Near the end of a segment there is no track left to look along
+        const ahead = this.getPositionAtDistance(trackPosition.distance + this.firstPersonLookAhead);
+        const trackBearing = this.calculateDistance(position, ahead) > 1 ? this.calculateBearing(position, ahead) : bearing;
+        const lookBearing = trackBearing + settings.bearingOffset;
+        const target = this.offsetPosition(position, this.firstPersonLookAhead, lookBearing);
+        const targetGround = this.queryTerrainElevation(target.lon, target.lat, (ahead.ele || 0) * this.terrainExaggeration);
+        const lookAt = { ...target, alt: targetGround + this.eyeHeight / 2 };
+
+        // Rise just enough to see over a crest between the eye and the look-at point
+        const altitude = Math.max(
+            eyeGround + this.eyeHeight,
+            this.getClearAltitude(position, lookAt, 0, eyeGround, this.eyeClearance, true)
+        );
+
+        return {
+            camera: { lon: position.lon, lat: position.lat, alt: altitude },
+            lookAt,
+            fallbackAltitude: 20
+        };
+    }
+
+    // Drone: flies ahead of the rider and looks back at them
+    computeDronePose(trackPosition, settings) {
+        const { position, bearing } = trackPosition;
+        const trackElevation = this.queryTerrainElevation(position.lon, position.lat, (position.ele || 0) * this.terrainExaggeration);
+        const lookAt = { lon: position.lon, lat: position.lat, alt: trackElevation };
+
+        const camera = this.offsetPosition(position, settings.distance, bearing + settings.bearingOffset);
+        const altitude = this.getClearAltitude(camera, lookAt, settings.altitude, trackElevation);
+
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: settings.altitude + settings.distance
+        };
+    }
+
+    // Point the orbit camera circles: { lon, lat, ele } with ele in track meters
+    getOrbitTarget() {
+        const points = this.map.getTrackPoints();
+        switch (this.orbit.target) {
+            case 'start':
+                return points[0];
+            case 'finish':
+                return points[points.length - 1];
+            case 'custom':
+                if (this.orbit.customTarget) return this.orbit.customTarget;
+                break;
+        }
+        if (!this.highestPoint) {
+            this.highestPoint = this.findHighestPoint(points);
+        }
+        return this.highestPoint;
+    }
+
+    // Orbit mode: circle the orbit target at a fixed radius, always looking at it
+    computeOrbitPose(trackPosition, settings) {
+        const target = this.getOrbitTarget();
+        const targetElevation = this.queryTerrainElevation(target.lon, target.lat, (target.ele || 0) * this.terrainExaggeration);
+        const lookAt = { lon: target.lon, lat: target.lat, alt: targetElevation };
+
+        const angle = this.orbit.startAngle + settings.bearingOffset + this.orbit.angularSpeed * (settings.elapsed || 0);
+        const camera = this.offsetPosition(target, this.orbit.radius, angle);
+
+        // Climb over any ridge between the camera and the target instead of dipping into it
+        const altitude = Math.max(
+            targetElevation + this.orbit.altitude,
+            this.getClearAltitude(camera, lookAt, 0, targetElevation)
+        );
+
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: this.orbit.radius
+        };
+    }
+
+    // Pose framing the whole track (the bounds loadTrack fits), looking along a bearing
+    computeOverviewPose(bearing) {
+        const bounds = this.map.getTrackBounds();
+        const center = bounds.getCenter();
+        const centerElevation = this.getTrackElevationNear(center.lng, center.lat) * this.terrainExaggeration;
+        const lookAt = {
+            lon: center.lng,
+            lat: center.lat,
+            alt: this.queryTerrainElevation(center.lng, center.lat, centerElevation)
+        };
+
+        // Back off until the larger side of the bounds fits the view
+        const width = (bounds.getEast() - bounds.getWest()) * 111320 * Math.cos(center.lat * Math.PI / 180);
+        const height = (bounds.getNorth() - bounds.getSouth()) * 111320;
+        const canvas = this.map.map ? this.map.getCanvas() : null;
+        const aspect = canvas && canvas.clientHeight > 0 ? canvas.clientWidth / canvas.clientHeight : 16 / 9;
+        const extent = Math.max(height, width / aspect, 500) * this.overviewMargin;
+        const distance = (extent / 2) / Math.tan(this.overviewFov * Math.PI / 360);
+
+        const pitchRad = this.overviewPitch * Math.PI / 180;
+        const camera = this.offsetPosition(lookAt, distance * Math.sin(pitchRad), bearing + 180);
+        const altitude = Math.max(
+            lookAt.alt + distance * Math.cos(pitchRad),
+            this.getClearAltitude(camera, lookAt, 0, lookAt.alt)
+        );
+
+        return {
+            camera: { ...camera, alt: altitude },
+            lookAt,
+            fallbackAltitude: distance
+        };
+    }
+
+    // Intro: hold the overview, then swoop down onto the flyover camera at the start
+    computeOverviewIntroPose(trackPosition, settings) {
+        const overview = this.computeOverviewPose(trackPosition.bearing);
+        const t = (settings.phaseTime / settings.phaseDuration - this.overviewHold) / (1 - this.overviewHold);
+        if (t <= 0) return overview;
+
+        const trackPose = this.getTrackPose(trackPosition, settings);
+        return this.keepAboveGround(this.swoopPoses(overview, trackPose, this.easeInOutCubic(Math.min(1, t))));
+    }
+
+    // Outro: pull back from the finish to the overview, then hold it under the summary card
+    computePullbackOutroPose(trackPosition, settings) {
+        const overview = this.computeOverviewPose(trackPosition.bearing);
+        const t = (settings.phaseTime / settings.phaseDuration) / (1 - this.overviewHold);
+        if (t >= 1) return overview;
+
+        const trackPose = this.getTrackPose(trackPosition, settings);
+        return this.keepAboveGround(this.swoopPoses(trackPose, overview, this.easeInOutCubic(t)));
+    }
+
+    // Like blendPoses, but height above the look-at point changes geometrically,
+    // so a long descent spends its time near the ground instead of high above it
+    swoopPoses(from, to, t) {
+        const pose = this.blendPoses(from, to, t);
+        const fromHeight = Math.max(1, from.camera.alt - from.lookAt.alt);
+        const toHeight = Math.max(1, to.camera.alt - to.lookAt.alt);
+        pose.camera.alt = pose.lookAt.alt + fromHeight * Math.pow(toHeight / fromHeight, t);
+        return pose;
+    }
+
+    // Summary card fades in once the pull-back outro has reached the overview
+    getSummaryCardOpacity() {
+        const phase = this.currentPhase;
+        if (!phase || phase.type !== 'pullback' || phase.duration <= 0) return 0;
+        const fadeStart = 1 - this.overviewHold;
+        const t = (this.phaseTime / phase.duration - fadeStart) / (this.overviewHold / 2);
+        return Math.max(0, Math.min(1, t));
+    }
+
+    // Linear blend of two poses (used between keyframes with different modes)
+    blendPoses(from, to, t) {
+        const lerp = (a, b) => a + (b - a) * t;
+        const lerpPoint = (a, b) => ({ lon: lerp(a.lon, b.lon), lat: lerp(a.lat, b.lat), alt: lerp(a.alt, b.alt) });
+        return {
+            camera: lerpPoint(from.camera, to.camera),
+            lookAt: lerpPoint(from.lookAt, to.lookAt),
+            fallbackAltitude: lerp(from.fallbackAltitude, to.fallbackAltitude)
+        };
+    }
+
+    // A blend of two clear poses can still pass through a hillside between them
+    keepAboveGround(pose) {
+        const ground = this.queryTerrainElevation(pose.camera.lon, pose.camera.lat, pose.lookAt.alt);
+        pose.camera.alt = Math.max(pose.camera.alt, ground + this.minTerrainClearance);
+        return pose;
+    }
+
+    // Turn a 3D pose into map camera options
+    poseToCameraPosition(pose, trackPosition, settings) {
+        const map = this.map.map;
+        this.cameraLocation = { ...pose.camera };
+
+        if (map && typeof maplibregl !== 'undefined') {
+            try {
+                const options = map.calculateCameraOptionsFromTo(
+                    new maplibregl.LngLat(pose.camera.lon, pose.camera.lat),
+                    pose.camera.alt,
+                    new maplibregl.LngLat(pose.lookAt.lon, pose.lookAt.lat),
+                    pose.lookAt.alt
+                );
+                return {
+                    center: [options.center.lng, options.center.lat],
+                    zoom: options.zoom,
+                    pitch: options.pitch,
+                    bearing: options.bearing
+                };
+            } catch (e) {
+                console.warn('Camera pose failed, falling back to standard camera:', e);
+            }
         }
+
+        // Fallback to standard camera positioning
+        const { position, bearing } = trackPosition;
+        return {
+            center: [position.lon, position.lat],
+            zoom: this.calculateZoom(pose.fallbackAltitude),
+            pitch: settings.pitch,
+            bearing: this.normalizeBearing(bearing + settings.bearingOffset)
+        };
     }
 
     calculateZoom(altitude) {
@@ -612,7 +1545,9 @@ class FlyoverAnimation {
         return Math.max(10, Math.min(18, 18 - Math.log2(altitude / 50)));
     }
 
-    start() {
+    // Play from a sequence time; by default from where a seek left the flyover, or from the
+    // beginning once it is at the end
+    start(time = null) {
         if (this.isPlaying) return;
 
         const points = this.map.getTrackPoints();
@@ -625,17 +1560,21 @@ class FlyoverAnimation {
         this.initializeDistanceData();
 
         // Reset altitude, bearing, and position smoothing for fresh start
-        this.lastCameraAltitude = null;
-        this.lastBearing = null;
-        this.bearingHistory = [];
-        this.lastSmoothedPosition = null;
+        this.resetSmoothing();
 
         // Initialize and show progress marker
         this.initProgressMarker();
 
+        const sequence = this.getSequence();
+        if (time === null) {
+            time = this.sequenceTime < this.getSequenceDuration(sequence) ? this.sequenceTime : 0;
+        }
+
         this.isPlaying = true;
         this.isPaused = false;
-        this.progress = 0;
+        this.direction = 1;
+        this.sequenceTime = time;
+        this.progress = this.getProgressAtTime(time, sequence);
         this.lastTimestamp = performance.now();
 
         this.animate();
@@ -655,14 +1594,16 @@ class FlyoverAnimation {
     stop() {
         this.isPlaying = false;
         this.isPaused = false;
-        this.progress = 0;
-        this.lastCameraAltitude = null; // Reset altitude smoothing
-        this.lastBearing = null; // Reset bearing smoothing
-        this.bearingHistory = [];
-        this.lastSmoothedPosition = null; // Reset position smoothing
+        this.direction = 1;
+        this.progress = this.inPoint;
+        this.sequenceTime = 0;
+        this.currentPhase = null;
+        this.currentPoint = null;
+        this.resetSmoothing(); // Reset altitude, bearing and position smoothing
         
-        // Hide progress marker
+        // Hide progress marker and show the whole track again
         this.setProgressMarkerVisible(false);
+        this.map.setTrailPosition(null);
         
         if (this.animationFrame) {
             cancelAnimationFrame(this.animationFrame);
@@ -670,58 +1611,58 @@ class FlyoverAnimation {
         }
     }
 
-    // Apply camera position (handles both Free Camera and standard positioning)
+    // Apply camera position
     applyCameraPosition(cameraPosition) {
-        const map = this.map.map;
-        if (!map) return;
-
-        if (cameraPosition.freeCamera) {
-            // Use Free Camera API for precise 3D positioning
-            map.setFreeCameraOptions(cameraPosition.freeCamera);
-        } else {
-            // Fallback to standard jumpTo
-            this.map.jumpTo(cameraPosition);
-        }
+        if (!this.map.map) return;
+        this.map.jumpTo(cameraPosition);
     }
 
     animate(timestamp) {
         if (!this.isPlaying || this.isPaused) return;
 
         timestamp = timestamp || performance.now();
-        const deltaTime = timestamp - this.lastTimestamp;
+        // The playback rate speeds up or slows down the preview only
+        const deltaTime = (timestamp - this.lastTimestamp) * this.playbackRate * this.direction;
         this.lastTimestamp = timestamp;
 
-        // Calculate progress increment based on speed and total distance
-        // Base speed: 110 meters per second at 1x speed (fast flyover pace)
-        const baseSpeedMps = 160; // meters per second
-        const effectiveSpeed = baseSpeedMps * this.speed;
-        const distanceThisFrame = effectiveSpeed * (deltaTime / 1000);
-        const progressIncrement = this.totalDistance > 0 ? distanceThisFrame / this.totalDistance : 0;
-
-        this.progress = Math.min(1, this.progress + progressIncrement);
-
-        // Get current position on track
-        const trackPosition = this.getPointAtProgress(this.progress);
-        if (trackPosition) {
-            const cameraPosition = this.getCameraPosition(trackPosition);
-            this.applyCameraPosition(cameraPosition);
-            
-            // Update progress marker position (use raw position to stay on track)
-            this.updateProgressMarker(trackPosition.rawPosition);
+        const sequence = this.getSequence();
+        // Playing backwards, a phase's start belongs to the phase before it
+        const phase = this.getPhaseAtTime(this.direction > 0 ? this.sequenceTime : this.sequenceTime - 1e-6, sequence);
+        let time;
+        if (phase.type === 'track') {
+            // Advance track progress rather than time so speed changes mid-flight don't jump
+            const span = phase.to - phase.from;
+            const progressIncrement = phase.duration > 0 ? (deltaTime / 1000) / phase.duration * span : span * this.direction;
+            const current = Math.max(phase.from, Math.min(phase.to, this.progress));
+            const progress = Math.max(phase.from, Math.min(phase.to, current + progressIncrement));
+            time = phase.start + (span > 0 ? (progress - phase.from) / span : 1) * phase.duration;
+        } else {
+            time = this.sequenceTime + deltaTime / 1000;
         }
 
+        const totalDuration = this.getSequenceDuration(sequence);
+        this.renderAtTime(Math.max(0, Math.min(totalDuration, time)), sequence);
+
         // Fire callbacks
         if (this.onProgress) {
-            this.onProgress(this.progress);
+            this.onProgress(this.progress, this.getSequenceProgress(sequence));
         }
 
         if (this.onFrame) {
             this.onFrame(this.progress);
         }
 
-        // Check if complete
-        if (this.progress >= 1) {
+        // At either end: turn around, go round again or finish
+        const atEnd = this.direction > 0 ? this.sequenceTime >= totalDuration : this.sequenceTime <= 0;
+        if (atEnd && this.loopMode === 'pingpong') {
+            this.direction = -this.direction;
+        } else if (atEnd && this.loopMode === 'loop') {
+            this.resetSmoothing();
+            this.sequenceTime = 0;
+            this.progress = this.inPoint;
+        } else if (atEnd) {
             this.isPlaying = false;
+            this.direction = 1;
             if (this.onComplete) {
                 this.onComplete();
             }
@@ -731,45 +1672,302 @@ class FlyoverAnimation {
         this.animationFrame = requestAnimationFrame((ts) => this.animate(ts));
     }
 
-    // For recording: step through animation frame by frame
-    stepToProgress(progress) {
+    // Playback sequence: intro phase, track flyover, outro phase.
+    // Each phase is { type, placement: 'intro' | 'track' | 'outro', start, duration } in seconds.
+    // The flyover is split into 'track' phases covering track progress from - to, with a 'media'
+    // phase holding at progress `at` for each photo or clip (`stop` indexes mediaStops)
+    getSequence() {
+        const phases = [];
+        if (this.intro.type !== 'none' && this.intro.duration > 0) {
+            phases.push({ type: this.intro.type, placement: 'intro', duration: this.intro.duration });
+        }
+
+        const trackDuration = this.getTrackDuration();
+        let from = this.inPoint;
+        if (this.mediaDuration > 0) {
+            this.mediaStops.forEach((stop, index) => {
+                const at = this.getProgressAtDistance(stop.distance);
+                if (at < this.inPoint || at > this.outPoint) return;
+                if (at > from) {
+                    phases.push({ type: 'track', placement: 'track', from, to: at, duration: (at - from) * trackDuration });
+                }
+                phases.push({ type: 'media', placement: 'track', at, stop: index, duration: this.mediaDuration });
+                from = at;
+            });
+        }
+        phases.push({ type: 'track', placement: 'track', from, to: this.outPoint, duration: (this.outPoint - from) * trackDuration });
+        if (this.outro.type !== 'none' && this.outro.duration > 0) {
+            phases.push({ type: this.outro.type, placement: 'outro', duration: this.outro.duration });
+        }
+
+        let start = 0;
+        for (const phase of phases) {
+            phase.start = start;
+            start += phase.duration;
+        }
+        return phases;
+    }
+
+    getSequenceDuration(sequence = this.getSequence()) {
+        const last = sequence[sequence.length - 1];
+        return last.start + last.duration;
+    }
+
+    getSequenceProgress(sequence = this.getSequence()) {
+        const duration = this.getSequenceDuration(sequence);
+        return duration > 0 ? Math.min(1, this.sequenceTime / duration) : 1;
+    }
+
+    // Phase playing at a sequence time; a phase boundary belongs to the later phase
+    getPhaseAtTime(time, sequence = this.getSequence()) {
+        for (const phase of sequence) {
+            if (time < phase.start + phase.duration) return phase;
+        }
+        return sequence[sequence.length - 1];
+    }
+
+    // Sequence time at which the flyover reaches a track progress (clamped to the in and out points)
+    getTimeAtProgress(progress, sequence = this.getSequence()) {
+        progress = this.clampToRange(progress);
+        const track = sequence.find(phase => phase.type === 'track' && progress <= phase.to);
+        const span = track.to - track.from;
+        return track.start + (span > 0 ? (progress - track.from) / span : 0) * track.duration;
+    }
+
+    // Track progress at a sequence time: where the flyover is, holds or starts and ends
+    getProgressAtTime(time, sequence = this.getSequence()) {
+        const phase = this.getPhaseAtTime(time, sequence);
+        if (phase.type === 'track') {
+            const t = phase.duration > 0 ? (time - phase.start) / phase.duration : 1;
+            return phase.from + (phase.to - phase.from) * Math.max(0, Math.min(1, t));
+        }
+        if (phase.type === 'media') {
+            return phase.at;
+        }
+        return phase.placement === 'intro' ? this.inPoint : this.outPoint;
+    }
+
+    // Photo or clip the flyover is paused at: { item, time, duration } (seconds into the pause)
+    getActiveMedia() {
+        const phase = this.currentPhase;
+        if (!phase || phase.type !== 'media' || !this.mediaStops[phase.stop]) return null;
+        return { item: this.mediaStops[phase.stop].item, time: this.phaseTime, duration: phase.duration };
+    }
+
+    // Position camera and marker at a sequence time
+    renderAtTime(time, sequence = this.getSequence()) {
+        const frame = this.computeFrameAtTime(time, sequence);
+        if (frame) {
+            this.applyFrame(frame);
+        }
+    }
+
+    renderTrackProgress(progress) {
+        const frame = this.computeTrackFrame(progress);
+        if (frame) {
+            this.applyFrame(frame);
+        }
+    }
+
+    // Camera and marker placement at a sequence time, without touching the map.
+    // Advances the playback and smoothing state; returns { cameraPosition, trackPosition } or null
+    computeFrameAtTime(time, sequence = this.getSequence()) {
+        const phase = this.getPhaseAtTime(time, sequence);
+        this.sequenceTime = time;
+        this.currentPhase = phase;
+        this.phaseTime = time - phase.start;
+
+        // Paused at a photo or clip, the camera settles where the flyover stopped
+        if (phase.type === 'track' || phase.type === 'media') {
+            return this.computeTrackFrame(this.getProgressAtTime(time, sequence));
+        }
+
+        // Intro and outro phases hold the marker at the start or finish of the track (or range)
+        this.progress = this.getProgressAtTime(time, sequence);
+        const trackPosition = this.getPointAtProgress(this.progress);
+        if (!trackPosition) return null;
+
+        const phaseTime = this.phaseTime;
+        const settings = {
+            ...this.getCameraSettings(this.progress),
+            elapsed: time,
+            phaseTime,
+            phaseDuration: phase.duration
+        };
+        const builder = this.phaseBuilders[phase.type] || this.phaseBuilders.orbit;
+        let pose = builder(trackPosition, settings);
+
+        // Ease into the flyover at the end of an intro, and out of it at the start of an outro
+        const transition = Math.min(this.phaseTransition, phase.duration / 2);
+        const edge = phase.placement === 'intro' ? phase.duration - phaseTime : phaseTime;
+        if (transition > 0 && edge < transition) {
+            const trackPose = this.getTrackPose(trackPosition, settings);
+            pose = this.keepAboveGround(this.blendPoses(trackPose, pose, this.easeInOutCubic(edge / transition)));
+        }
+
+        pose.camera.alt = this.smoothAltitude(pose.camera.alt);
+        return { cameraPosition: this.poseToCameraPosition(pose, trackPosition, settings), trackPosition };
+    }
+
+    computeTrackFrame(progress) {
+        this.progress = progress;
+        const trackPosition = this.getPointAtProgress(progress);
+        if (!trackPosition) return null;
+        return { cameraPosition: this.getCameraPosition(trackPosition), trackPosition };
+    }
+
+    applyFrame(frame) {
+        this.applyCameraPosition(frame.cameraPosition);
+
+        // Update progress marker position (use raw position to stay on track)
+        this.currentPoint = frame.trackPosition.rawPosition;
+        this.updateProgressMarker(frame.trackPosition.rawPosition, frame.trackPosition.bearing);
+
+        // Reveal the track up to the marker
+        this.map.setTrailPosition(frame.trackPosition.index, frame.trackPosition.t);
+    }
+
+    // Snapshot of the playback and smoothing state, so frames can be computed ahead and rolled back
+    saveState() {
+        return {
+            progress: this.progress,
+            sequenceTime: this.sequenceTime,
+            currentPhase: this.currentPhase,
+            phaseTime: this.phaseTime,
+            currentSegment: this.currentSegment,
+            currentPoint: this.currentPoint,
+            lastCameraAltitude: this.lastCameraAltitude,
+            cameraLocation: this.cameraLocation,
+            lastBearing: this.lastBearing,
+            bearingHistory: [...this.bearingHistory],
+            lastSmoothedPosition: this.lastSmoothedPosition ? { ...this.lastSmoothedPosition } : null
+        };
+    }
+
+    restoreState(state) {
+        Object.assign(this, state);
+        this.bearingHistory = [...state.bearingHistory];
+        this.lastSmoothedPosition = state.lastSmoothedPosition ? { ...state.lastSmoothedPosition } : null;
+
+        // A stored state holds copies; segment changes are detected by identity
+        if (state.currentSegment) {
+            this.currentSegment = this.segmentRanges.find(range => range.start === state.currentSegment.start) || state.currentSegment;
+        }
+    }
+
+    // Jump to a track progress during playback; the next frame continues from there
+    seekToProgress(progress) {
+        this.resetSmoothing();
+        this.progress = this.clampToRange(progress);
+        this.sequenceTime = this.getTimeAtProgress(progress);
+    }
+
+    // Jump to a sequence time (scrubbing). Smoothing starts over at the new position, so the
+    // camera doesn't trail behind from the last one; while paused or stopped the frame is shown
+    seekToTime(time) {
+        const sequence = this.getSequence();
+        time = Math.max(0, Math.min(this.getSequenceDuration(sequence), time));
+        this.resetSmoothing();
+        this.setProgressMarkerVisible(true);
+
+        if (this.isPlaying && !this.isPaused) {
+            this.sequenceTime = time;
+            this.progress = this.getProgressAtTime(time, sequence);
+            return;
+        }
+
+        // The flyover itself goes through stepToProgress; phases it doesn't cover by time
+        if (this.getPhaseAtTime(time, sequence).type === 'track') {
+            this.stepToProgress(this.getProgressAtTime(time, sequence));
+        } else {
+            this.stepToTime(time);
+        }
+    }
+
+    // Step one frame forwards or backwards while paused or stopped. Forwards the smoothing
+    // carries on like in playback; backwards the state the previous frame was stepped from is
+    // restored, so stepping back and forth shows the same frames
+    stepFrame(direction, frameDuration) {
+        if (this.stepTime !== this.sequenceTime) {
+            this.stepHistory = [];
+        }
+        this.setProgressMarkerVisible(true);
+
+        if (direction > 0) {
+            this.stepHistory.push(this.saveState());
+            this.stepToTime(Math.min(this.getSequenceDuration(), this.sequenceTime + frameDuration));
+        } else {
+            const current = this.stepHistory.pop();
+            const previous = this.stepHistory[this.stepHistory.length - 1];
+            if (current && previous) {
+                this.restoreState(previous);
+                this.stepToTime(current.sequenceTime);
+            } else {
+                // Nothing further back was stepped through: the frame is shown settled
+                this.stepHistory = [];
+                this.seekToTime(current ? current.sequenceTime : this.sequenceTime - frameDuration);
+            }
+        }
+        this.stepTime = this.sequenceTime;
+    }
+
+    // For recording: step through the whole sequence frame by frame
+    stepToTime(time) {
         // Ensure distance data is initialized for recording
         if (!this.distanceDataInitialized) {
             this.initializeDistanceData();
         }
 
         // Reset smoothing at the start of recording
-        if (progress === 0 || progress < this.progress) {
-            this.lastCameraAltitude = null;
-            this.lastBearing = null;
-            this.bearingHistory = [];
-            this.lastSmoothedPosition = null;
+        if (time === 0 || time < this.sequenceTime) {
+            this.resetSmoothing();
             // Initialize marker for recording
             this.initProgressMarker();
         }
 
-        this.progress = progress;
-        const trackPosition = this.getPointAtProgress(progress);
-        if (trackPosition) {
-            const cameraPosition = this.getCameraPosition(trackPosition);
-            this.applyCameraPosition(cameraPosition);
-            
-            // Update progress marker position (use raw position to stay on track)
-            this.updateProgressMarker(trackPosition.rawPosition);
-            
-            this.map.triggerRepaint();
+        this.renderAtTime(time);
+        this.map.triggerRepaint();
+    }
+
+    // Step to a track progress, skipping intro and outro
+    stepToProgress(progress) {
+        if (!this.distanceDataInitialized) {
+            this.initializeDistanceData();
         }
+        progress = this.clampToRange(progress);
+
+        if (progress === this.inPoint || progress < this.progress) {
+            this.resetSmoothing();
+            this.initProgressMarker();
+        }
+
+        const sequence = this.getSequence();
+        this.sequenceTime = this.getTimeAtProgress(progress, sequence);
+        this.currentPhase = this.getPhaseAtTime(this.sequenceTime, sequence);
+        this.phaseTime = this.sequenceTime - this.currentPhase.start;
+        this.renderTrackProgress(progress);
+        this.map.triggerRepaint();
     }
 
+    // Playback duration in seconds of the track between the in and out points: the flyover
+    // part of the video
     getTotalDuration() {
-        // Return estimated duration in seconds based on distance and speed
-        // Base speed: 160 meters per second at 1x
+        return this.getTrackDuration() * (this.outPoint - this.inPoint);
+    }
+
+    // Playback duration in seconds of the whole track for the active pacing
+    getTrackDuration() {
         if (!this.distanceDataInitialized) {
             this.initializeDistanceData();
         }
 
-        const baseSpeedMps = 160;
-        const effectiveSpeed = baseSpeedMps * this.speed;
+        if (this.usesTimePacing()) {
+            // Recorded time squeezed by the time-lapse factor (speed multiplies on top)
+            return this.totalTime / (this.timeLapse * this.speed);
+        }
+
+        // Base speed: 160 meters per second at 1x
+        const effectiveSpeed = this.baseSpeedMps * this.speed;
         return this.totalDistance > 0 ? this.totalDistance / effectiveSpeed : 160;
     }
 
@@ -781,92 +1979,48 @@ class FlyoverAnimation {
         return this.totalDistance;
     }
 
+    // Use another progress marker look; it takes over the current marker's place on the map
+    setProgressMarker(marker) {
+        const map = this.map.map;
+        const onMap = map && this.progressMarker.isOnMap(map);
+        this.removeProgressMarker();
+        this.progressMarker = marker;
+        if (onMap) {
+            this.initProgressMarker();
+        }
+    }
+
     // Initialize the progress marker on the map
     initProgressMarker() {
         const map = this.map.map;
         if (!map) return;
 
-        // Remove existing marker layers/sources if they exist
-        this.removeProgressMarker();
-
-        // Add source for the marker
-        map.addSource(this.progressMarkerSourceId, {
-            type: 'geojson',
-            data: {
-                type: 'Feature',
-                geometry: {
-                    type: 'Point',
-                    coordinates: [0, 0]
-                }
-            }
-        });
-
-        // Add outer glow/outline layer
-        map.addLayer({
-            id: this.progressMarkerOutlineLayerId,
-            type: 'circle',
-            source: this.progressMarkerSourceId,
-            paint: {
-                'circle-radius': 18,
-                'circle-color': '#ffffff',
-                'circle-opacity': 0.6,
-                'circle-blur': 0.5
-            }
-        });
-
-        // Add main marker layer - big visible dot
-        map.addLayer({
-            id: this.progressMarkerLayerId,
-            type: 'circle',
-            source: this.progressMarkerSourceId,
-            paint: {
-                'circle-radius': 12,
-                'circle-color': '#00ff00',
-                'circle-stroke-width': 3,
-                'circle-stroke-color': '#ffffff',
-                'circle-opacity': 1
-            }
-        });
+        this.progressMarker.add(map);
+        this.progressMarker.setShown(true);
     }
 
-    // Update the progress marker position
-    updateProgressMarker(position) {
+    // Update the progress marker position, facing along the bearing
+    updateProgressMarker(position, bearing) {
         const map = this.map.map;
         if (!map) return;
 
-        const source = map.getSource(this.progressMarkerSourceId);
-        if (!source) {
-            // Initialize marker if it doesn't exist
+        if (!this.progressMarker.isOnMap(map)) {
+            // Initialize marker if it doesn't exist (or a style change removed it)
             this.initProgressMarker();
-            return this.updateProgressMarker(position);
         }
 
-        source.setData({
-            type: 'Feature',
-            geometry: {
-                type: 'Point',
-                coordinates: [position.lon, position.lat]
-            },
-            properties: {
-                elevation: position.ele || 0
+        const properties = { elevation: position.ele || 0 };
+        for (const key of this.pointFields) {
+            if (position[key] !== undefined) {
+                properties[key] = position[key];
             }
-        });
+        }
+        this.progressMarker.update(position, bearing, properties);
     }
 
     // Remove the progress marker from the map
     removeProgressMarker() {
-        const map = this.map.map;
-        if (!map) return;
-
-        if (map.getLayer(this.progressMarkerLayerId)) {
-            map.removeLayer(this.progressMarkerLayerId);
-        }
-        if (map.getLayer(this.progressMarkerOutlineLayerId)) {
-            map.removeLayer(this.progressMarkerOutlineLayerId);
-        }
-        if (map.getSource(this.progressMarkerSourceId)) {
-            map.removeSource(this.progressMarkerSourceId);
-        }
+        this.progressMarker.remove();
     }
 
     // Show or hide the progress marker
@@ -874,24 +2028,10 @@ class FlyoverAnimation {
         const map = this.map.map;
         if (!map) return;
 
-        if (visible) {
-            if (!map.getSource(this.progressMarkerSourceId)) {
-                this.initProgressMarker();
-            }
-            if (map.getLayer(this.progressMarkerLayerId)) {
-                map.setLayoutProperty(this.progressMarkerLayerId, 'visibility', 'visible');
-            }
-            if (map.getLayer(this.progressMarkerOutlineLayerId)) {
-                map.setLayoutProperty(this.progressMarkerOutlineLayerId, 'visibility', 'visible');
-            }
-        } else {
-            if (map.getLayer(this.progressMarkerLayerId)) {
-                map.setLayoutProperty(this.progressMarkerLayerId, 'visibility', 'none');
-            }
-            if (map.getLayer(this.progressMarkerOutlineLayerId)) {
-                map.setLayoutProperty(this.progressMarkerOutlineLayerId, 'visibility', 'none');
-            }
+        if (visible && !this.progressMarker.isOnMap(map)) {
+            this.initProgressMarker();
         }
+        this.progressMarker.setShown(visible);
     }
 }
 
@@ -0,0 +1,222 @@
+// Soundtrack for exported videos: a music file fitted to the video length with fades and volume,
+// plus an optional wind-noise bed that follows the camera speed. Rendered offline, so the audio is
+// exact however long the frames took to record
+class Soundtrack {
+    constructor() {
+        this.sampleRate = 48000;
+        this.numberOfChannels = 2;
+
+        // Music
+        this.music = null; // Decoded AudioBuffer
+        this.musicData = null; // The file's bytes (kept for render jobs; decoding detaches its buffer)
+        this.musicName = '';
+        this.volume = 0.8; // 0 - 1
+        this.fadeIn = 2; // seconds
+        this.fadeOut = 3; // seconds
+        this.loop = true; // Loop music shorter than the video; otherwise it plays once
+
+        // Wind
+        this.wind = false;
+        this.windLevel = 0.3; // 0 - 1
+        this.windReferenceSpeed = 150; // m/s of camera movement that gives half the wind level
+        this.windSmoothing = 0.5; // seconds the camera speed is averaged over
+    }
+
+    // Whether there is anything to put in the video
+    isEnabled() {
+        return !!this.music || this.wind;
+    }
+
+    async loadMusic(file) {
+        const data = await file.arrayBuffer();
+        await this.setMusicData(data, file.name);
+    }
+
+    async setMusicData(data, name) {
+        const context = new OfflineAudioContext(this.numberOfChannels, 1, this.sampleRate);
+        this.music = await context.decodeAudioData(data.slice(0));
+        this.musicData = data;
+        this.musicName = name || '';
+    }
+
+    clearMusic() {
+        this.music = null;
+        this.musicData = null;
+        this.musicName = '';
+    }
+
+    setVolume(volume) {
+        this.volume = volume;
+    }
+
+    setFades(fadeIn, fadeOut) {
+        this.fadeIn = fadeIn;
+        this.fadeOut = fadeOut;
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+    }
+
+    setWind(enabled, level = this.windLevel) {
+        this.wind = enabled;
+        this.windLevel = level;
+    }
+
+    // Settings and music as plain data (render jobs, saved projects)
+    getSettings() {
+        return {
+            musicData: this.musicData,
+            musicName: this.musicName,
+            volume: this.volume,
+            fadeIn: this.fadeIn,
+            fadeOut: this.fadeOut,
+            loop: this.loop,
+            wind: this.wind,
+            windLevel: this.windLevel
+        };
+    }
+
+    async applySettings(settings) {
+        if (settings.musicData) {
+            await this.setMusicData(settings.musicData, settings.musicName);
+        } else {
+            this.clearMusic();
+        }
+        this.setVolume(settings.volume);
+        this.setFades(settings.fadeIn, settings.fadeOut);
+        this.setLoop(settings.loop);
+        this.setWind(settings.wind, settings.windLevel);
+    }
+
+    // Mix the soundtrack for a video of the given length. cameraSpeeds holds the camera speed
+    // (m/s) of every frame at fps, for the wind
+    async render(duration, cameraSpeeds = [], fps = 30) {
+        const length = Math.max(1, Math.ceil(duration * this.sampleRate));
+        const context = new OfflineAudioContext(this.numberOfChannels, length, this.sampleRate);
+
+        if (this.music) {
+            this.addMusic(context, duration);
+        }
+        if (this.wind && cameraSpeeds.length > 1) {
+            this.addWind(context, duration, cameraSpeeds, fps);
+        }
+
+        return context.startRendering();
+    }
+
+    addMusic(context, duration) {
+        const source = context.createBufferSource();
+        source.buffer = this.music;
+        source.loop = this.loop;
+
+        // Fades never overlap, however short the video
+        const fadeIn = Math.min(this.fadeIn, duration / 2);
+        const fadeOut = Math.min(this.fadeOut, duration / 2);
+        const end = this.loop ? duration : Math.min(duration, this.music.duration);
+
+        const gain = context.createGain();
+        gain.gain.setValueAtTime(fadeIn > 0 ? 0 : this.volume, 0);
+        if (fadeIn > 0) {
+            gain.gain.linearRampToValueAtTime(this.volume, fadeIn);
+        }
+        if (fadeOut > 0) {
+            gain.gain.setValueAtTime(this.volume, Math.max(fadeIn, end - fadeOut));
+            gain.gain.linearRampToValueAtTime(0, end);
+        }
+
+        source.connect(gain).connect(context.destination);
+        source.start(0);
+    }
+
+    // Filtered noise whose level and brightness rise with the camera speed
+    addWind(context, duration, cameraSpeeds, fps) {
+        const noise = context.createBuffer(this.numberOfChannels, this.sampleRate * 2, this.sampleRate);
+        for (let channel = 0; channel < this.numberOfChannels; channel++) {
+            const data = noise.getChannelData(channel);
+            // Brown noise: integrated white noise, which sounds like air rather than hiss
+            let last = 0;
+            for (let i = 0; i < data.length; i++) {
+                last = (last + 0.02 * (Math.random() * 2 - 1)) / 1.02;
+                data[i] = last * 3.5;
+            }
+        }
+
+        const source = context.createBufferSource();
+        source.buffer = noise;
+        source.loop = true;
+
+        const filter = context.createBiquadFilter();
+        filter.type = 'lowpass';
+        filter.Q.value = 0.7;
+
+        const gain = context.createGain();
+
+        // Speed as 0 - 1 per frame, averaged so frame-to-frame jitter and segment jumps don't pop
+        const radius = Math.max(1, Math.round(this.windSmoothing * fps / 2));
+        const strength = new Float32Array(cameraSpeeds.length);
+        for (let i = 0; i < cameraSpeeds.length; i++) {
+            let sum = 0;
+            let count = 0;
+            for (let j = Math.max(0, i - radius); j <= Math.min(cameraSpeeds.length - 1, i + radius); j++) {
+                sum += cameraSpeeds[j] || 0;
+                count++;
+            }
+            const speed = sum / count;
+            strength[i] = speed / (speed + this.windReferenceSpeed);
+        }
+
+        const curveDuration = Math.min(duration, cameraSpeeds.length / fps);
+        gain.gain.setValueCurveAtTime(strength.map(s => s * this.windLevel), 0, curveDuration);
+        filter.frequency.setValueCurveAtTime(strength.map(s => 300 + s * 1500), 0, curveDuration);
+
+        source.connect(filter).connect(gain).connect(context.destination);
+        source.start(0);
+    }
+
+    // 16-bit PCM WAV file of an AudioBuffer (for converters that take the audio as a file)
+    static encodeWav(audioBuffer) {
+        const channels = audioBuffer.numberOfChannels;
+        const frames = audioBuffer.length;
+        const dataSize = frames * channels * 2;
+        const view = new DataView(new ArrayBuffer(44 + dataSize));
+
+        const writeString = (offset, text) => {
+            for (let i = 0; i < text.length; i++) {
+                view.setUint8(offset + i, text.charCodeAt(i));
+            }
+        };
+
+        writeString(0, 'RIFF');
+        view.setUint32(4, 36 + dataSize, true);
+        writeString(8, 'WAVE');
+        writeString(12, 'fmt ');
+        view.setUint32(16, 16, true); // Format chunk size
+        view.setUint16(20, 1, true); // PCM
+        view.setUint16(22, channels, true);
+        view.setUint32(24, audioBuffer.sampleRate, true);
+        view.setUint32(28, audioBuffer.sampleRate * channels * 2, true); // Bytes per second
+        view.setUint16(32, channels * 2, true); // Bytes per frame
+        view.setUint16(34, 16, true); // Bits per sample
+        writeString(36, 'data');
+        view.setUint32(40, dataSize, true);
+
+        const channelData = [];
+        for (let channel = 0; channel < channels; channel++) {
+            channelData.push(audioBuffer.getChannelData(channel));
+        }
+        let offset = 44;
+        for (let i = 0; i < frames; i++) {
+            for (let channel = 0; channel < channels; channel++) {
+                const sample = Math.max(-1, Math.min(1, channelData[channel][i]));
+                view.setInt16(offset, sample < 0 ? sample * 0x8000 : sample * 0x7fff, true);
+                offset += 2;
+            }
+        }
+
+        return new Blob([view.buffer], { type: 'audio/wav' });
+    }
+}
+
+// Export for use in other modules
+window.Soundtrack = Soundtrack;
@@ -0,0 +1,256 @@
+// Track colouring by a per-point value (elevation, gradient, speed, heart rate or power) through a
+// colour palette: line-gradient stops for the map and the legend shown with it
+class TrackColoring {
+    constructor() {
+        this.metric = 'none'; // 'none' (one colour per track) or a key of metrics
+        this.palette = 'viridis'; // A key of palettes
+        this.sampleCount = 256; // Most gradient stops per track segment
+        this.gradientWindow = 100; // Meters of track gradient and speed are measured over (as in the HUD)
+        this.rangePercentile = 0.02; // Share of values clipped at each end of the range (GPS spikes)
+
+        this.values = null; // Metric value per track point (null where unknown)
+        this.range = null; // { min, max } the palette spans
+
+        // format: value in the metric's unit -> text; symmetric ranges are centred on zero
+        this.metrics = {
+            elevation: { label: 'Elevation', unit: 'm', format: v => Math.round(v) },
+            gradient: { label: 'Gradient', unit: '%', format: v => v.toFixed(1), symmetric: true },
+            speed: { label: 'Speed', unit: 'km/h', format: v => v.toFixed(1) },
+            heartRate: { label: 'Heart rate', unit: 'bpm', format: v => Math.round(v) },
+            power: { label: 'Power', unit: 'W', format: v => Math.round(v) }
+        };
+
+        // Colours from the low to the high end of the range
+        this.palettes = {
+            viridis: ['#440154', '#3b528b', '#21918c', '#5ec962', '#fde725'],
+            heat: ['#ffffb2', '#fecc5c', '#fd8d3c', '#f03b20', '#bd0026'],
+            terrain: ['#1a9850', '#91cf60', '#d9ef8b', '#fee08b', '#fc8d59', '#d73027'],
+            diverging: ['#2166ac', '#67a9cf', '#f7f7f7', '#ef8a62', '#b2182b'],
+            accent: ['#ffffff', '#e94560']
+        };
+    }
+
+    setMetric(metric) {
+        this.metric = metric in this.metrics ? metric : 'none';
+        this.values = null;
+        this.range = null;
+    }
+
+    setPalette(palette) {
+        if (palette in this.palettes) {
+            this.palette = palette;
+        }
+    }
+
+    isEnabled() {
+        return this.metric !== 'none';
+    }
+
+    // Whether the points carry the data a metric needs
+    isMetricAvailable(metric, points) {
+        switch (metric) {
+            case 'elevation':
+            case 'gradient':
+                return points.some(p => p.ele !== undefined && p.ele !== null);
+            case 'speed':
+                return points.some(p => p.speed !== undefined || p.time !== undefined);
+            case 'heartRate':
+                return points.some(p => p.hr !== undefined);
+            case 'power':
+                return points.some(p => p.power !== undefined);
+            default:
+                return true;
+        }
+    }
+
+    // Settings as plain data (render jobs, saved projects)
+    getSettings() {
+        return { metric: this.metric, palette: this.palette };
+    }
+
+    applySettings(settings) {
+        this.setMetric(settings.metric);
+        this.setPalette(settings.palette);
+    }
+
+    // Compute the metric for every point and the range the palette spans.
+    // segments: [{ start, end }] point ranges measured separately (no distance across gaps)
+    update(points, segments) {
+        if (!this.isEnabled()) return;
+
+        this.values = new Array(points.length).fill(null);
+        for (const segment of segments) {
+            const distances = this.getSegmentDistances(points, segment);
+            for (let i = segment.start; i < segment.end; i++) {
+                this.values[i] = this.getPointValue(points, segment, distances, i);
+            }
+        }
+        this.fillGaps(this.values);
+        this.range = this.computeRange(this.values);
+    }
+
+    // Distance along a segment of each of its points
+    getSegmentDistances(points, segment) {
+        const distances = [0];
+        for (let i = segment.start + 1; i < segment.end; i++) {
+            distances.push(distances[distances.length - 1] + this.calculateDistance(points[i - 1], points[i]));
+        }
+        return distances;
+    }
+
+    getPointValue(points, segment, distances, index) {
+        const point = points[index];
+        switch (this.metric) {
+            case 'elevation':
+                return point.ele ?? null;
+            case 'heartRate':
+                return point.hr ?? null;
+            case 'power':
+                return point.power ?? null;
+            case 'speed':
+                // Prefer the device's speed; otherwise derive it from timestamps
+                if (point.speed !== undefined) return point.speed * 3.6;
+                break;
+        }
+
+        // Gradient and derived speed are measured over a window around the point
+        // (at least the window: sparse points widen it to the next point ahead)
+        const offset = distances[index - segment.start];
+        const behind = segment.start + this.findIndex(distances, offset - this.gradientWindow / 2);
+        let ahead = this.findIndex(distances, offset + this.gradientWindow / 2);
+        if (distances[ahead] < offset + this.gradientWindow / 2 && ahead < distances.length - 1) {
+            ahead++;
+        }
+        ahead += segment.start;
+        const run = distances[ahead - segment.start] - distances[behind - segment.start];
+        if (run < 10) return null;
+
+        if (this.metric === 'gradient') {
+            return ((points[ahead].ele || 0) - (points[behind].ele || 0)) / run * 100;
+        }
+        const from = points[behind].time;
+        const to = points[ahead].time;
+        return from !== undefined && to !== undefined && to > from ? run / ((to - from) / 1000) * 3.6 : null;
+    }
+
+    // Index of the last distance at or before a target (clamped to the array)
+    findIndex(distances, target) {
+        let left = 0;
+        let right = distances.length - 1;
+        while (left < right) {
+            const mid = Math.ceil((left + right) / 2);
+            if (distances[mid] <= target) {
+                left = mid;
+            } else {
+                right = mid - 1;
+            }
+        }
+        return left;
+    }
+
+    // Points without a value take the previous known one (or the next, at the start)
+    fillGaps(values) {
+        let last = null;
+        for (let i = 0; i < values.length; i++) {
+            if (values[i] === null) {
+                values[i] = last;
+            } else {
+                last = values[i];
+            }
+        }
+        const first = values.find(v => v !== null) ?? 0;
+        for (let i = 0; i < values.length && values[i] === null; i++) {
+            values[i] = first;
+        }
+    }
+
+    computeRange(values) {
+        const sorted = values.filter(v => v !== null).sort((a, b) => a - b);
+        if (sorted.length === 0) return { min: 0, max: 1 };
+
+        const clip = Math.floor(sorted.length * this.rangePercentile);
+        let min = sorted[clip];
+        let max = sorted[sorted.length - 1 - clip];
+        if (this.metrics[this.metric].symmetric) {
+            max = Math.max(Math.abs(min), Math.abs(max));
+            min = -max;
+        }
+        if (max - min < 1e-6) {
+            max = min + 1;
+        }
+        return { min, max };
+    }
+
+    // Palette colour of a value, as [r, g, b]
+    getRgb(value) {
+        const colors = this.palettes[this.palette];
+        const t = Math.max(0, Math.min(1, (value - this.range.min) / (this.range.max - this.range.min)));
+        const position = t * (colors.length - 1);
+        const index = Math.min(Math.floor(position), colors.length - 2);
+        const from = this.parseColor(colors[index]);
+        const to = this.parseColor(colors[index + 1]);
+        const f = position - index;
+        return from.map((a, i) => Math.round(a + (to[i] - a) * f));
+    }
+
+    parseColor(hex) {
+        return [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+    }
+
+    // [[progress, [r, g, b]]] gradient stops along one segment of points, averaging the values
+    // between stops so noisy data (heart rate, power) doesn't flicker along the line.
+    // distances: the line's length at each point, in the units its line-progress is measured in
+    getGradientStops(segment, distances) {
+        const length = distances[distances.length - 1];
+        const values = this.values.slice(segment.start, segment.end);
+        if (length <= 0) {
+            return [[0, this.getRgb(values[0])], [1, this.getRgb(values[0])]];
+        }
+
+        // Running sums, so each stop's average is a difference of two sums
+        const sums = [0];
+        for (const value of values) {
+            sums.push(sums[sums.length - 1] + value);
+        }
+
+        const stopCount = Math.max(2, Math.min(this.sampleCount, values.length));
+        const binLength = length / (stopCount - 1);
+        const stops = [];
+        for (let k = 0; k < stopCount; k++) {
+            const distance = (k / (stopCount - 1)) * length;
+            const from = this.findIndex(distances, distance - binLength / 2);
+            const to = Math.max(from, this.findIndex(distances, distance + binLength / 2));
+            const average = (sums[to + 1] - sums[from]) / (to + 1 - from);
+            stops.push([k / (stopCount - 1), this.getRgb(average)]);
+        }
+        return stops;
+    }
+
+    // { label, unit, min, max, colors } for the legend, or null without colouring
+    getLegend() {
+        if (!this.isEnabled() || !this.range) return null;
+        const metric = this.metrics[this.metric];
+        return {
+            label: metric.label,
+            unit: metric.unit,
+            min: metric.format(this.range.min),
+            max: metric.format(this.range.max),
+            colors: this.palettes[this.palette]
+        };
+    }
+
+    calculateDistance(point1, point2) {
+        const R = 6371000; // Earth's radius in meters
+        const lat1 = point1.lat * Math.PI / 180;
+        const lat2 = point2.lat * Math.PI / 180;
+        const dLat = lat2 - lat1;
+        const dLon = (point2.lon - point1.lon) * Math.PI / 180;
+
+        const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+            Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+        return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    }
+}
+
+// Export for use in other modules
+window.TrackColoring = TrackColoring;
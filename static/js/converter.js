@@ -0,0 +1,108 @@
+// Recording converters turn a finished recording into another format (see VideoRecorder.converters).
+// A converter provides:
+//   mimeType                                     format it produces
+//   load() -> Promise<boolean>                   fetch its assets; false when unavailable
+//   convert(blob, { duration, onProgress, audio }) -> Promise<Blob>
+//                                                audio: optional WAV Blob to put in the output
+//   cancel()                                     abort a running convert(), which then rejects
+
+// WebM to MP4 (H.264) with ffmpeg.wasm, loaded from the app's /vendor route so it works offline
+class FFmpegConverter {
+    constructor(baseURL = '/vendor') {
+        this.baseURL = baseURL;
+        this.mimeType = 'video/mp4';
+        this.ffmpeg = null;
+        this.fetchFile = null;
+        this.loaded = false;
+        this.cancelled = false;
+    }
+
+    async load() {
+        if (this.loaded) return true;
+
+        try {
+            const { FFmpeg } = await import(`${this.baseURL}/@ffmpeg/ffmpeg@0.12.7/dist/esm/index.js`);
+            const { fetchFile } = await import(`${this.baseURL}/@ffmpeg/util@0.12.1/dist/esm/index.js`);
+
+            this.ffmpeg = new FFmpeg();
+            this.fetchFile = fetchFile;
+
+            await this.ffmpeg.load({
+                coreURL: `${this.baseURL}/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.js`,
+                wasmURL: `${this.baseURL}/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.wasm`
+            });
+
+            this.loaded = true;
+            return true;
+        } catch (error) {
+            console.error('Failed to load FFmpeg:', error);
+            return false;
+        }
+    }
+
+    // duration (seconds) makes progress reliable: MediaRecorder WebM files don't state their length
+    async convert(blob, { duration = 0, onProgress = null, audio = null } = {}) {
+        this.cancelled = false;
+
+        const handleProgress = ({ progress, time }) => {
+            if (!onProgress) return;
+            // time is the position reached in the output, in microseconds
+            const fraction = duration > 0 ? time / 1e6 / duration : progress;
+            onProgress(Math.max(0, Math.min(1, fraction)));
+        };
+        this.ffmpeg.on('progress', handleProgress);
+
+        try {
+            await this.ffmpeg.writeFile('input.webm', await this.fetchFile(blob));
+
+            const inputs = ['-i', 'input.webm'];
+            let audioArgs = [];
+            if (audio) {
+                await this.ffmpeg.writeFile('audio.wav', await this.fetchFile(audio));
+                inputs.push('-i', 'audio.wav');
+                audioArgs = ['-map', '0:v', '-map', '1:a', '-c:a', 'aac', '-b:a', '192k', '-shortest'];
+            }
+
+            await this.ffmpeg.exec([
+                ...inputs,
+                '-c:v', 'libx264',
+                '-preset', 'fast',
+                '-crf', '23',
+                '-pix_fmt', 'yuv420p',
+                ...audioArgs,
+                '-movflags', '+faststart',
+                'output.mp4'
+            ]);
+
+            const outputData = await this.ffmpeg.readFile('output.mp4');
+
+            // Clean up
+            await this.ffmpeg.deleteFile('input.webm');
+            await this.ffmpeg.deleteFile('output.mp4');
+            if (audio) {
+                await this.ffmpeg.deleteFile('audio.wav');
+            }
+
+            return new Blob([outputData.buffer], { type: this.mimeType });
+        } catch (error) {
+            if (this.cancelled) {
+                throw new Error('Conversion cancelled');
+            }
+            throw error;
+        } finally {
+            this.ffmpeg.off('progress', handleProgress);
+        }
+    }
+
+    cancel() {
+        if (!this.loaded) return;
+        this.cancelled = true;
+
+        // Terminating the worker is the only way to stop a running exec; load() starts a fresh one
+        this.ffmpeg.terminate();
+        this.loaded = false;
+    }
+}
+
+// Export for use in other modules
+window.FFmpegConverter = FFmpegConverter;
@@ -0,0 +1,78 @@
+// Embedded flyover: plays the track named in the URL hash on a loop, without the sidebar
+document.addEventListener('DOMContentLoaded', async () => {
+    const viewState = new ViewState();
+    const state = viewState.parse();
+    const gpxMap = new GPXMap('map');
+    let animation = null;
+
+    // UI Elements
+    const loading = document.getElementById('loading');
+    const loadingText = document.getElementById('loadingText');
+    const playBtn = document.getElementById('playBtn');
+    const openLink = document.getElementById('openLink');
+
+    // Errors stay on screen: there is nobody at a console in an embed
+    function showMessage(text) {
+        loading.querySelector('.spinner').classList.add('hidden');
+        loadingText.textContent = text;
+        loading.classList.remove('hidden');
+    }
+
+    if (!state.track) {
+        showMessage('No track in this link');
+        return;
+    }
+
+    let trackData, project;
+    try {
+        ({ trackData, project } = await viewState.loadTrack(state.track));
+    } catch (error) {
+        console.error('Could not load the linked track:', error);
+        showMessage('Could not load the track: ' + error.message);
+        return;
+    }
+
+    // A saved project brings its own look; the link's settings win over it
+    await gpxMap.init(state.style || (project && project.mapStyle) || 'esri-satellite');
+    if (project) {
+        const coloring = new TrackColoring();
+        coloring.applySettings(project.trackColoring);
+        gpxMap.setTrackColoring(coloring);
+        gpxMap.setTrailReveal(project.trailReveal);
+    }
+    gpxMap.loadTrack(trackData);
+    if (project && project.activeTrack !== null && project.activeTrack !== undefined) {
+        gpxMap.setActiveTrack(project.activeTrack);
+    }
+
+    animation = new FlyoverAnimation(gpxMap);
+    animation.initializeDistanceData();
+    if (project) {
+        animation.applySettings(project.animation);
+        await animation.progressMarker.applySettings(project.marker);
+    }
+    viewState.applyCamera(animation, state);
+    animation.setLoopMode('loop');
+    loading.classList.add('hidden');
+
+    // Start where the link points, or from the beginning with the intro
+    animation.start(state.progress ? animation.getTimeAtProgress(state.progress) : 0);
+    playBtn.disabled = false;
+
+    playBtn.addEventListener('click', () => {
+        if (animation.isPaused) {
+            animation.resume();
+            playBtn.textContent = 'Pause';
+        } else {
+            animation.pause();
+            playBtn.textContent = 'Play';
+        }
+    });
+
+    // The full app (next to this page) opens at the same view
+    const getAppUrl = (view) => new URL('./' + viewState.serialize(view), window.location.href).href;
+    openLink.href = getAppUrl(state);
+    openLink.addEventListener('click', () => {
+        openLink.href = getAppUrl(viewState.capture(state.track, gpxMap, animation));
+    });
+});
@@ -0,0 +1,284 @@
+// Frame-accurate video encoding with WebCodecs, muxed to MP4 or WebM in the browser
+class WebCodecsEncoder {
+    constructor(options) {
+        this.width = options.width;
+        this.height = options.height;
+        this.fps = options.fps;
+        this.container = options.container || 'mp4'; // 'mp4' or 'webm'
+        this.codec = options.codec || 'h264'; // 'h264', 'vp9' or 'av1'
+        this.bitrate = options.bitrate || 8000000;
+        this.keyframeInterval = options.keyframeInterval || 2; // Seconds between keyframes
+        this.audio = options.audio || null; // { sampleRate, numberOfChannels } for an audio track
+
+        this.encoder = null;
+        this.audioConfig = null; // { config, muxerCodec } picked by init(); null means no audio track
+        this.muxer = null;
+        this.target = null;
+        this.error = null;
+        this.framesEncoded = 0;
+        this.maxQueueSize = 8; // Frames waiting in the encoder before encodeFrame() holds back
+
+        // (chunk, meta) receives the encoded chunks instead of the muxer, for callers that store
+        // them and mux later with muxChunks()
+        this.onChunk = null;
+
+        // WebCodecs codec strings to try in order (highest level first) and the muxers' names for them
+        this.codecs = {
+            h264: {
+                candidates: ['avc1.640034', 'avc1.4d0034', 'avc1.640028', 'avc1.42001f'],
+                mp4: 'avc',
+                webm: null // WebM cannot carry H.264
+            },
+            vp9: {
+                candidates: ['vp09.00.51.08', 'vp09.00.41.08', 'vp09.00.31.08'],
+                mp4: 'vp9',
+                webm: 'V_VP9'
+            },
+            av1: {
+                candidates: ['av01.0.12M.08', 'av01.0.08M.08', 'av01.0.05M.08'],
+                mp4: 'av1',
+                webm: 'V_AV1'
+            }
+        };
+
+        // Audio codecs to try per container, with the muxers' names for them
+        this.audioCodecs = {
+            mp4: [{ codec: 'mp4a.40.2', muxerCodec: 'aac' }, { codec: 'opus', muxerCodec: 'opus' }],
+            webm: [{ codec: 'opus', muxerCodec: 'A_OPUS' }]
+        };
+    }
+
+    static isSupported() {
+        return typeof VideoEncoder !== 'undefined' && typeof VideoFrame !== 'undefined';
+    }
+
+    getMimeType() {
+        return this.container === 'webm' ? 'video/webm' : 'video/mp4';
+    }
+
+    // Pick a codec string the browser can encode at this size, or throw
+    async findEncoderConfig() {
+        for (const codec of this.codecs[this.codec].candidates) {
+            const config = {
+                codec,
+                width: this.width,
+                height: this.height,
+                bitrate: this.bitrate,
+                framerate: this.fps
+            };
+            if (this.codec === 'h264') {
+                config.avc = { format: 'avc' };
+            }
+            try {
+                const support = await VideoEncoder.isConfigSupported(config);
+                if (support.supported) return support.config;
+            } catch (e) {
+                // Malformed or unknown codec string; try the next one
+            }
+        }
+        throw new Error(`${this.codec.toUpperCase()} encoding at ${this.width}x${this.height} is not supported in this browser`);
+    }
+
+    // Pick an audio codec the browser can encode for this container, or null (video stays silent)
+    async findAudioConfig() {
+        if (typeof AudioEncoder === 'undefined') {
+            console.warn('WebCodecs audio encoding not available, exporting without sound');
+            return null;
+        }
+
+        for (const { codec, muxerCodec } of this.audioCodecs[this.container]) {
+            const config = {
+                codec,
+                sampleRate: this.audio.sampleRate,
+                numberOfChannels: this.audio.numberOfChannels,
+                bitrate: 192000
+            };
+            try {
+                const support = await AudioEncoder.isConfigSupported(config);
+                if (support.supported) return { config: support.config, muxerCodec };
+            } catch (e) {
+                // Unknown codec; try the next one
+            }
+        }
+        console.warn(`No audio codec for ${this.container.toUpperCase()} in this browser, exporting without sound`);
+        return null;
+    }
+
+    async init() {
+        const codecInfo = this.codecs[this.codec];
+        if (!codecInfo) {
+            throw new Error(`Unknown codec: ${this.codec}`);
+        }
+        if (!codecInfo[this.container]) {
+            throw new Error(`${this.codec.toUpperCase()} cannot be stored in ${this.container.toUpperCase()}`);
+        }
+
+        const config = await this.findEncoderConfig();
+        if (this.audio) {
+            this.audioConfig = await this.findAudioConfig();
+        }
+
+        let output = this.onChunk;
+        if (!output) {
+            this.muxer = await this.createMuxer();
+            output = (chunk, meta) => this.muxer.addVideoChunk(chunk, meta);
+        }
+
+        this.encoder = new VideoEncoder({
+            output,
+            error: (error) => {
+                console.error('VideoEncoder error:', error);
+                this.error = error;
+            }
+        });
+        this.encoder.configure(config);
+    }
+
+    async createMuxer() {
+        // Muxers are served by the app's /vendor route, so export works offline
+        const { Muxer, ArrayBufferTarget } = this.container === 'webm'
+            ? await import('/vendor/webm-muxer@5.0.3/build/webm-muxer.mjs')
+            : await import('/vendor/mp4-muxer@5.1.3/build/mp4-muxer.mjs');
+
+        this.target = new ArrayBufferTarget();
+        const muxerOptions = {
+            target: this.target,
+            video: {
+                codec: this.codecs[this.codec][this.container],
+                width: this.width,
+                height: this.height,
+                frameRate: this.fps
+            }
+        };
+        if (this.audioConfig) {
+            muxerOptions.audio = {
+                codec: this.audioConfig.muxerCodec,
+                sampleRate: this.audioConfig.config.sampleRate,
+                numberOfChannels: this.audioConfig.config.numberOfChannels
+            };
+        }
+        if (this.container === 'mp4') {
+            muxerOptions.fastStart = 'in-memory';
+        }
+        return new Muxer(muxerOptions);
+    }
+
+    // Stored chunk ({ type, timestamp, duration, data, meta }) for onChunk consumers
+    static serializeChunk(chunk, meta) {
+        const data = new ArrayBuffer(chunk.byteLength);
+        chunk.copyTo(data);
+        return {
+            type: chunk.type,
+            timestamp: chunk.timestamp,
+            duration: chunk.duration,
+            data,
+            meta: meta && meta.decoderConfig ? { decoderConfig: meta.decoderConfig } : null
+        };
+    }
+
+    // Mux stored chunks (in frame order) into a video file, with the soundtrack when there is an audio track
+    async muxChunks(records, audioBuffer = null) {
+        const muxer = await this.createMuxer();
+        for (const record of records) {
+            const chunk = new EncodedVideoChunk({
+                type: record.type,
+                timestamp: record.timestamp,
+                duration: record.duration,
+                data: record.data
+            });
+            muxer.addVideoChunk(chunk, record.meta || undefined);
+        }
+        if (audioBuffer) {
+            await this.encodeAudio(audioBuffer, muxer);
+        }
+        muxer.finalize();
+        return new Blob([this.target.buffer], { type: this.getMimeType() });
+    }
+
+    // Encode a canvas as frame number frameIndex; its timestamp is exactly frameIndex / fps
+    async encodeFrame(canvas, frameIndex) {
+        if (this.error) throw this.error;
+
+        // Let the encoder catch up so frames don't pile up in memory
+        while (this.encoder.encodeQueueSize > this.maxQueueSize) {
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+
+        const frame = new VideoFrame(canvas, {
+            timestamp: Math.round(frameIndex * 1e6 / this.fps), // Microseconds
+            duration: Math.round(1e6 / this.fps)
+        });
+        // The first frame is always a keyframe, so a resumed encode starts cleanly
+        const keyframeEvery = Math.max(1, Math.round(this.keyframeInterval * this.fps));
+        this.encoder.encode(frame, { keyFrame: this.framesEncoded === 0 || frameIndex % keyframeEvery === 0 });
+        this.framesEncoded++;
+        frame.close();
+    }
+
+    // Wait until every submitted frame has been output
+    async flush() {
+        await this.encoder.flush();
+        if (this.error) throw this.error;
+    }
+
+    // Encode a rendered soundtrack (AudioBuffer) into the audio track, one second per AudioData
+    async encodeAudio(audioBuffer, muxer = this.muxer) {
+        if (!this.audioConfig) return;
+
+        let error = null;
+        const encoder = new AudioEncoder({
+            output: (chunk, meta) => muxer.addAudioChunk(chunk, meta),
+            error: (e) => {
+                error = e;
+            }
+        });
+        encoder.configure(this.audioConfig.config);
+
+        const channels = this.audioConfig.config.numberOfChannels;
+        const blockSize = audioBuffer.sampleRate;
+        for (let start = 0; start < audioBuffer.length; start += blockSize) {
+            const frames = Math.min(blockSize, audioBuffer.length - start);
+            const data = new Float32Array(frames * channels);
+            for (let channel = 0; channel < channels; channel++) {
+                const source = audioBuffer.getChannelData(Math.min(channel, audioBuffer.numberOfChannels - 1));
+                data.set(source.subarray(start, start + frames), channel * frames);
+            }
+
+            const audioData = new AudioData({
+                format: 'f32-planar',
+                sampleRate: audioBuffer.sampleRate,
+                numberOfFrames: frames,
+                numberOfChannels: channels,
+                timestamp: Math.round(start * 1e6 / audioBuffer.sampleRate), // Microseconds
+                data
+            });
+            encoder.encode(audioData);
+            audioData.close();
+        }
+
+        await encoder.flush();
+        encoder.close();
+        if (error) throw error;
+    }
+
+    // Flush the encoder and return the finished video, with the soundtrack when there is an audio track
+    async finish(audioBuffer = null) {
+        await this.flush();
+        if (audioBuffer) {
+            await this.encodeAudio(audioBuffer);
+        }
+
+        this.muxer.finalize();
+        this.encoder.close();
+        return new Blob([this.target.buffer], { type: this.getMimeType() });
+    }
+
+    cancel() {
+        if (this.encoder && this.encoder.state !== 'closed') {
+            this.encoder.close();
+        }
+    }
+}
+
+// Export for use in other modules
+window.WebCodecsEncoder = WebCodecsEncoder;
@@ -0,0 +1,386 @@
+// Heads-up display composited over the map: live stats, mini profile, title, track colour legend
+// and attribution.
+// Draws onto any 2D canvas, so the preview overlay and recorded frames look the same.
+class HudCompositor {
+    constructor() {
+        this.animation = null;
+        this.summaryCard = null; // Drawn on top during the pull-back outro
+        this.mediaCard = new MediaCard(); // Photo or clip the flyover is paused at
+        this.trackColoring = null; // TrackColoring the legend describes
+        this.title = '';
+        this.attribution = '';
+
+        // Layers that can be switched on and off
+        this.layers = {
+            title: true,
+            distance: true,
+            elevation: true,
+            gradient: true,
+            elapsed: true,
+            speed: true,
+            heartRate: true,
+            profile: true,
+            legend: true,
+            attribution: true
+        };
+
+        this.gradientWindow = 100; // Meters of track the gradient is measured over
+        this.profileSampleCount = 200;
+        this.profileSamples = null;
+        this.profilePoints = null; // Track the samples were taken from
+        this.profileRange = null; // { start, end } distances the samples span
+
+        // Styling, sized for frames whose short side is 1080 pixels (colors follow style.css)
+        this.panelColor = 'rgba(22, 33, 62, 0.75)';
+        this.textColor = '#eeeeee';
+        this.mutedColor = '#aaaaaa';
+        this.accent = '#e94560';
+        this.cursorColor = '#4ecca3';
+        this.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+        this.margin = 40;
+    }
+
+    setAnimation(animation) {
+        this.animation = animation;
+        this.profileSamples = null;
+    }
+
+    setSummaryCard(summaryCard) {
+        this.summaryCard = summaryCard;
+    }
+
+    setTrackColoring(coloring) {
+        this.trackColoring = coloring;
+    }
+
+    setMediaDisplay(display) {
+        this.mediaCard.setDisplay(display);
+    }
+
+    // Recording: clips are seeked to each frame (see prepareFrame) instead of playing
+    setFrameAccurate(enabled) {
+        this.mediaCard.setFrameAccurate(enabled);
+    }
+
+    setTitle(title) {
+        this.title = title || '';
+    }
+
+    setAttribution(text) {
+        this.attribution = text || '';
+    }
+
+    setLayerEnabled(layer, enabled) {
+        if (layer in this.layers) {
+            this.layers[layer] = enabled;
+        }
+    }
+
+    // Title and layer switches as plain data (render jobs, saved projects)
+    getSettings() {
+        return { title: this.title, layers: { ...this.layers }, mediaDisplay: this.mediaCard.display };
+    }
+
+    applySettings(settings) {
+        this.setTitle(settings.title);
+        if (settings.mediaDisplay) {
+            this.setMediaDisplay(settings.mediaDisplay);
+        }
+        for (const [layer, enabled] of Object.entries(settings.layers)) {
+            this.setLayerEnabled(layer, enabled);
+        }
+    }
+
+    // Get the frame's media ready to draw (seeks clips when recording)
+    async prepareFrame() {
+        if (this.animation) {
+            await this.mediaCard.prepare(this.animation.getActiveMedia());
+        }
+    }
+
+    draw(ctx, width, height) {
+        const animation = this.animation;
+        if (!animation || !animation.currentPoint) {
+            this.mediaCard.stopPlayback();
+            return;
+        }
+
+        const scale = Math.min(width, height) / 1080;
+        const cardOpacity = animation.getSummaryCardOpacity();
+        const media = animation.getActiveMedia();
+        const mediaOpacity = this.mediaCard.display === 'fullscreen' ? this.mediaCard.getOpacity(media) : 0;
+
+        // The live readouts give way to the summary card and full-screen media
+        ctx.save();
+        ctx.globalAlpha = 1 - Math.max(cardOpacity, mediaOpacity);
+        if (this.layers.title && this.title) {
+            this.drawTitle(ctx, scale);
+        }
+        this.drawReadings(ctx, height, scale, this.getReadings());
+        if (this.layers.profile) {
+            this.drawProfile(ctx, width, height, scale);
+        }
+        if (this.layers.legend && this.trackColoring) {
+            this.drawLegend(ctx, width, scale, this.trackColoring.getLegend());
+        }
+        ctx.restore();
+
+        // The map still shows through full-screen media, so its credit stays on top
+        this.mediaCard.draw(ctx, width, height, media);
+
+        if (this.layers.attribution && this.attribution) {
+            this.drawAttribution(ctx, width, height, scale);
+        }
+
+        if (this.summaryCard) {
+            this.summaryCard.draw(ctx, width, height, cardOpacity);
+        }
+    }
+
+    // [{ label, value }] for the enabled layers that the track has data for. Distance and time
+    // count from the in point, as the video starts there
+    getReadings() {
+        const animation = this.animation;
+        const point = animation.currentPoint;
+        const distance = animation.getDistanceAtProgress(animation.progress);
+        const range = animation.getRangeDistances();
+        const readings = [];
+
+        // Track around the current position (within the segment) for gradient and speed
+        const behind = animation.getPositionAtDistance(distance - this.gradientWindow / 2);
+        const ahead = animation.getPositionAtDistance(distance + this.gradientWindow / 2);
+        const run = animation.calculateDistance(behind, ahead);
+
+        if (this.layers.distance) {
+            readings.push({ label: 'Distance', value: `${(Math.max(0, distance - range.start) / 1000).toFixed(2)} km` });
+        }
+        if (this.layers.elevation) {
+            readings.push({ label: 'Elevation', value: `${Math.round(point.ele || 0)} m` });
+        }
+        if (this.layers.gradient) {
+            const gradient = run > 10 ? ((ahead.ele || 0) - (behind.ele || 0)) / run * 100 : 0;
+            readings.push({ label: 'Gradient', value: `${gradient.toFixed(1)} %` });
+        }
+        if (this.layers.elapsed && point.time !== undefined) {
+            const startTime = this.getStartTime(range.start);
+            if (startTime !== null) {
+                readings.push({ label: 'Time', value: this.formatElapsed((point.time - startTime) / 1000) });
+            }
+        }
+        if (this.layers.speed) {
+            // Prefer the device's speed; otherwise derive it from timestamps
+            let speed = point.speed;
+            if (speed === undefined && behind.time !== undefined && ahead.time !== undefined && ahead.time > behind.time) {
+                speed = run / ((ahead.time - behind.time) / 1000);
+            }
+            if (speed !== undefined) {
+                readings.push({ label: 'Speed', value: `${(speed * 3.6).toFixed(1)} km/h` });
+            }
+        }
+        if (this.layers.heartRate && point.hr !== undefined) {
+            readings.push({ label: 'Heart rate', value: `${Math.round(point.hr)} bpm` });
+        }
+
+        return readings;
+    }
+
+    // Recorded time (ms) at the start of the video, or null without timestamps
+    getStartTime(startDistance) {
+        const start = this.animation.getTrackPointAtDistance(startDistance);
+        return start.time !== undefined ? start.time : this.animation.getStartTime();
+    }
+
+    formatElapsed(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${hours}:${pad(mins)}:${pad(secs)}`;
+    }
+
+    drawPanel(ctx, x, y, width, height, scale) {
+        ctx.fillStyle = this.panelColor;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(x, y, width, height, 10 * scale);
+        } else {
+            ctx.rect(x, y, width, height);
+        }
+        ctx.fill();
+    }
+
+    drawTitle(ctx, scale) {
+        const margin = this.margin * scale;
+        ctx.font = `600 ${Math.round(36 * scale)}px ${this.fontFamily}`;
+        const textWidth = ctx.measureText(this.title).width;
+        const padding = 16 * scale;
+
+        this.drawPanel(ctx, margin, margin, textWidth + padding * 2, 60 * scale, scale);
+        ctx.fillStyle = this.accent;
+        ctx.fillRect(margin, margin, 5 * scale, 60 * scale);
+
+        ctx.fillStyle = this.textColor;
+        ctx.textAlign = 'left';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(this.title, margin + padding, margin + 30 * scale);
+    }
+
+    // Stacked label/value rows in the bottom-left corner
+    drawReadings(ctx, height, scale, readings) {
+        if (readings.length === 0) return;
+
+        const margin = this.margin * scale;
+        const padding = 16 * scale;
+        const rowHeight = 44 * scale;
+        const panelWidth = 300 * scale;
+        const panelHeight = readings.length * rowHeight + padding * 2;
+        const x = margin;
+        const y = height - margin - panelHeight;
+
+        this.drawPanel(ctx, x, y, panelWidth, panelHeight, scale);
+
+        ctx.textBaseline = 'middle';
+        readings.forEach((reading, index) => {
+            const rowY = y + padding + rowHeight * (index + 0.5);
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = this.mutedColor;
+            ctx.font = `${Math.round(22 * scale)}px ${this.fontFamily}`;
+            ctx.fillText(reading.label, x + padding, rowY);
+
+            ctx.textAlign = 'right';
+            ctx.fillStyle = this.textColor;
+            ctx.font = `600 ${Math.round(28 * scale)}px ${this.fontFamily}`;
+            ctx.fillText(reading.value, x + panelWidth - padding, rowY);
+        });
+    }
+
+    // Elevations sampled evenly between the in and out points, rebuilt when the played track
+    // or the range changes
+    getProfileSamples(range) {
+        const animation = this.animation;
+        const points = animation.map.getTrackPoints();
+        if (this.profileSamples && this.profilePoints === points &&
+            this.profileRange.start === range.start && this.profileRange.end === range.end) {
+            return this.profileSamples;
+        }
+
+        const samples = [];
+        for (let i = 0; i < this.profileSampleCount; i++) {
+            const distance = range.start + (i / (this.profileSampleCount - 1)) * (range.end - range.start);
+            samples.push(animation.getTrackPointAtDistance(distance).ele || 0);
+        }
+        this.profileSamples = samples;
+        this.profilePoints = points;
+        this.profileRange = range;
+        return samples;
+    }
+
+    // Mini elevation profile of the recorded range with a dot at the current position, bottom-right
+    drawProfile(ctx, width, height, scale) {
+        const animation = this.animation;
+        const range = animation.getRangeDistances();
+        if (range.end <= range.start) return;
+
+        const samples = this.getProfileSamples(range);
+        const minEle = Math.min(...samples);
+        const maxEle = Math.max(minEle + 50, Math.max(...samples));
+
+        const margin = this.margin * scale;
+        const padding = 14 * scale;
+        const panelWidth = 420 * scale;
+        const panelHeight = 140 * scale;
+        const x = width - margin - panelWidth;
+        const y = height - margin - panelHeight;
+        const chartX = x + padding;
+        const chartY = y + padding;
+        const chartWidth = panelWidth - padding * 2;
+        const chartHeight = panelHeight - padding * 2;
+        const toY = (ele) => chartY + (1 - (ele - minEle) / (maxEle - minEle)) * chartHeight;
+
+        this.drawPanel(ctx, x, y, panelWidth, panelHeight, scale);
+
+        ctx.beginPath();
+        samples.forEach((ele, i) => {
+            const px = chartX + (i / (samples.length - 1)) * chartWidth;
+            if (i === 0) {
+                ctx.moveTo(px, toY(ele));
+            } else {
+                ctx.lineTo(px, toY(ele));
+            }
+        });
+        ctx.strokeStyle = this.accent;
+        ctx.lineWidth = 3 * scale;
+        ctx.stroke();
+        ctx.lineTo(chartX + chartWidth, chartY + chartHeight);
+        ctx.lineTo(chartX, chartY + chartHeight);
+        ctx.closePath();
+        ctx.fillStyle = 'rgba(233, 69, 96, 0.3)';
+        ctx.fill();
+
+        const distance = animation.getDistanceAtProgress(animation.progress);
+        const dotX = chartX + Math.max(0, Math.min(1, (distance - range.start) / (range.end - range.start))) * chartWidth;
+        const dotY = toY(animation.currentPoint.ele || 0);
+        ctx.fillStyle = this.cursorColor;
+        ctx.strokeStyle = this.textColor;
+        ctx.lineWidth = 2 * scale;
+        ctx.beginPath();
+        ctx.arc(dotX, dotY, 7 * scale, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+    }
+
+    // Colour bar for the track colouring with its range, top-right
+    drawLegend(ctx, width, scale, legend) {
+        if (!legend) return;
+
+        const margin = this.margin * scale;
+        const padding = 14 * scale;
+        const panelWidth = 320 * scale;
+        const panelHeight = 96 * scale;
+        const x = width - margin - panelWidth;
+        const y = margin;
+        const barX = x + padding;
+        const barY = y + 42 * scale;
+        const barWidth = panelWidth - padding * 2;
+        const barHeight = 14 * scale;
+
+        this.drawPanel(ctx, x, y, panelWidth, panelHeight, scale);
+
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'left';
+        ctx.fillStyle = this.textColor;
+        ctx.font = `600 ${Math.round(22 * scale)}px ${this.fontFamily}`;
+        ctx.fillText(`${legend.label} (${legend.unit})`, barX, y + 22 * scale);
+
+        const gradient = ctx.createLinearGradient(barX, 0, barX + barWidth, 0);
+        legend.colors.forEach((color, index) => {
+            gradient.addColorStop(index / (legend.colors.length - 1), color);
+        });
+        ctx.fillStyle = gradient;
+        ctx.fillRect(barX, barY, barWidth, barHeight);
+
+        ctx.fillStyle = this.mutedColor;
+        ctx.font = `${Math.round(18 * scale)}px ${this.fontFamily}`;
+        const labelY = barY + barHeight + 16 * scale;
+        ctx.fillText(String(legend.min), barX, labelY);
+        ctx.textAlign = 'right';
+        ctx.fillText(String(legend.max), barX + barWidth, labelY);
+    }
+
+    // Map data credit along the bottom edge (required by the tile providers)
+    drawAttribution(ctx, width, height, scale) {
+        ctx.font = `${Math.round(16 * scale)}px ${this.fontFamily}`;
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'bottom';
+        ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+        const textWidth = ctx.measureText(this.attribution).width;
+        const padding = 6 * scale;
+        ctx.fillRect(width - textWidth - padding * 2, height - 26 * scale, textWidth + padding * 2, 26 * scale);
+        ctx.fillStyle = this.textColor;
+        ctx.fillText(this.attribution, width - padding, height - 5 * scale);
+    }
+}
+
+// Export for use in other modules
+window.HudCompositor = HudCompositor;
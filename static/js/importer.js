@@ -0,0 +1,613 @@
+// Client-side track import (GPX, TCX, KML/KMZ, FIT)
+class TrackImporter {
+    constructor() {
+        // File extension -> parser method
+        this.parsers = {
+            gpx: (file) => this.readText(file).then(text => this.parseGPX(text)),
+            tcx: (file) => this.readText(file).then(text => this.parseTCX(text)),
+            kml: (file) => this.readText(file).then(text => this.parseKML(text)),
+            kmz: (file) => this.readBuffer(file).then(buffer => this.parseKMZ(buffer)),
+            fit: (file) => this.readBuffer(file).then(buffer => this.parseFIT(buffer))
+        };
+
+        // Sensor fields carried on every track point when the device recorded them
+        this.sensorFields = ['hr', 'cad', 'power', 'atemp', 'speed'];
+
+        // FIT timestamps count seconds from 1989-12-31T00:00:00Z
+        this.fitEpochOffset = 631065600;
+
+        // Field numbers of the FIT messages we read, keyed by global message number
+        this.fitMessageFields = {
+            // record
+            20: {
+                0: 'positionLat',
+                1: 'positionLong',
+                2: 'altitude',
+                3: 'heartRate',
+                4: 'cadence',
+                6: 'speed',
+                7: 'power',
+                13: 'temperature',
+                73: 'enhancedSpeed',
+                78: 'enhancedAltitude',
+                253: 'timestamp'
+            },
+            // event (timer start/stop splits the track into segments)
+            21: {
+                0: 'event',
+                1: 'eventType',
+                253: 'timestamp'
+            }
+        };
+    }
+
+    getSupportedExtensions() {
+        return Object.keys(this.parsers);
+    }
+
+    getExtension(fileName) {
+        const dot = fileName.lastIndexOf('.');
+        return dot >= 0 ? fileName.slice(dot + 1).toLowerCase() : '';
+    }
+
+    isSupported(fileName) {
+        return this.getExtension(fileName) in this.parsers;
+    }
+
+    // Parse a File/Blob into the trackData shape expected by GPXMap.loadTrack
+    async parseFile(file) {
+        const extension = this.getExtension(file.name);
+        const parser = this.parsers[extension];
+        if (!parser) {
+            throw new Error(`Unsupported file type: .${extension}`);
+        }
+
+        const result = await parser(file);
+        const fallbackName = file.name.replace(/\.[^.]+$/, '');
+        return this.buildTrackData(result.name || fallbackName, result.tracks, result.waypoints);
+    }
+
+    readText(file) {
+        return file.text();
+    }
+
+    readBuffer(file) {
+        return file.arrayBuffer();
+    }
+
+    parseXML(text) {
+        const doc = new DOMParser().parseFromString(text, 'application/xml');
+        if (doc.getElementsByTagName('parsererror').length > 0) {
+            throw new Error('File is not valid XML');
+        }
+        return doc;
+    }
+
+    // Namespace-agnostic element lookup (GPX/TCX/KML all use default namespaces)
+    getElements(parent, localName) {
+        return Array.from(parent.getElementsByTagNameNS('*', localName));
+    }
+
+    getChildText(parent, localName) {
+        const element = this.getElements(parent, localName)[0];
+        return element ? element.textContent.trim() : null;
+    }
+
+    parseNumber(text) {
+        const value = parseFloat(text);
+        return isNaN(value) ? null : value;
+    }
+
+    parseTime(text) {
+        if (!text) return null;
+        const time = Date.parse(text);
+        return isNaN(time) ? null : time;
+    }
+
+    // Copy optional time and sensor values onto a point, skipping missing ones
+    assignPointFields(point, fields) {
+        if (fields.time !== null && fields.time !== undefined) {
+            point.time = fields.time;
+        }
+        for (const key of this.sensorFields) {
+            if (fields[key] !== null && fields[key] !== undefined) {
+                point[key] = fields[key];
+            }
+        }
+        return point;
+    }
+
+    // Garmin TrackPointExtension (gpxtpx:hr/cad/atemp/speed) plus the common power extensions
+    readGPXExtensions(trkpt) {
+        const extensions = this.getElements(trkpt, 'extensions')[0];
+        if (!extensions) return {};
+
+        return {
+            hr: this.parseNumber(this.getChildText(extensions, 'hr')),
+            cad: this.parseNumber(this.getChildText(extensions, 'cad')),
+            power: this.parseNumber(this.getChildText(extensions, 'power') ||
+                this.getChildText(extensions, 'PowerInWatts')),
+            atemp: this.parseNumber(this.getChildText(extensions, 'atemp')),
+            speed: this.parseNumber(this.getChildText(extensions, 'speed'))
+        };
+    }
+
+    parseGPX(text) {
+        const doc = this.parseXML(text);
+        const trackElements = this.getElements(doc, 'trk');
+        const tracks = [];
+
+        for (const trackElement of trackElements) {
+            const segments = this.getElements(trackElement, 'trkseg').map(segment =>
+                this.getElements(segment, 'trkpt').map(trkpt => {
+                    const ele = parseFloat(this.getChildText(trkpt, 'ele'));
+                    return this.assignPointFields({
+                        lat: parseFloat(trkpt.getAttribute('lat')),
+                        lon: parseFloat(trkpt.getAttribute('lon')),
+                        ele: isNaN(ele) ? 0 : ele
+                    }, {
+                        time: this.parseTime(this.getChildText(trkpt, 'time')),
+                        ...this.readGPXExtensions(trkpt)
+                    });
+                })
+            );
+            tracks.push({ name: this.getDirectChildText(trackElement, 'name'), segments });
+        }
+
+        // Waypoints (<wpt>): named points of interest next to the track
+        const waypoints = this.getElements(doc, 'wpt').map(wpt => {
+            const ele = this.parseNumber(this.getChildText(wpt, 'ele'));
+            const waypoint = {
+                lat: parseFloat(wpt.getAttribute('lat')),
+                lon: parseFloat(wpt.getAttribute('lon')),
+                name: this.getDirectChildText(wpt, 'name') || 'Waypoint'
+            };
+            if (ele !== null) waypoint.ele = ele;
+            const description = this.getDirectChildText(wpt, 'desc');
+            if (description) waypoint.description = description;
+            const time = this.parseTime(this.getChildText(wpt, 'time'));
+            if (time !== null) waypoint.time = time;
+            return waypoint;
+        });
+
+        const name = tracks.length > 0 ? tracks[0].name : null;
+        return { name, tracks, waypoints };
+    }
+
+    // Only look at direct children so a <trk><name> is not confused with nested names
+    getDirectChildText(parent, localName) {
+        for (const child of parent.children) {
+            if (child.localName === localName) {
+                return child.textContent.trim();
+            }
+        }
+        return null;
+    }
+
+    // Each Activity/Course is a track; each <Track> (split when the timer was paused) a segment
+    parseTCX(text) {
+        const doc = this.parseXML(text);
+        const containers = [...this.getElements(doc, 'Activity'), ...this.getElements(doc, 'Course')];
+        const tracks = containers.map(container => ({
+            name: this.getDirectChildText(container, 'Name') || this.getDirectChildText(container, 'Id'),
+            segments: this.getElements(container, 'Track').map(track => this.parseTCXTrack(track))
+        }));
+
+        const name = tracks.length > 0 ? tracks[0].name : null;
+        return { name, tracks };
+    }
+
+    parseTCXTrack(track) {
+        const points = [];
+
+        for (const trackpoint of this.getElements(track, 'Trackpoint')) {
+            const position = this.getElements(trackpoint, 'Position')[0];
+            if (!position) continue; // Indoor/paused samples carry no position
+
+            const ele = parseFloat(this.getChildText(trackpoint, 'AltitudeMeters'));
+            const heartRate = this.getElements(trackpoint, 'HeartRateBpm')[0];
+            points.push(this.assignPointFields({
+                lat: parseFloat(this.getChildText(position, 'LatitudeDegrees')),
+                lon: parseFloat(this.getChildText(position, 'LongitudeDegrees')),
+                ele: isNaN(ele) ? 0 : ele
+            }, {
+                time: this.parseTime(this.getChildText(trackpoint, 'Time')),
+                hr: heartRate ? this.parseNumber(this.getChildText(heartRate, 'Value')) : null,
+                cad: this.parseNumber(this.getChildText(trackpoint, 'Cadence') ||
+                    this.getChildText(trackpoint, 'RunCadence')),
+                power: this.parseNumber(this.getChildText(trackpoint, 'Watts')),
+                speed: this.parseNumber(this.getChildText(trackpoint, 'Speed'))
+            }));
+        }
+
+        return points;
+    }
+
+    // Each Placemark is a track; its gx:Track / LineString geometries are segments
+    parseKML(text) {
+        const doc = this.parseXML(text);
+        const tracks = [];
+
+        for (const placemark of this.getElements(doc, 'Placemark')) {
+            const segments = [
+                ...this.getElements(placemark, 'Track').map(track => this.parseKMLTrack(track)),
+                ...this.getElements(placemark, 'LineString').map(lineString => this.parseKMLLineString(lineString))
+            ];
+            if (segments.length > 0) {
+                tracks.push({ name: this.getDirectChildText(placemark, 'name'), segments });
+            }
+        }
+
+        const documentElement = this.getElements(doc, 'Document')[0];
+        const name = (tracks.length > 0 && tracks[0].name) ||
+            (documentElement && this.getDirectChildText(documentElement, 'name'));
+
+        return { name, tracks };
+    }
+
+    // gx:Track (recorded tracks with timestamps)
+    parseKMLTrack(track) {
+        const times = this.getElements(track, 'when').map(when => this.parseTime(when.textContent.trim()));
+        const arrays = this.readKMLArrayData(track);
+
+        return this.getElements(track, 'coord').map((coord, i) => {
+            const [lon, lat, ele] = coord.textContent.trim().split(/\s+/).map(Number);
+            return this.assignPointFields({ lat, lon, ele: ele || 0 }, {
+                time: times[i],
+                hr: arrays.heartrate?.[i],
+                cad: arrays.cadence?.[i],
+                power: arrays.power?.[i],
+                atemp: arrays.temperature?.[i],
+                speed: arrays.speed?.[i]
+            });
+        });
+    }
+
+    // Plain LineStrings (planned routes, Google Earth paths)
+    parseKMLLineString(lineString) {
+        const coordinates = this.getChildText(lineString, 'coordinates') || '';
+        return coordinates.split(/\s+/).filter(tuple => tuple).map(tuple => {
+            const [lon, lat, ele] = tuple.split(',').map(Number);
+            return { lat, lon, ele: ele || 0 };
+        });
+    }
+
+    // gx:SimpleArrayData blocks (Google Earth / Garmin exports), keyed by lowercase name
+    readKMLArrayData(track) {
+        const arrays = {};
+        for (const arrayData of this.getElements(track, 'SimpleArrayData')) {
+            const name = (arrayData.getAttribute('name') || '').toLowerCase();
+            arrays[name] = this.getElements(arrayData, 'value').map(v => this.parseNumber(v.textContent));
+        }
+        return arrays;
+    }
+
+    // KMZ is a zip archive containing a KML document (usually doc.kml)
+    async parseKMZ(buffer) {
+        const entries = this.readZipEntries(buffer);
+        const kmlEntry = entries.find(e => e.name.toLowerCase() === 'doc.kml') ||
+            entries.find(e => e.name.toLowerCase().endsWith('.kml'));
+
+        if (!kmlEntry) {
+            throw new Error('No KML document found in KMZ archive');
+        }
+
+        const data = await this.extractZipEntry(buffer, kmlEntry);
+        return this.parseKML(new TextDecoder('utf-8').decode(data));
+    }
+
+    // Read the zip central directory
+    readZipEntries(buffer) {
+        const view = new DataView(buffer);
+
+        // Find End Of Central Directory record (scan backwards over optional comment)
+        let eocd = -1;
+        for (let i = buffer.byteLength - 22; i >= Math.max(0, buffer.byteLength - 65557); i--) {
+            if (view.getUint32(i, true) === 0x06054b50) {
+                eocd = i;
+                break;
+            }
+        }
+        if (eocd < 0) {
+            throw new Error('File is not a valid zip archive');
+        }
+
+        const entryCount = view.getUint16(eocd + 10, true);
+        let offset = view.getUint32(eocd + 16, true);
+        const entries = [];
+
+        for (let i = 0; i < entryCount; i++) {
+            if (view.getUint32(offset, true) !== 0x02014b50) break;
+
+            const nameLength = view.getUint16(offset + 28, true);
+            const extraLength = view.getUint16(offset + 30, true);
+            const commentLength = view.getUint16(offset + 32, true);
+
+            entries.push({
+                method: view.getUint16(offset + 10, true),
+                compressedSize: view.getUint32(offset + 20, true),
+                localHeaderOffset: view.getUint32(offset + 42, true),
+                name: new TextDecoder('utf-8').decode(new Uint8Array(buffer, offset + 46, nameLength))
+            });
+
+            offset += 46 + nameLength + extraLength + commentLength;
+        }
+
+        return entries;
+    }
+
+    async extractZipEntry(buffer, entry) {
+        const view = new DataView(buffer);
+        const header = entry.localHeaderOffset;
+        const nameLength = view.getUint16(header + 26, true);
+        const extraLength = view.getUint16(header + 28, true);
+        const start = header + 30 + nameLength + extraLength;
+        const compressed = new Uint8Array(buffer, start, entry.compressedSize);
+
+        if (entry.method === 0) {
+            return compressed; // Stored
+        }
+        if (entry.method !== 8 || typeof DecompressionStream === 'undefined') {
+            throw new Error('Unsupported KMZ compression');
+        }
+
+        const stream = new Blob([compressed]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+    }
+
+    // Minimal FIT decoder: walks definition/data messages and keeps 'record' messages
+    parseFIT(buffer) {
+        const view = new DataView(buffer);
+        const headerSize = view.getUint8(0);
+        const dataSize = view.getUint32(4, true);
+
+        if (new TextDecoder('ascii').decode(new Uint8Array(buffer, 8, 4)) !== '.FIT') {
+            throw new Error('File is not a valid FIT file');
+        }
+
+        const end = Math.min(buffer.byteLength, headerSize + dataSize);
+        const definitions = {};
+        const segments = [[]];
+        let lastTimestamp = 0;
+        let offset = headerSize;
+
+        while (offset < end) {
+            const recordHeader = view.getUint8(offset++);
+
+            // Compressed timestamp header: always a data message
+            if (recordHeader & 0x80) {
+                const localType = (recordHeader >> 5) & 0x03;
+                const timeOffset = recordHeader & 0x1f;
+                let timestamp = (lastTimestamp & ~0x1f) + timeOffset;
+                if (timeOffset < (lastTimestamp & 0x1f)) timestamp += 0x20;
+                lastTimestamp = timestamp;
+
+                const definition = definitions[localType];
+                if (!definition) throw new Error('Corrupt FIT file: missing definition');
+                const fields = this.readFITFields(view, offset, definition);
+                offset += definition.size;
+                if (fields.timestamp === undefined) fields.timestamp = timestamp;
+                this.handleFITMessage(definition.globalNumber, fields, segments);
+                continue;
+            }
+
+            const localType = recordHeader & 0x0f;
+
+            if (recordHeader & 0x40) {
+                // Definition message
+                const hasDeveloperData = (recordHeader & 0x20) !== 0;
+                const littleEndian = view.getUint8(offset + 1) === 0;
+                const globalNumber = view.getUint16(offset + 2, littleEndian);
+                const fieldCount = view.getUint8(offset + 4);
+                offset += 5;
+
+                const fields = [];
+                let size = 0;
+                for (let i = 0; i < fieldCount; i++) {
+                    fields.push({
+                        number: view.getUint8(offset),
+                        size: view.getUint8(offset + 1),
+                        baseType: view.getUint8(offset + 2) & 0x1f
+                    });
+                    size += view.getUint8(offset + 1);
+                    offset += 3;
+                }
+
+                if (hasDeveloperData) {
+                    const developerFieldCount = view.getUint8(offset++);
+                    for (let i = 0; i < developerFieldCount; i++) {
+                        size += view.getUint8(offset + 1);
+                        offset += 3;
+                    }
+                }
+
+                definitions[localType] = { globalNumber, littleEndian, fields, size };
+            } else {
+                // Data message
+                const definition = definitions[localType];
+                if (!definition) throw new Error('Corrupt FIT file: missing definition');
+                const fields = this.readFITFields(view, offset, definition);
+                offset += definition.size;
+                if (fields.timestamp !== undefined) lastTimestamp = fields.timestamp;
+                this.handleFITMessage(definition.globalNumber, fields, segments);
+            }
+        }
+
+        return { name: null, tracks: [{ name: null, segments }] };
+    }
+
+    // Read the fields we care about from a data message, skipping invalid values
+    readFITFields(view, offset, definition) {
+        const names = this.fitMessageFields[definition.globalNumber] || { 253: 'timestamp' };
+        const values = {};
+
+        for (const field of definition.fields) {
+            const name = names[field.number];
+            if (name) {
+                const value = this.readFITValue(view, offset, field, definition.littleEndian);
+                if (value !== null) values[name] = value;
+            }
+            offset += field.size;
+        }
+
+        return values;
+    }
+
+    readFITValue(view, offset, field, littleEndian) {
+        // Base types (low 5 bits): 0/2 uint8, 1 sint8, 3 sint16, 4 uint16, 5 sint32, 6 uint32,
+        // 8 float32, 9 float64, 10/11/12 uint8z/uint16z/uint32z (invalid is 0, not all ones)
+        switch (field.baseType) {
+            case 0: case 2: {
+                const v = view.getUint8(offset);
+                return v === 0xff ? null : v;
+            }
+            case 1: {
+                const v = view.getInt8(offset);
+                return v === 0x7f ? null : v;
+            }
+            case 3: {
+                const v = view.getInt16(offset, littleEndian);
+                return v === 0x7fff ? null : v;
+            }
+            case 4: {
+                const v = view.getUint16(offset, littleEndian);
+                return v === 0xffff ? null : v;
+            }
+            case 5: {
+                const v = view.getInt32(offset, littleEndian);
+                return v === 0x7fffffff ? null : v;
+            }
+            case 6: {
+                const v = view.getUint32(offset, littleEndian);
+                return v === 0xffffffff ? null : v;
+            }
+            case 8: {
+                // Invalid is all bits set, a NaN
+                const v = view.getFloat32(offset, littleEndian);
+                return Number.isNaN(v) ? null : v;
+            }
+            case 9: {
+                const v = view.getFloat64(offset, littleEndian);
+                return Number.isNaN(v) ? null : v;
+            }
+            case 10: {
+                const v = view.getUint8(offset);
+                return v === 0 ? null : v;
+            }
+            case 11: {
+                const v = view.getUint16(offset, littleEndian);
+                return v === 0 ? null : v;
+            }
+            case 12: {
+                const v = view.getUint32(offset, littleEndian);
+                return v === 0 ? null : v;
+            }
+            default:
+                return null;
+        }
+    }
+
+    handleFITMessage(globalNumber, fields, segments) {
+        // Timer stop (event 0, type stop/stop_all): following records start a new segment
+        if (globalNumber === 21) {
+            const stopped = fields.event === 0 && (fields.eventType === 1 || fields.eventType === 4);
+            if (stopped && segments[segments.length - 1].length > 0) {
+                segments.push([]);
+            }
+            return;
+        }
+
+        // Global message 20 = record
+        if (globalNumber !== 20) return;
+        if (fields.positionLat === undefined || fields.positionLong === undefined) return;
+
+        const semicirclesToDegrees = 180 / Math.pow(2, 31);
+        let ele = 0;
+        if (fields.enhancedAltitude !== undefined) {
+            ele = fields.enhancedAltitude / 5 - 500;
+        } else if (fields.altitude !== undefined) {
+            ele = fields.altitude / 5 - 500;
+        }
+
+        let speed = null;
+        if (fields.enhancedSpeed !== undefined) {
+            speed = fields.enhancedSpeed / 1000;
+        } else if (fields.speed !== undefined) {
+            speed = fields.speed / 1000;
+        }
+
+        segments[segments.length - 1].push(this.assignPointFields({
+            lat: fields.positionLat * semicirclesToDegrees,
+            lon: fields.positionLong * semicirclesToDegrees,
+            ele
+        }, {
+            time: fields.timestamp !== undefined ? (fields.timestamp + this.fitEpochOffset) * 1000 : null,
+            hr: fields.heartRate,
+            cad: fields.cadence,
+            power: fields.power,
+            atemp: fields.temperature,
+            speed
+        }));
+    }
+
+    // Flatten tracks into one point list and compute bounds/center the same way the /upload route does.
+    // Tracks keep their segments as [start, end) index ranges into points.
+    buildTrackData(name, parsedTracks, parsedWaypoints = []) {
+        const points = [];
+        const tracks = [];
+
+        for (const parsedTrack of parsedTracks) {
+            const segments = [];
+            for (const segmentPoints of parsedTrack.segments) {
+                const valid = segmentPoints.filter(p => isFinite(p.lat) && isFinite(p.lon));
+                if (valid.length === 0) continue;
+                segments.push({ start: points.length, end: points.length + valid.length });
+                for (const point of valid) points.push(point);
+            }
+            if (segments.length > 0) {
+                tracks.push({ name: parsedTrack.name || `Track ${tracks.length + 1}`, segments });
+            }
+        }
+
+        if (points.length === 0) {
+            throw new Error('No track points found in file');
+        }
+
+        const bounds = {
+            minLat: Infinity,
+            maxLat: -Infinity,
+            minLon: Infinity,
+            maxLon: -Infinity,
+            minEle: Infinity,
+            maxEle: -Infinity
+        };
+
+        for (const point of points) {
+            bounds.minLat = Math.min(bounds.minLat, point.lat);
+            bounds.maxLat = Math.max(bounds.maxLat, point.lat);
+            bounds.minLon = Math.min(bounds.minLon, point.lon);
+            bounds.maxLon = Math.max(bounds.maxLon, point.lon);
+            bounds.minEle = Math.min(bounds.minEle, point.ele);
+            bounds.maxEle = Math.max(bounds.maxEle, point.ele);
+        }
+
+        // Optional per-point fields present somewhere in this track
+        const fields = ['time', ...this.sensorFields].filter(key => points.some(p => p[key] !== undefined));
+
+        return {
+            name: name || 'Unnamed Track',
+            points,
+            tracks,
+            waypoints: parsedWaypoints.filter(w => isFinite(w.lat) && isFinite(w.lon)),
+            fields,
+            bounds,
+            center: {
+                lat: (bounds.minLat + bounds.maxLat) / 2,
+                lon: (bounds.minLon + bounds.maxLon) / 2
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+window.TrackImporter = TrackImporter;
@@ -2,6 +2,21 @@
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize components
     const gpxMap = new GPXMap('map');
+    const trackImporter = new TrackImporter();
+    const cameraTimeline = new CameraTimeline('cameraTimeline');
+    const player = new PlaybackScrubber('player');
+    const summaryCard = new SummaryCard();
+    const hud = new HudCompositor();
+    hud.setSummaryCard(summaryCard);
+    const soundtrack = new Soundtrack();
+    const mediaLibrary = new MediaLibrary();
+    const trackColoring = new TrackColoring();
+    const progressMarker = new ProgressMarker();
+    const elevationProfile = new ElevationProfile('elevationProfile');
+    const store = new RenderStore();
+    const renderQueue = new RenderQueue('renderQueue', store);
+    const projectFile = new ProjectFile();
+    const viewState = new ViewState();
     let animation = null;
     let recorder = null;
 
@@ -9,27 +24,120 @@ document.addEventListener('DOMContentLoaded', async () => {
     const uploadZone = document.getElementById('uploadZone');
     const gpxInput = document.getElementById('gpxInput');
     const trackInfo = document.getElementById('trackInfo');
+    const trackSelectGroup = document.getElementById('trackSelectGroup');
+    const trackSelect = document.getElementById('trackSelect');
+    const projectInput = document.getElementById('projectInput');
+    const projectOpenBtn = document.getElementById('projectOpenBtn');
+    const projectSaveBtn = document.getElementById('projectSaveBtn');
+    const projectStatus = document.getElementById('projectStatus');
+    const trackUrlInput = document.getElementById('trackUrl');
+    const trackUrlBtn = document.getElementById('trackUrlBtn');
+    const copyLinkBtn = document.getElementById('copyLinkBtn');
+    const copyEmbedBtn = document.getElementById('copyEmbedBtn');
+    const linkStatus = document.getElementById('linkStatus');
     const playBtn = document.getElementById('playBtn');
     const stopBtn = document.getElementById('stopBtn');
     const recordBtn = document.getElementById('recordBtn');
+    const queueBtn = document.getElementById('queueBtn');
+    const timePacingOptions = document.getElementById('timePacingOptions');
+    const timeLapseSlider = document.getElementById('timeLapse');
+    const timeLapseValue = document.getElementById('timeLapseValue');
+    const compressPausesCheckbox = document.getElementById('compressPauses');
     const speedSlider = document.getElementById('speed');
     const speedValue = document.getElementById('speedValue');
     const altitudeSlider = document.getElementById('cameraAltitude');
     const altitudeValue = document.getElementById('altitudeValue');
     const pitchSlider = document.getElementById('cameraPitch');
     const pitchValue = document.getElementById('pitchValue');
+    const orbitTargetSelect = document.getElementById('orbitTarget');
+    const pickOrbitTargetBtn = document.getElementById('pickOrbitTarget');
+    const orbitTargetStatus = document.getElementById('orbitTargetStatus');
+    const orbitRadiusSlider = document.getElementById('orbitRadius');
+    const orbitRadiusValue = document.getElementById('orbitRadiusValue');
+    const orbitAltitudeSlider = document.getElementById('orbitAltitude');
+    const orbitAltitudeValue = document.getElementById('orbitAltitudeValue');
+    const orbitSpeedSlider = document.getElementById('orbitSpeed');
+    const orbitSpeedValue = document.getElementById('orbitSpeedValue');
+    const cameraFeelPresetSelect = document.getElementById('cameraFeelPreset');
+    const cameraFeelSliders = [...document.querySelectorAll('input[name="cameraFeel"]')];
+    const introTypeSelect = document.getElementById('introType');
+    const introDurationSlider = document.getElementById('introDuration');
+    const introDurationValue = document.getElementById('introDurationValue');
+    const outroTypeSelect = document.getElementById('outroType');
+    const outroDurationSlider = document.getElementById('outroDuration');
+    const outroDurationValue = document.getElementById('outroDurationValue');
     const resolutionSelect = document.getElementById('resolution');
     const customResolution = document.getElementById('customResolution');
     const customWidth = document.getElementById('customWidth');
     const customHeight = document.getElementById('customHeight');
+    const pixelRatioSelect = document.getElementById('pixelRatio');
     const fpsSelect = document.getElementById('fps');
     const videoFormatSelect = document.getElementById('videoFormat');
+    const videoCodecSelect = document.getElementById('videoCodec');
+    const videoBitrateSlider = document.getElementById('videoBitrate');
+    const videoBitrateValue = document.getElementById('videoBitrateValue');
+    const keyframeIntervalSlider = document.getElementById('keyframeInterval');
+    const keyframeIntervalValue = document.getElementById('keyframeIntervalValue');
+    const maxTileWaitSlider = document.getElementById('maxTileWait');
+    const maxTileWaitValue = document.getElementById('maxTileWaitValue');
     const conversionStatus = document.getElementById('conversionStatus');
+    const musicInput = document.getElementById('musicInput');
+    const musicBtn = document.getElementById('musicBtn');
+    const musicClearBtn = document.getElementById('musicClearBtn');
+    const musicName = document.getElementById('musicName');
+    const musicVolumeSlider = document.getElementById('musicVolume');
+    const musicVolumeValue = document.getElementById('musicVolumeValue');
+    const musicFadeInSlider = document.getElementById('musicFadeIn');
+    const musicFadeInValue = document.getElementById('musicFadeInValue');
+    const musicFadeOutSlider = document.getElementById('musicFadeOut');
+    const musicFadeOutValue = document.getElementById('musicFadeOutValue');
+    const musicLoopCheckbox = document.getElementById('musicLoop');
+    const windNoiseCheckbox = document.getElementById('windNoise');
+    const windLevelSlider = document.getElementById('windLevel');
+    const windLevelValue = document.getElementById('windLevelValue');
+    const mediaInput = document.getElementById('mediaInput');
+    const mediaBtn = document.getElementById('mediaBtn');
+    const mediaClearBtn = document.getElementById('mediaClearBtn');
+    const mediaList = document.getElementById('mediaList');
+    const mediaStatus = document.getElementById('mediaStatus');
+    const mediaDisplaySelect = document.getElementById('mediaDisplay');
+    const mediaDurationSlider = document.getElementById('mediaDuration');
+    const mediaDurationValue = document.getElementById('mediaDurationValue');
+    const mediaTimeZoneSlider = document.getElementById('mediaTimeZone');
+    const mediaTimeZoneValue = document.getElementById('mediaTimeZoneValue');
+    const showWaypointsCheckbox = document.getElementById('showWaypoints');
+    const markerVisibleCheckbox = document.getElementById('markerVisible');
+    const markerTypeSelect = document.getElementById('markerType');
+    const markerIconGroup = document.getElementById('markerIconGroup');
+    const markerIconSelect = document.getElementById('markerIcon');
+    const markerFileGroup = document.getElementById('markerFileGroup');
+    const markerAvatarInput = document.getElementById('markerAvatarInput');
+    const markerModelInput = document.getElementById('markerModelInput');
+    const markerFileBtn = document.getElementById('markerFileBtn');
+    const markerFileName = document.getElementById('markerFileName');
+    const markerColorInput = document.getElementById('markerColor');
+    const markerSizeSlider = document.getElementById('markerSize');
+    const markerSizeValue = document.getElementById('markerSizeValue');
     const progress = document.getElementById('progress');
     const progressFill = document.getElementById('progressFill');
     const progressText = document.getElementById('progressText');
     const loading = document.getElementById('loading');
+    const overlayCanvas = document.getElementById('overlayCanvas');
     const mapStyleSelect = document.getElementById('mapStyle');
+    const trackColorBySelect = document.getElementById('trackColorBy');
+    const trackPaletteGroup = document.getElementById('trackPaletteGroup');
+    const trackPaletteSelect = document.getElementById('trackPalette');
+    const trackLegend = document.getElementById('trackLegend');
+    const trailRevealSelect = document.getElementById('trailReveal');
+    const trailTailCheckbox = document.getElementById('trailTail');
+    const rangeStartDistance = document.getElementById('rangeStartDistance');
+    const rangeEndDistance = document.getElementById('rangeEndDistance');
+    const rangeTimeGroup = document.getElementById('rangeTimeGroup');
+    const rangeStartTime = document.getElementById('rangeStartTime');
+    const rangeEndTime = document.getElementById('rangeEndTime');
+    const rangePickBtn = document.getElementById('rangePickBtn');
+    const rangeClearBtn = document.getElementById('rangeClearBtn');
+    const rangeStatus = document.getElementById('rangeStatus');
 
     // Show loading
     function showLoading(show = true) {
@@ -44,7 +152,112 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Map style change handler
     mapStyleSelect.addEventListener('change', (e) => {
         gpxMap.setMapStyle(e.target.value);
+        hud.setAttribution(gpxMap.getAttributionText());
     });
+    hud.setAttribution(gpxMap.getAttributionText());
+
+    // Track colouring by a metric, drawn on the map and as a legend in the overlay
+    gpxMap.setTrackColoring(trackColoring);
+    hud.setTrackColoring(trackColoring);
+
+    function updateTrackColoring() {
+        trackColoring.setMetric(trackColorBySelect.value);
+        trackColoring.setPalette(trackPaletteSelect.value);
+        trackPaletteGroup.classList.toggle('hidden', !trackColoring.isEnabled());
+        if (!gpxMap.trackData) return;
+
+        gpxMap.drawTrack();
+        updateTrackLegend();
+        if (animation) {
+            drawPreviewOverlay();
+        }
+    }
+
+    function updateTrackLegend() {
+        const legend = trackColoring.getLegend();
+        if (!legend) return;
+        trackLegend.querySelector('.track-legend-bar').style.background = `linear-gradient(to right, ${legend.colors.join(', ')})`;
+        trackLegend.querySelector('.track-legend-min').textContent = `${legend.min} ${legend.unit}`;
+        trackLegend.querySelector('.track-legend-max').textContent = `${legend.max} ${legend.unit}`;
+    }
+
+    // Metrics the track has no data for can't be picked
+    function updateColoringAvailability(points) {
+        for (const option of trackColorBySelect.options) {
+            option.disabled = !trackColoring.isMetricAvailable(option.value, points);
+        }
+        if (trackColorBySelect.selectedOptions[0].disabled) {
+            trackColorBySelect.value = 'none';
+        }
+        trackColoring.setMetric(trackColorBySelect.value);
+        trackPaletteGroup.classList.toggle('hidden', !trackColoring.isEnabled());
+    }
+
+    trackColorBySelect.addEventListener('change', updateTrackColoring);
+    trackPaletteSelect.addEventListener('change', updateTrackColoring);
+
+    // Track drawn up to the progress marker as the flyover plays
+    function updateTrailReveal() {
+        gpxMap.setTrailReveal({ mode: trailRevealSelect.value, tail: trailTailCheckbox.checked });
+    }
+
+    trailRevealSelect.addEventListener('change', updateTrailReveal);
+    trailTailCheckbox.addEventListener('change', updateTrailReveal);
+
+    // Render queue: jobs saved in an earlier session can be resumed
+    renderQueue.restore().catch(error => console.warn('Could not restore render queue:', error));
+
+    // One render at a time: recording waits while the queue renders
+    renderQueue.onBusyChange = (busy) => {
+        recordBtn.disabled = busy || !animation;
+    };
+
+    queueBtn.addEventListener('click', async () => {
+        if (!animation) return;
+        if (recorder.isRecording || recorder.isConverting) {
+            alert('Wait for the current recording to finish before queueing a render');
+            return;
+        }
+        if (isPlaying || animation.isPaused) {
+            stopPlayback();
+        }
+        updateAnimationSettings();
+        updateRecorderSettings();
+
+        try {
+            await renderQueue.addJob(createRenderJob());
+        } catch (error) {
+            alert('Could not queue render: ' + error.message);
+        }
+    });
+
+    // The whole setup as plain data: saved as a project and captured by queued renders
+    function createProject() {
+        return {
+            trackData: gpxMap.trackData,
+            activeTrack: trackSelect.value === 'all' ? null : parseInt(trackSelect.value),
+            mapStyle: mapStyleSelect.value,
+            animation: animation.getSettings(),
+            output: recorder.getSettings(),
+            overlay: hud.getSettings(),
+            audio: soundtrack.getSettings(),
+            media: mediaLibrary.getSettings(),
+            marker: progressMarker.getSettings(),
+            trackColoring: trackColoring.getSettings(),
+            trailReveal: { ...gpxMap.trailReveal },
+            showWaypoints: showWaypointsCheckbox.checked
+        };
+    }
+
+    // Everything a queued render needs, captured from the current setup
+    function createRenderJob() {
+        const project = createProject();
+        return {
+            ...project,
+            name: `${summaryCard.title} (${project.output.width}x${project.output.height})`,
+            summary: { title: summaryCard.title, stats: summaryCard.stats }
+        };
+    }
 
     // File upload handling
     uploadZone.addEventListener('click', () => gpxInput.click());
@@ -74,64 +287,454 @@ document.addEventListener('DOMContentLoaded', async () => {
     });
 
     async function handleFile(file) {
-        if (!file.name.toLowerCase().endsWith('.gpx')) {
-            alert('Please select a GPX file');
+        // Saved projects open from the same place
+        if (projectFile.isProjectFile(file.name)) {
+            await openProject(file);
+            return;
+        }
+
+        if (!trackImporter.isSupported(file.name)) {
+            alert('Please select a GPX, TCX, KML, KMZ or FIT file, or a saved project');
             return;
         }
 
         showLoading(true);
 
+        try {
+            loadTrackData(await loadTrackFile(file));
+            setTrackUrl(null);
+            scheduleAutosave();
+        } catch (error) {
+            alert('Error loading track file: ' + error.message);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Show a parsed track and set up the flyover for it with the current settings
+    function loadTrackData(data) {
+        // Load track on map
+        updateColoringAvailability(data.points);
+        gpxMap.loadTrack(data);
+        updateTrackLegend();
+        updateTrackSelect();
+
+        // Initialize animation and recorder
+        animation = new FlyoverAnimation(gpxMap);
+        recorder = new VideoRecorder(gpxMap, animation);
+        hud.setAnimation(animation);
+        recorder.setHud(hud);
+        recorder.setSoundtrack(soundtrack);
+        animation.onFrame = drawPreviewOverlay;
+        animation.setProgressMarker(progressMarker);
+
+        // Waypoints come with the track; photos and clips are placed on it again
+        animation.initializeDistanceData();
+        mediaLibrary.setWaypoints(data.waypoints || []);
+        updateMedia();
+
+        // Camera keyframes belong to the loaded track
+        cameraTimeline.setAnimation(animation);
+        cameraTimeline.show();
+        player.setAnimation(animation);
+        player.show();
+        elevationProfile.setAnimation(animation);
+        elevationProfile.show();
+        gpxMap.resize();
+
+        // Recorded-time pacing needs timestamps
+        updatePacingAvailability(animation.isTimePacingAvailable());
+
+        // Apply current settings
+        updateAnimationSettings();
+        updateRecorderSettings();
+
+        // Update track info (segment gaps don't count towards distance or gain)
+        const segments = getSegmentPoints(data);
+        const elevationGain = segments.reduce((sum, points) => sum + calculateElevationGain(points), 0);
+        const totalDistance = segments.reduce((sum, points) => sum + calculateTotalDistance(points), 0);
+        const estimatedDuration = totalDistance / 10; // 10 m/s at 1x speed
+        trackInfo.innerHTML = `
+            <div class="name"></div>
+            <div class="stats">
+                ${(totalDistance / 1000).toFixed(2)} km |
+                ${Math.round(data.bounds.minEle)}m - ${Math.round(data.bounds.maxEle)}m |
+                +${Math.round(elevationGain)}m |
+                ~${formatDuration(estimatedDuration)} @ 1x
+            </div>
+            ${formatRecordedStats(data)}
+            ${formatTrackCounts(segments.length)}
+        `;
+        // The name comes from the file (or a linked URL): text, never markup
+        trackInfo.querySelector('.name').textContent = data.name;
+        trackInfo.classList.remove('hidden');
+        updateSummaryCard();
+
+        // Enable controls
+        playBtn.disabled = false;
+        stopBtn.disabled = false;
+        recordBtn.disabled = renderQueue.isBusy();
+        queueBtn.disabled = false;
+        rangeStartDistance.disabled = false;
+        rangeEndDistance.disabled = false;
+        rangePickBtn.disabled = false;
+        projectSaveBtn.disabled = false;
+        setRangePick(null);
+    }
+
+    // Parse in the browser; GPX files can still fall back to the server parser
+    async function loadTrackFile(file) {
+        try {
+            return await trackImporter.parseFile(file);
+        } catch (error) {
+            if (trackImporter.getExtension(file.name) !== 'gpx') {
+                throw error;
+            }
+            console.warn('Client-side parsing failed, falling back to /upload:', error);
+            return uploadTrackFile(file);
+        }
+    }
+
+    async function uploadTrackFile(file) {
         const formData = new FormData();
         formData.append('file', file);
 
-        try {
-            const response = await fetch('/upload', {
-                method: 'POST',
-                body: formData
-            });
+        const response = await fetch('/upload', {
+            method: 'POST',
+            body: formData
+        });
 
-            const data = await response.json();
+        const data = await response.json();
 
-            if (!response.ok) {
-                throw new Error(data.error || 'Upload failed');
-            }
+        if (!response.ok) {
+            throw new Error(data.error || 'Upload failed');
+        }
 
-            // Load track on map
-            gpxMap.loadTrack(data);
-
-            // Initialize animation and recorder
-            animation = new FlyoverAnimation(gpxMap);
-            recorder = new VideoRecorder(gpxMap, animation);
-
-            // Apply current settings
-            updateAnimationSettings();
-            updateRecorderSettings();
-
-            // Update track info
-            const elevationGain = calculateElevationGain(data.points);
-            const totalDistance = calculateTotalDistance(data.points);
-            const estimatedDuration = totalDistance / 10; // 10 m/s at 1x speed
-            trackInfo.innerHTML = `
-                <div class="name">${data.name}</div>
-                <div class="stats">
-                    ${(totalDistance / 1000).toFixed(2)} km |
-                    ${Math.round(data.bounds.minEle)}m - ${Math.round(data.bounds.maxEle)}m |
-                    +${Math.round(elevationGain)}m |
-                    ~${formatDuration(estimatedDuration)} @ 1x
-                </div>
-            `;
-            trackInfo.classList.remove('hidden');
+        return data;
+    }
 
-            // Enable controls
-            playBtn.disabled = false;
-            stopBtn.disabled = false;
-            recordBtn.disabled = false;
+    function getSegmentPoints(data) {
+        return gpxMap.getTracks().flatMap(track =>
+            track.segments.map(segment => data.points.slice(segment.start, segment.end))
+        );
+    }
 
-        } catch (error) {
-            alert('Error loading GPX file: ' + error.message);
-        } finally {
-            showLoading(false);
+    function formatTrackCounts(segmentCount) {
+        const trackCount = gpxMap.getTracks().length;
+        if (trackCount < 2 && segmentCount < 2) return '';
+        return `<div class="stats">${trackCount} track${trackCount === 1 ? '' : 's'} | ${segmentCount} segments</div>`;
+    }
+
+    // Track picker: only shown when the file holds more than one track
+    function updateTrackSelect() {
+        const tracks = gpxMap.getTracks();
+        trackSelect.innerHTML = '<option value="all">All tracks (back to back)</option>';
+        tracks.forEach((track, index) => {
+            const option = document.createElement('option');
+            option.value = index;
+            option.textContent = track.name;
+            option.style.color = gpxMap.getTrackColor(index);
+            trackSelect.appendChild(option);
+        });
+        trackSelect.value = 'all';
+        trackSelectGroup.classList.toggle('hidden', tracks.length < 2);
+    }
+
+    trackSelect.addEventListener('change', (e) => {
+        if (!animation) return;
+        stopPlayback();
+        gpxMap.setActiveTrack(e.target.value === 'all' ? null : parseInt(e.target.value));
+        animation.initializeDistanceData();
+        // In and out points belong to the track they were set on
+        animation.setRange(0, 1);
+        setRangePick(null);
+        elevationProfile.refresh();
+        player.update();
+        updatePacingAvailability(animation.isTimePacingAvailable());
+        updateSummaryCard();
+        renderMediaList();
+    });
+
+    // Timeline: click to move the playhead, edits preview immediately when not playing
+    cameraTimeline.onSeek = (p) => {
+        if (!animation) return;
+        seekTo(p);
+    };
+
+    cameraTimeline.onChange = () => {
+        scheduleAutosave();
+        if (!animation || isPlaying) return;
+        seekTo(cameraTimeline.progress);
+    };
+
+    // Elevation profile: click or drag to seek, hover to mark the spot on the map
+    elevationProfile.onSeek = (p) => {
+        if (!animation) return;
+        seekTo(p);
+    };
+
+    elevationProfile.onHover = (point) => {
+        gpxMap.setHighlightPoint(point);
+    };
+
+    // Player: scrub, step frames and set the in and out points
+    player.onSeek = (time) => {
+        if (!animation) return;
+        animation.seekToTime(time);
+        syncPosition();
+    };
+
+    player.onStep = (direction) => {
+        if (!animation) return;
+        if (isPlaying) {
+            pausePlayback();
+        }
+        animation.stepFrame(direction, 1 / recorder.fps);
+        syncPosition();
+    };
+
+    player.onRangeChange = () => {
+        if (!animation) return;
+        updateRange();
+    };
+
+    // Recording range: the part of the track played and recorded, set by distance, recorded
+    // time, two spots picked on the map or elevation profile, or the player's in and out points
+    let rangePick = null; // 'start' or 'end' while picking the range
+    let rangePickStart = 0; // Distance picked for the start
+
+    [rangeStartDistance, rangeEndDistance].forEach(input => {
+        input.addEventListener('change', () => {
+            if (!animation) return;
+            const start = parseFloat(rangeStartDistance.value);
+            const end = parseFloat(rangeEndDistance.value);
+            applyRange(isNaN(start) ? 0 : start * 1000, isNaN(end) ? animation.totalDistance : end * 1000);
+        });
+    });
+
+    [rangeStartTime, rangeEndTime].forEach(input => {
+        input.addEventListener('change', () => {
+            if (!animation) return;
+            const start = parseElapsedTime(rangeStartTime.value);
+            const end = parseElapsedTime(rangeEndTime.value);
+            applyRange(
+                start === null ? 0 : animation.getDistanceAtElapsedTime(start),
+                end === null ? animation.totalDistance : animation.getDistanceAtElapsedTime(end)
+            );
+        });
+    });
+
+    rangePickBtn.addEventListener('click', () => {
+        if (!animation) return;
+        setRangePick(rangePick ? null : 'start');
+    });
+
+    rangeClearBtn.addEventListener('click', () => {
+        if (!animation) return;
+        animation.setRange(0, 1);
+        updateRange();
+    });
+
+    gpxMap.onClick = (lngLat) => {
+        if (!animation || !rangePick) return;
+        pickRangePoint(animation.getDistanceNearest(lngLat.lng, lngLat.lat));
+    };
+
+    elevationProfile.onPick = (distance) => {
+        if (!animation || !rangePick) return;
+        pickRangePoint(distance);
+    };
+
+    function setRangePick(pick) {
+        rangePick = pick;
+        rangePickBtn.textContent = pick ? 'Cancel' : 'Pick on Map';
+        gpxMap.getCanvas().style.cursor = pick ? 'crosshair' : '';
+        elevationProfile.setPicking(pick !== null);
+        if (!pick) {
+            gpxMap.setHighlightPoint(null);
+        }
+        updateRangeControls();
+    }
+
+    // The start is marked on the map until the end is picked; either order works
+    function pickRangePoint(distance) {
+        if (rangePick === 'start') {
+            rangePickStart = distance;
+            setRangePick('end');
+            gpxMap.setHighlightPoint(animation.getTrackPointAtDistance(distance));
+            return;
+        }
+        setRangePick(null);
+        applyRange(Math.min(rangePickStart, distance), Math.max(rangePickStart, distance));
+    }
+
+    function applyRange(startDistance, endDistance) {
+        animation.setRangeByDistance(startDistance, endDistance);
+        updateRange();
+    }
+
+    // After the in or out point changes: the flyover moves into the range
+    function updateRange() {
+        updateRangeControls();
+        updateSummaryCard();
+        elevationProfile.draw();
+        seekTo(animation.clampToRange(animation.progress));
+        scheduleAutosave();
+    }
+
+    function updateRangeControls() {
+        if (!animation) return;
+        const range = animation.getRangeDistances();
+        rangeStartDistance.value = (range.start / 1000).toFixed(2);
+        rangeEndDistance.value = (range.end / 1000).toFixed(2);
+
+        const startTime = animation.getElapsedTimeAtDistance(range.start);
+        const endTime = animation.getElapsedTimeAtDistance(range.end);
+        rangeStartTime.value = startTime === null ? '' : formatElapsedTime(startTime);
+        rangeEndTime.value = endTime === null ? '' : formatElapsedTime(endTime);
+        rangeClearBtn.disabled = !animation.hasRange();
+
+        if (rangePick) {
+            rangeStatus.textContent = rangePick === 'start'
+                ? 'Click the start on the map or elevation profile'
+                : 'Now click the end';
+        } else if (animation.hasRange()) {
+            rangeStatus.textContent = `Recording ${((range.end - range.start) / 1000).toFixed(2)} km of ${(animation.totalDistance / 1000).toFixed(2)} km`;
+        } else {
+            rangeStatus.textContent = 'The whole track is recorded';
+        }
+    }
+
+    // Keyboard shortcuts for the player; keys typed into form fields are left to them
+    const keySeekSeconds = 5;
+    document.addEventListener('keydown', (e) => {
+        if (!animation || recorder.isRecording) return;
+        if (e.ctrlKey || e.metaKey || e.altKey || e.target.closest('input, select, textarea')) return;
+
+        switch (e.key) {
+            case ' ':
+                // A focused button is clicked by the space bar itself
+                if (e.target.closest('button')) return;
+                playBtn.click();
+                break;
+            case 'ArrowLeft':
+                if (e.shiftKey) {
+                    player.seekBy(-keySeekSeconds);
+                } else {
+                    player.step(-1);
+                }
+                break;
+            case 'ArrowRight':
+                if (e.shiftKey) {
+                    player.seekBy(keySeekSeconds);
+                } else {
+                    player.step(1);
+                }
+                break;
+            case 'Home':
+                player.seek(0);
+                break;
+            case 'End':
+                player.seek(player.duration);
+                break;
+            case 'i':
+            case 'I':
+                player.setInPoint();
+                break;
+            case 'o':
+            case 'O':
+                player.setOutPoint();
+                break;
+            case 'Escape':
+                if (!rangePick) return;
+                setRangePick(null);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    });
+
+    function seekTo(p) {
+        cameraTimeline.setProgress(p);
+        elevationProfile.setProgress(p);
+        if (isPlaying) {
+            animation.seekToProgress(p);
+        } else {
+            animation.resetSmoothing();
+            animation.stepToProgress(p);
+            drawPreviewOverlay();
         }
+        player.update();
+        scheduleLinkUpdate();
+    }
+
+    // Bring the timeline, profile and player to the flyover's position
+    function syncPosition() {
+        cameraTimeline.setProgress(animation.progress);
+        elevationProfile.setProgress(animation.progress);
+        player.update();
+        drawPreviewOverlay();
+        scheduleLinkUpdate();
+    }
+
+    // Stats for the outro summary card, from the track(s) being played (between the in and out
+    // points when they are set)
+    function updateSummaryCard() {
+        const trackPoints = gpxMap.getTrackPoints();
+        const range = animation.getRangeDistances();
+        const distances = animation.cumulativeDistances;
+        const inRange = (index) => distances[index] >= range.start && distances[index] <= range.end;
+        const points = trackPoints.filter((point, index) => inRange(index));
+        const segments = gpxMap.getTrackSegments()
+            .map(segment => trackPoints.slice(segment.start, segment.end).filter((point, i) => inRange(segment.start + i)));
+        const distance = segments.reduce((sum, segmentPoints) => sum + calculateTotalDistance(segmentPoints), 0);
+        const gain = segments.reduce((sum, segmentPoints) => sum + calculateElevationGain(segmentPoints), 0);
+        const highest = points.reduce((max, p) => Math.max(max, p.ele || 0), -Infinity);
+
+        const stats = [
+            { label: 'Distance', value: `${(distance / 1000).toFixed(2)} km` },
+            { label: 'Elevation gain', value: `+${Math.round(gain)} m` },
+            { label: 'Highest point', value: `${Math.round(highest)} m` }
+        ];
+
+        const times = points.filter(p => p.time !== undefined).map(p => p.time);
+        if (times.length > 1) {
+            stats.push({ label: 'Duration', value: formatDuration((times[times.length - 1] - times[0]) / 1000) });
+        }
+
+        const title = gpxMap.activeTrack === null ? gpxMap.trackData.name : gpxMap.getTracks()[gpxMap.activeTrack].name;
+        summaryCard.setStats(title, stats);
+        hud.setTitle(title);
+    }
+
+    // Preview of what recording draws over the map, framed like the video
+    function drawPreviewOverlay() {
+        const width = overlayCanvas.clientWidth;
+        const height = overlayCanvas.clientHeight;
+        if (overlayCanvas.width !== width || overlayCanvas.height !== height) {
+            overlayCanvas.width = width;
+            overlayCanvas.height = height;
+        }
+
+        const ctx = overlayCanvas.getContext('2d');
+        ctx.clearRect(0, 0, width, height);
+        if (!animation) return;
+
+        // The camera's vertical field of view is fixed, so the video shows the full height of the
+        // view and a width set by its aspect ratio; shade what a narrower video leaves out
+        const frameWidth = Math.min(width, height * recorder.width / recorder.height);
+        const frameX = (width - frameWidth) / 2;
+        if (frameX > 0) {
+            ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+            ctx.fillRect(0, 0, frameX, height);
+            ctx.fillRect(frameX + frameWidth, 0, frameX, height);
+        }
+
+        ctx.save();
+        ctx.translate(frameX, 0);
+        hud.draw(ctx, frameWidth, height);
+        ctx.restore();
     }
 
     function calculateElevationGain(points) {
@@ -161,6 +764,42 @@ document.addEventListener('DOMContentLoaded', async () => {
         return distance;
     }
 
+    // Summary of what the device recorded besides position (empty if nothing)
+    function formatRecordedStats(data) {
+        const fields = data.fields || [];
+        const parts = [];
+
+        if (fields.includes('time')) {
+            const times = data.points.filter(p => p.time !== undefined).map(p => p.time);
+            parts.push(`${formatDuration((times[times.length - 1] - times[0]) / 1000)} recorded`);
+        }
+
+        const averages = { hr: 'bpm', cad: 'rpm', power: 'W' };
+        for (const [key, unit] of Object.entries(averages)) {
+            if (!fields.includes(key)) continue;
+            const values = data.points.filter(p => p[key] !== undefined).map(p => p[key]);
+            const average = values.reduce((sum, v) => sum + v, 0) / values.length;
+            parts.push(`avg ${Math.round(average)} ${unit}`);
+        }
+
+        return parts.length > 0 ? `<div class="stats">${parts.join(' | ')}</div>` : '';
+    }
+
+    // "h:mm:ss", "m:ss" or seconds; null when empty or not a time
+    function parseElapsedTime(text) {
+        const parts = text.trim().split(':');
+        if (parts.length > 3 || parts.some(part => part === '' || isNaN(part))) return null;
+        return parts.reduce((seconds, part) => seconds * 60 + parseFloat(part), 0);
+    }
+
+    function formatElapsedTime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const mins = Math.floor((seconds % 3600) / 60);
+        const secs = Math.floor(seconds % 60);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${hours}:${pad(mins)}:${pad(secs)}`;
+    }
+
     function formatDuration(seconds) {
         if (seconds < 60) {
             return `${Math.round(seconds)}s`;
@@ -184,6 +823,40 @@ document.addEventListener('DOMContentLoaded', async () => {
         });
     });
 
+    // Pacing
+    document.querySelectorAll('input[name="pacing"]').forEach(radio => {
+        radio.addEventListener('change', (e) => {
+            timePacingOptions.classList.toggle('hidden', e.target.value !== 'time');
+            if (animation) {
+                animation.setPacing(e.target.value);
+            }
+        });
+    });
+
+    function updatePacingAvailability(available) {
+        const timeRadio = document.querySelector('input[name="pacing"][value="time"]');
+        timeRadio.disabled = !available;
+        rangeTimeGroup.classList.toggle('hidden', !available);
+        if (!available && timeRadio.checked) {
+            document.querySelector('input[name="pacing"][value="distance"]').checked = true;
+            timePacingOptions.classList.add('hidden');
+        }
+    }
+
+    // Time-lapse slider
+    timeLapseSlider.addEventListener('input', (e) => {
+        timeLapseValue.textContent = e.target.value;
+        if (animation) {
+            animation.setTimeLapse(parseInt(e.target.value));
+        }
+    });
+
+    compressPausesCheckbox.addEventListener('change', (e) => {
+        if (animation) {
+            animation.setCompressPauses(e.target.checked);
+        }
+    });
+
     // Speed slider
     speedSlider.addEventListener('input', (e) => {
         speedValue.textContent = e.target.value;
@@ -208,6 +881,319 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
     });
 
+    // Orbit target: a point on the track, or one picked by clicking the map
+    orbitTargetSelect.addEventListener('change', (e) => {
+        if (animation) {
+            animation.setOrbitTarget(e.target.value);
+        }
+    });
+
+    pickOrbitTargetBtn.addEventListener('click', () => {
+        if (!animation) return;
+        const canvas = gpxMap.getCanvas();
+        canvas.style.cursor = 'crosshair';
+        orbitTargetStatus.textContent = 'Click the map to choose the orbit point';
+        gpxMap.map.once('click', (e) => {
+            canvas.style.cursor = '';
+            const point = { lon: e.lngLat.lng, lat: e.lngLat.lat };
+            animation.setOrbitTarget('custom', point);
+            const customOption = orbitTargetSelect.querySelector('option[value="custom"]');
+            customOption.disabled = false;
+            orbitTargetSelect.value = 'custom';
+            orbitTargetStatus.textContent = `Orbiting ${point.lat.toFixed(5)}, ${point.lon.toFixed(5)}`;
+            scheduleAutosave();
+        });
+    });
+
+    orbitRadiusSlider.addEventListener('input', (e) => {
+        orbitRadiusValue.textContent = e.target.value;
+        if (animation) {
+            animation.setOrbitRadius(parseInt(e.target.value));
+        }
+    });
+
+    orbitAltitudeSlider.addEventListener('input', (e) => {
+        orbitAltitudeValue.textContent = e.target.value;
+        if (animation) {
+            animation.setOrbitAltitude(parseInt(e.target.value));
+        }
+    });
+
+    orbitSpeedSlider.addEventListener('input', (e) => {
+        orbitSpeedValue.textContent = e.target.value;
+        if (animation) {
+            animation.setOrbitSpeed(parseInt(e.target.value));
+        }
+    });
+
+    // Advanced camera: smoothing, distance and terrain clearance, from a preset or set by hand.
+    // The flyover takes them from its next frame, so they can be tuned while it plays
+    function readCameraFeel() {
+        return Object.fromEntries(cameraFeelSliders.map(slider => [slider.id, parseFloat(slider.value)]));
+    }
+
+    function updateCameraFeel() {
+        const feel = readCameraFeel();
+        for (const slider of cameraFeelSliders) {
+            document.getElementById(`${slider.id}Value`).textContent = slider.value;
+        }
+        cameraFeelPresetSelect.value = FlyoverAnimation.getCameraFeelPresetName(feel);
+        if (!animation) return;
+        animation.setCameraFeel(feel);
+        if (!isPlaying) {
+            seekTo(animation.progress);
+        }
+    }
+
+    function setCameraFeelControls(feel) {
+        for (const slider of cameraFeelSliders) {
+            if (feel[slider.id] !== undefined) {
+                slider.value = feel[slider.id];
+            }
+        }
+        updateCameraFeel();
+    }
+
+    cameraFeelSliders.forEach(slider => slider.addEventListener('input', updateCameraFeel));
+
+    cameraFeelPresetSelect.addEventListener('change', () => {
+        setCameraFeelControls(FlyoverAnimation.getCameraFeelPresets()[cameraFeelPresetSelect.value]);
+    });
+
+    // Intro and outro phases
+    function updateSequenceSettings() {
+        introDurationValue.textContent = introDurationSlider.value;
+        outroDurationValue.textContent = outroDurationSlider.value;
+        if (!animation) return;
+        animation.setIntro(introTypeSelect.value, parseInt(introDurationSlider.value));
+        animation.setOutro(outroTypeSelect.value, parseInt(outroDurationSlider.value));
+        player.update();
+    }
+
+    introTypeSelect.addEventListener('change', updateSequenceSettings);
+    introDurationSlider.addEventListener('input', updateSequenceSettings);
+    outroTypeSelect.addEventListener('change', updateSequenceSettings);
+    outroDurationSlider.addEventListener('input', updateSequenceSettings);
+
+    // HUD layers burned into the video
+    document.querySelectorAll('input[name="hudLayer"]').forEach(checkbox => {
+        hud.setLayerEnabled(checkbox.value, checkbox.checked);
+        checkbox.addEventListener('change', (e) => {
+            hud.setLayerEnabled(e.target.value, e.target.checked);
+            if (animation) {
+                drawPreviewOverlay();
+            }
+        });
+    });
+
+    // Photos, clips and waypoints along the flyover
+    mediaBtn.addEventListener('click', () => mediaInput.click());
+
+    mediaInput.addEventListener('change', async (e) => {
+        const files = [...e.target.files];
+        e.target.value = '';
+        if (files.length === 0) return;
+
+        mediaStatus.textContent = `Reading ${files.length} file(s)...`;
+        await mediaLibrary.addFiles(files);
+        updateMedia();
+        scheduleAutosave();
+    });
+
+    mediaClearBtn.addEventListener('click', () => {
+        mediaLibrary.clearMedia();
+        updateMedia();
+        scheduleAutosave();
+    });
+
+    mediaList.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-action="remove"]');
+        if (!button) return;
+        mediaLibrary.removeItem(button.closest('.media-item').dataset.id);
+        updateMedia();
+        scheduleAutosave();
+    });
+
+    showWaypointsCheckbox.addEventListener('change', updateMedia);
+
+    // Place photos and clips on the loaded track and hand everything to the map and the flyover
+    function updateMedia() {
+        if (gpxMap.trackData) {
+            mediaLibrary.locate(gpxMap.trackData.points);
+        }
+        const items = showWaypointsCheckbox.checked ? mediaLibrary.items : mediaLibrary.getMedia();
+        gpxMap.setMedia(items);
+        if (animation) {
+            animation.setMedia(items);
+            drawPreviewOverlay();
+        }
+        renderMediaList();
+    }
+
+    function renderMediaList() {
+        const media = mediaLibrary.getMedia();
+        mediaList.innerHTML = '';
+
+        for (const item of media) {
+            const onTrack = animation && animation.mediaStops.some(stop => stop.item === item);
+            const element = document.createElement('div');
+            element.className = `media-item${onTrack ? '' : ' unplaced'}`;
+            element.dataset.id = item.id;
+
+            const name = document.createElement('span');
+            name.className = 'media-item-name';
+            name.textContent = item.name;
+            const status = document.createElement('span');
+            status.className = 'media-item-status';
+            if (!animation) {
+                status.textContent = item.gps ? 'GPS' : 'No track';
+            } else if (!onTrack) {
+                status.textContent = 'Not on track';
+            } else {
+                status.textContent = item.placement === 'gps' ? 'GPS' : 'By time';
+            }
+            const remove = document.createElement('button');
+            remove.className = 'btn btn-small';
+            remove.dataset.action = 'remove';
+            remove.textContent = 'Remove';
+
+            element.append(name, status, remove);
+            mediaList.appendChild(element);
+        }
+
+        const waypointCount = mediaLibrary.items.length - media.length;
+        mediaStatus.textContent = waypointCount > 0 ? `${waypointCount} waypoint(s) from the track file` : '';
+        mediaClearBtn.classList.toggle('hidden', media.length === 0);
+    }
+
+    function updateMediaSettings() {
+        mediaDurationValue.textContent = mediaDurationSlider.value;
+        const timeZone = parseFloat(mediaTimeZoneSlider.value);
+        mediaTimeZoneValue.textContent = (timeZone >= 0 ? '+' : '') + timeZone;
+        hud.setMediaDisplay(mediaDisplaySelect.value);
+
+        // Photos without a recorded time zone move along the track with the camera clock
+        if (timeZone !== mediaLibrary.timeZone) {
+            mediaLibrary.setTimeZone(timeZone);
+            updateMedia();
+        }
+        if (animation) {
+            animation.setMediaDuration(parseFloat(mediaDurationSlider.value));
+            player.update();
+            drawPreviewOverlay();
+        }
+    }
+
+    // The camera clock defaults to this computer's time zone
+    mediaTimeZoneSlider.value = mediaLibrary.timeZone;
+    mediaDisplaySelect.addEventListener('change', updateMediaSettings);
+    mediaDurationSlider.addEventListener('input', updateMediaSettings);
+    mediaTimeZoneSlider.addEventListener('input', updateMediaSettings);
+    updateMediaSettings();
+
+    // Progress marker look, on the map and in recordings
+    markerVisibleCheckbox.addEventListener('change', () => progressMarker.setVisible(markerVisibleCheckbox.checked));
+    markerIconSelect.addEventListener('change', () => progressMarker.setIcon(markerIconSelect.value));
+    markerColorInput.addEventListener('change', () => progressMarker.setColor(markerColorInput.value));
+
+    markerSizeSlider.addEventListener('input', () => {
+        markerSizeValue.textContent = markerSizeSlider.value;
+        progressMarker.setSize(parseFloat(markerSizeSlider.value));
+    });
+
+    markerTypeSelect.addEventListener('change', () => {
+        progressMarker.setType(markerTypeSelect.value);
+        updateMarkerControls();
+    });
+
+    markerFileBtn.addEventListener('click', () => {
+        (markerTypeSelect.value === 'model' ? markerModelInput : markerAvatarInput).click();
+    });
+
+    for (const [input, load, kind] of [
+        [markerAvatarInput, file => progressMarker.setAvatar(file), 'image'],
+        [markerModelInput, file => progressMarker.setModel(file), '3D model']
+    ]) {
+        input.addEventListener('change', async (e) => {
+            const file = e.target.files[0];
+            e.target.value = '';
+            if (!file) return;
+
+            markerFileName.textContent = `Loading ${file.name}...`;
+            try {
+                await load(file);
+            } catch (error) {
+                console.error('Could not load marker file:', error);
+                alert(`Could not read this ${kind}: ${error.message}`);
+            }
+            updateMarkerControls();
+            scheduleAutosave();
+        });
+    }
+
+    function updateMarkerControls() {
+        const type = markerTypeSelect.value;
+        markerIconGroup.classList.toggle('hidden', type !== 'icon');
+        markerFileGroup.classList.toggle('hidden', type !== 'avatar' && type !== 'model');
+        markerFileBtn.textContent = type === 'model' ? 'Choose glTF Model' : 'Choose PNG or SVG';
+
+        const file = type === 'model' ? progressMarker.modelFile : progressMarker.avatarFile;
+        markerFileName.textContent = file ? file.name : 'No file selected (a dot is shown)';
+    }
+
+    // Soundtrack mixed into the video
+    musicBtn.addEventListener('click', () => musicInput.click());
+
+    musicInput.addEventListener('change', async (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (!file) return;
+
+        musicName.textContent = `Loading ${file.name}...`;
+        try {
+            await soundtrack.loadMusic(file);
+        } catch (error) {
+            console.error('Could not decode music:', error);
+            alert('Could not read this audio file: ' + error.message);
+        }
+        updateMusicInfo();
+        scheduleAutosave();
+    });
+
+    musicClearBtn.addEventListener('click', () => {
+        soundtrack.clearMusic();
+        updateMusicInfo();
+        scheduleAutosave();
+    });
+
+    function updateMusicInfo() {
+        if (soundtrack.music) {
+            musicName.textContent = `${soundtrack.musicName} (${formatDuration(soundtrack.music.duration)})`;
+        } else {
+            musicName.textContent = 'No music selected';
+        }
+        musicClearBtn.classList.toggle('hidden', !soundtrack.music);
+    }
+
+    function updateSoundtrackSettings() {
+        musicVolumeValue.textContent = musicVolumeSlider.value;
+        musicFadeInValue.textContent = musicFadeInSlider.value;
+        musicFadeOutValue.textContent = musicFadeOutSlider.value;
+        windLevelValue.textContent = windLevelSlider.value;
+
+        soundtrack.setVolume(parseInt(musicVolumeSlider.value) / 100);
+        soundtrack.setFades(parseFloat(musicFadeInSlider.value), parseFloat(musicFadeOutSlider.value));
+        soundtrack.setLoop(musicLoopCheckbox.checked);
+        soundtrack.setWind(windNoiseCheckbox.checked, parseInt(windLevelSlider.value) / 100);
+    }
+
+    [musicVolumeSlider, musicFadeInSlider, musicFadeOutSlider, windLevelSlider].forEach(slider => {
+        slider.addEventListener('input', updateSoundtrackSettings);
+    });
+    musicLoopCheckbox.addEventListener('change', updateSoundtrackSettings);
+    windNoiseCheckbox.addEventListener('change', updateSoundtrackSettings);
+    updateSoundtrackSettings();
+
     // Resolution select
     resolutionSelect.addEventListener('change', (e) => {
         customResolution.classList.toggle('hidden', e.target.value !== 'custom');
@@ -216,15 +1202,44 @@ document.addEventListener('DOMContentLoaded', async () => {
 
     customWidth.addEventListener('change', updateRecorderSettings);
     customHeight.addEventListener('change', updateRecorderSettings);
+    pixelRatioSelect.addEventListener('change', updateRecorderSettings);
     fpsSelect.addEventListener('change', updateRecorderSettings);
 
+    videoFormatSelect.addEventListener('change', updateRecorderSettings);
+    videoCodecSelect.addEventListener('change', updateRecorderSettings);
+
+    videoBitrateSlider.addEventListener('input', (e) => {
+        videoBitrateValue.textContent = e.target.value;
+        updateRecorderSettings();
+    });
+
+    keyframeIntervalSlider.addEventListener('input', (e) => {
+        keyframeIntervalValue.textContent = e.target.value;
+        updateRecorderSettings();
+    });
+
+    maxTileWaitSlider.addEventListener('input', (e) => {
+        maxTileWaitValue.textContent = e.target.value;
+        updateRecorderSettings();
+    });
+
     function updateAnimationSettings() {
         if (!animation) return;
         const mode = document.querySelector('input[name="animationMode"]:checked').value;
         animation.setMode(mode);
+        animation.setCompressPauses(compressPausesCheckbox.checked);
+        animation.setPacing(document.querySelector('input[name="pacing"]:checked').value);
+        animation.setTimeLapse(parseInt(timeLapseSlider.value));
         animation.setSpeed(parseFloat(speedSlider.value));
         animation.setCameraAltitude(parseInt(altitudeSlider.value));
         animation.setCameraPitch(parseInt(pitchSlider.value));
+        animation.setOrbitTarget(orbitTargetSelect.value);
+        animation.setOrbitRadius(parseInt(orbitRadiusSlider.value));
+        animation.setOrbitAltitude(parseInt(orbitAltitudeSlider.value));
+        animation.setOrbitSpeed(parseInt(orbitSpeedSlider.value));
+        animation.setCameraFeel(readCameraFeel());
+        updateSequenceSettings();
+        updateMediaSettings();
     }
 
     function updateRecorderSettings() {
@@ -239,8 +1254,16 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         recorder.setResolution(width, height);
+        recorder.setPixelRatio(pixelRatioSelect.value === 'auto' ? 'auto' : parseFloat(pixelRatioSelect.value));
         recorder.setFPS(parseInt(fpsSelect.value));
         recorder.setOutputFormat(videoFormatSelect.value);
+        recorder.setCodec(videoCodecSelect.value);
+        recorder.setBitrate(parseInt(videoBitrateSlider.value) * 1000000);
+        recorder.setKeyframeInterval(parseInt(keyframeIntervalSlider.value));
+        recorder.setMaxTileWait(parseInt(maxTileWaitSlider.value) * 1000);
+
+        // The preview is framed like the video
+        drawPreviewOverlay();
         
         // Set up status callback for conversion progress
         recorder.onStatusChange = (status) => {
@@ -256,21 +1279,17 @@ document.addEventListener('DOMContentLoaded', async () => {
         if (!animation) return;
 
         if (isPlaying) {
-            animation.pause();
-            playBtn.innerHTML = `
-                <svg viewBox="0 0 24 24" width="20" height="20">
-                    <path fill="currentColor" d="M8 5v14l11-7z"/>
-                </svg>
-                Play
-            `;
-            isPlaying = false;
+            pausePlayback();
         } else {
             if (animation.isPaused) {
                 animation.resume();
             } else {
-                animation.onProgress = (p) => {
-                    progressFill.style.width = (p * 100) + '%';
-                    progressText.textContent = Math.round(p * 100) + '%';
+                animation.onProgress = (p, sequenceProgress) => {
+                    progressFill.style.width = (sequenceProgress * 100) + '%';
+                    progressText.textContent = Math.round(sequenceProgress * 100) + '%';
+                    cameraTimeline.setProgress(p);
+                    elevationProfile.setProgress(p);
+                    player.update();
                 };
                 animation.onComplete = () => {
                     isPlaying = false;
@@ -298,6 +1317,22 @@ document.addEventListener('DOMContentLoaded', async () => {
     // Stop button
     stopBtn.addEventListener('click', () => {
         if (!animation) return;
+        stopPlayback();
+    });
+
+    function pausePlayback() {
+        animation.pause();
+        playBtn.innerHTML = `
+            <svg viewBox="0 0 24 24" width="20" height="20">
+                <path fill="currentColor" d="M8 5v14l11-7z"/>
+            </svg>
+            Play
+        `;
+        isPlaying = false;
+        scheduleLinkUpdate();
+    }
+
+    function stopPlayback() {
         animation.stop();
         isPlaying = false;
         playBtn.innerHTML = `
@@ -308,12 +1343,23 @@ document.addEventListener('DOMContentLoaded', async () => {
         `;
         progress.classList.add('hidden');
         progressFill.style.width = '0%';
-    });
+        cameraTimeline.setProgress(animation.progress);
+        elevationProfile.setProgress(animation.progress);
+        player.update();
+        drawPreviewOverlay();
+        scheduleLinkUpdate();
+    }
 
     // Record button
     recordBtn.addEventListener('click', async () => {
         if (!recorder) return;
 
+        // While converting, the button cancels the conversion (the WebM is kept)
+        if (recorder.isConverting) {
+            recorder.cancelConversion();
+            return;
+        }
+
         if (recorder.isRecording) {
             recorder.stopRecording();
             recordBtn.classList.remove('recording');
@@ -327,16 +1373,37 @@ document.addEventListener('DOMContentLoaded', async () => {
         }
 
         // Update settings before recording
+        if (isPlaying || animation.isPaused) {
+            stopPlayback();
+        }
         updateAnimationSettings();
         updateRecorderSettings();
 
-        recorder.onProgress = (p) => {
-            progressFill.style.width = (p * 100) + '%';
-            progressText.textContent = `Recording: ${Math.round(p * 100)}%`;
+        recorder.onProgress = (p, sequenceProgress) => {
+            progressFill.style.width = (sequenceProgress * 100) + '%';
+            progressText.textContent = `Recording: ${Math.round(sequenceProgress * 100)}%`;
+            cameraTimeline.setProgress(p);
+            elevationProfile.setProgress(p);
+            drawPreviewOverlay();
+        };
+
+        recorder.onConversionProgress = (fraction) => {
+            if (!recordBtn.classList.contains('converting')) {
+                recordBtn.classList.add('converting');
+                recordBtn.innerHTML = `
+                    <svg viewBox="0 0 24 24" width="20" height="20">
+                        <rect fill="currentColor" x="6" y="6" width="12" height="12"/>
+                    </svg>
+                    Cancel Conversion
+                `;
+            }
+            progress.classList.remove('hidden');
+            progressFill.style.width = (fraction * 100) + '%';
+            progressText.textContent = `Converting: ${Math.round(fraction * 100)}%`;
         };
 
         recorder.onComplete = () => {
-            recordBtn.classList.remove('recording');
+            recordBtn.classList.remove('recording', 'converting');
             recordBtn.innerHTML = `
                 <svg viewBox="0 0 24 24" width="20" height="20">
                     <circle fill="currentColor" cx="12" cy="12" r="8"/>
@@ -348,7 +1415,7 @@ document.addEventListener('DOMContentLoaded', async () => {
         };
 
         recorder.onError = (error) => {
-            recordBtn.classList.remove('recording');
+            recordBtn.classList.remove('recording', 'converting');
             recordBtn.innerHTML = `
                 <svg viewBox="0 0 24 24" width="20" height="20">
                     <circle fill="currentColor" cx="12" cy="12" r="8"/>
@@ -368,6 +1435,345 @@ document.addEventListener('DOMContentLoaded', async () => {
         `;
         progress.classList.remove('hidden');
 
-        await recorder.startRecording();
+        // Frame by frame, so intro/outro and the summary card are composited into the video
+        await recorder.recordFrameByFrame();
     });
+
+    // Projects: the track and every setting saved as one file, opened again from it, and
+    // autosaved so a reload picks up where the last session left off
+    const autosaveId = 'autosave';
+    const autosaveDelay = 1000; // ms after the last change
+    let autosaveTimer = null;
+    let restoringProject = false; // The controls' own events are not changes while a project loads
+
+    projectOpenBtn.addEventListener('click', () => projectInput.click());
+
+    projectInput.addEventListener('change', (e) => {
+        const file = e.target.files[0];
+        e.target.value = '';
+        if (file) {
+            openProject(file);
+        }
+    });
+
+    projectSaveBtn.addEventListener('click', async () => {
+        if (!animation) return;
+        const name = summaryCard.title.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '') || 'gpx-flyover';
+        projectStatus.textContent = 'Saving project...';
+        try {
+            await projectFile.download(createProject(), `${name}-project`);
+            projectStatus.textContent = 'Project saved. Check your downloads folder.';
+        } catch (error) {
+            console.error('Could not save project:', error);
+            alert('Could not save project: ' + error.message);
+        }
+    });
+
+    async function openProject(file) {
+        if (recorder && (recorder.isRecording || recorder.isConverting)) {
+            alert('Wait for the current recording to finish before opening a project');
+            return;
+        }
+
+        try {
+            await applyProject(await projectFile.parse(file));
+            setTrackUrl(null);
+            projectStatus.textContent = `Opened ${file.name}`;
+            scheduleAutosave();
+        } catch (error) {
+            console.error('Could not open project:', error);
+            alert('Could not open project: ' + error.message);
+        }
+    }
+
+    // Load a project's track and put every setting back: the controls first, so the new flyover
+    // starts from them, then what has no control (keyframes, orbit point, range, files)
+    async function applyProject(project) {
+        restoringProject = true;
+        showLoading(true);
+        try {
+            if (animation && (isPlaying || animation.isPaused)) {
+                stopPlayback();
+            }
+
+            mapStyleSelect.value = project.mapStyle;
+            await gpxMap.setMapStyle(project.mapStyle);
+            hud.setAttribution(gpxMap.getAttributionText());
+
+            setControls(project);
+            loadTrackData(project.trackData);
+            if (project.activeTrack !== null && project.activeTrack !== undefined) {
+                trackSelect.value = project.activeTrack;
+                trackSelect.dispatchEvent(new Event('change'));
+            }
+
+            animation.applySettings(project.animation);
+            cameraTimeline.setAnimation(animation);
+            await soundtrack.applySettings(project.audio);
+            updateMusicInfo();
+            await progressMarker.applySettings(project.marker);
+            updateMarkerControls();
+            await mediaLibrary.applySettings(project.media);
+            updateMedia();
+            updateRange();
+        } finally {
+            showLoading(false);
+            restoringProject = false;
+        }
+    }
+
+    // Set a control as if it was edited, so its own handler applies the value
+    function setControl(input, value) {
+        if (input.type === 'checkbox' || input.type === 'radio') {
+            input.checked = value;
+        } else {
+            input.value = value;
+        }
+        input.dispatchEvent(new Event(input.type === 'range' ? 'input' : 'change'));
+    }
+
+    function chooseOption(name, value) {
+        const radio = document.querySelector(`input[name="${name}"][value="${value}"]`);
+        if (radio) {
+            setControl(radio, true);
+        }
+    }
+
+    // Set the controls to a project's settings
+    function setControls(project) {
+        setControl(trackColorBySelect, project.trackColoring.metric);
+        setControl(trackPaletteSelect, project.trackColoring.palette);
+        setControl(trailRevealSelect, project.trailReveal.mode);
+        setControl(trailTailCheckbox, project.trailReveal.tail);
+
+        const settings = project.animation;
+        chooseOption('animationMode', settings.mode);
+        chooseOption('pacing', settings.pacing);
+        setControl(compressPausesCheckbox, settings.compressPauses);
+        setControl(timeLapseSlider, settings.timeLapse);
+        setControl(speedSlider, settings.speed);
+        setControl(altitudeSlider, settings.cameraAltitude);
+        setControl(pitchSlider, settings.cameraPitch);
+
+        const customTarget = settings.orbit.customTarget;
+        orbitTargetSelect.querySelector('option[value="custom"]').disabled = !customTarget;
+        orbitTargetStatus.textContent = customTarget ? `Orbiting ${customTarget.lat.toFixed(5)}, ${customTarget.lon.toFixed(5)}` : '';
+        setControl(orbitTargetSelect, settings.orbit.target);
+        setControl(orbitRadiusSlider, settings.orbit.radius);
+        setControl(orbitAltitudeSlider, settings.orbit.altitude);
+        setControl(orbitSpeedSlider, settings.orbit.angularSpeed);
+        setCameraFeelControls(settings.cameraFeel || FlyoverAnimation.getCameraFeelPresets().default);
+
+        setControl(introTypeSelect, settings.intro.type);
+        setControl(introDurationSlider, settings.intro.duration);
+        setControl(outroTypeSelect, settings.outro.type);
+        setControl(outroDurationSlider, settings.outro.duration);
+
+        document.querySelectorAll('input[name="hudLayer"]').forEach(checkbox => {
+            setControl(checkbox, project.overlay.layers[checkbox.value] ?? checkbox.checked);
+        });
+        setControl(mediaDisplaySelect, project.overlay.mediaDisplay);
+        setControl(mediaDurationSlider, settings.mediaDuration);
+        setControl(mediaTimeZoneSlider, project.media.timeZone);
+        setControl(showWaypointsCheckbox, project.showWaypoints ?? true);
+
+        setControl(markerVisibleCheckbox, project.marker.visible);
+        setControl(markerTypeSelect, project.marker.type);
+        setControl(markerIconSelect, project.marker.icon);
+        setControl(markerColorInput, project.marker.color);
+        setControl(markerSizeSlider, project.marker.size);
+
+        setControl(musicVolumeSlider, Math.round(project.audio.volume * 100));
+        setControl(musicFadeInSlider, project.audio.fadeIn);
+        setControl(musicFadeOutSlider, project.audio.fadeOut);
+        setControl(musicLoopCheckbox, project.audio.loop);
+        setControl(windNoiseCheckbox, project.audio.wind);
+        setControl(windLevelSlider, Math.round(project.audio.windLevel * 100));
+
+        const output = project.output;
+        const resolution = `${output.width}x${output.height}`;
+        const presetResolution = [...resolutionSelect.options].some(option => option.value === resolution);
+        customWidth.value = output.width;
+        customHeight.value = output.height;
+        setControl(resolutionSelect, presetResolution ? resolution : 'custom');
+        setControl(pixelRatioSelect, String(output.pixelRatio));
+        setControl(fpsSelect, output.fps);
+        setControl(videoFormatSelect, output.outputFormat);
+        setControl(videoCodecSelect, output.codec);
+        setControl(videoBitrateSlider, output.bitrate / 1000000);
+        setControl(keyframeIntervalSlider, output.keyframeInterval);
+        setControl(maxTileWaitSlider, output.maxTileWait / 1000);
+    }
+
+    // Save the project a moment after the last change
+    function scheduleAutosave() {
+        clearTimeout(autosaveTimer);
+        autosaveTimer = setTimeout(autosaveProject, autosaveDelay);
+    }
+
+    async function autosaveProject() {
+        if (!animation || restoringProject) return;
+        try {
+            await store.putProject({ ...createProject(), id: autosaveId, savedAt: Date.now(), trackUrl });
+        } catch (error) {
+            console.warn('Could not autosave the project:', error);
+        }
+    }
+
+    // Links: a track loaded from a URL can be linked to at the current view, or embedded; the
+    // address bar follows the view
+    const linkUpdateDelay = 500; // ms after the last change
+    let trackUrl = null; // Where the track (or project) was loaded from
+    let linkTimer = null;
+
+    trackUrlBtn.addEventListener('click', () => {
+        const url = trackUrlInput.value.trim();
+        if (url) {
+            openLink({ track: url });
+        }
+    });
+
+    trackUrlInput.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') {
+            trackUrlBtn.click();
+        }
+    });
+
+    copyLinkBtn.addEventListener('click', () => {
+        copyText(new URL(viewState.serialize(getLinkView()), window.location.href).href, 'Link copied');
+    });
+
+    copyEmbedBtn.addEventListener('click', () => {
+        const src = viewState.getEmbedUrl(getLinkView()).replace(/&/g, '&amp;');
+        copyText(`<iframe src="${src}" width="800" height="450" style="border: 0" allowfullscreen></iframe>`, 'Embed code copied');
+    });
+
+    // A link pasted into the address bar opens like one followed from elsewhere
+    window.addEventListener('hashchange', () => {
+        const state = viewState.parse();
+        if (!state.track) return;
+        if (state.track === trackUrl) {
+            applyLinkView(state);
+        } else {
+            openLink(state);
+        }
+    });
+
+    async function openLink(state) {
+        if (recorder && (recorder.isRecording || recorder.isConverting)) {
+            alert('Wait for the current recording to finish before opening a link');
+            return;
+        }
+
+        showLoading(true);
+        try {
+            const { trackData, project } = await viewState.loadTrack(state.track);
+            if (project) {
+                await applyProject(project);
+            } else {
+                loadTrackData(trackData);
+            }
+            setTrackUrl(state.track);
+            await applyLinkView(state);
+            scheduleAutosave();
+        } catch (error) {
+            console.error('Could not open link:', error);
+            alert('Could not load the track: ' + error.message);
+        } finally {
+            showLoading(false);
+        }
+    }
+
+    // Map style and camera from a link, then the flyover moves to the linked position
+    async function applyLinkView(state) {
+        if (state.style && state.style in gpxMap.mapStyles) {
+            mapStyleSelect.value = state.style;
+            await gpxMap.setMapStyle(state.style);
+            hud.setAttribution(gpxMap.getAttributionText());
+        }
+        if (state.mode !== undefined) {
+            chooseOption('animationMode', state.mode);
+        }
+        if (state.speed !== undefined) {
+            setControl(speedSlider, state.speed);
+        }
+        if (state.altitude !== undefined) {
+            setControl(altitudeSlider, state.altitude);
+        }
+        if (state.pitch !== undefined) {
+            setControl(pitchSlider, state.pitch);
+        }
+        if (state.progress !== undefined) {
+            if (isPlaying || animation.isPaused) {
+                stopPlayback();
+            }
+            seekTo(animation.clampToRange(state.progress));
+        }
+    }
+
+    // null for a track opened from a local file: there is nothing to link to
+    function setTrackUrl(url) {
+        trackUrl = url;
+        trackUrlInput.value = url || '';
+        copyLinkBtn.disabled = !url;
+        copyEmbedBtn.disabled = !url;
+        linkStatus.textContent = url
+            ? 'Links open this track at the current view'
+            : 'Links and embeds need a track loaded from a URL';
+        if (url) {
+            scheduleLinkUpdate();
+        } else {
+            history.replaceState(null, '', window.location.pathname + window.location.search);
+        }
+    }
+
+    function getLinkView() {
+        return viewState.capture(trackUrl, gpxMap, animation);
+    }
+
+    // Replacing the hash (rather than adding history entries) a moment after the last change
+    function scheduleLinkUpdate() {
+        clearTimeout(linkTimer);
+        linkTimer = setTimeout(updateLink, linkUpdateDelay);
+    }
+
+    function updateLink() {
+        if (!animation || !trackUrl) return;
+        history.replaceState(null, '', viewState.serialize(getLinkView()));
+    }
+
+    async function copyText(text, message) {
+        try {
+            await navigator.clipboard.writeText(text);
+            linkStatus.textContent = message;
+        } catch (error) {
+            // The clipboard can be out of reach (e.g. over plain http): copy by hand instead
+            prompt('Copy this:', text);
+        }
+    }
+
+    // Any edited control is a change to save and to link to
+    for (const type of ['input', 'change']) {
+        document.addEventListener(type, () => {
+            scheduleAutosave();
+            scheduleLinkUpdate();
+        });
+    }
+
+    // Open the linked track, or pick up where the last session left off
+    const linkedView = viewState.parse();
+    if (linkedView.track) {
+        await openLink(linkedView);
+    } else {
+        try {
+            const saved = await store.getProject(autosaveId);
+            if (saved) {
+                await applyProject(saved);
+                setTrackUrl(saved.trackUrl || null);
+                projectStatus.textContent = `Restored your last session (${new Date(saved.savedAt).toLocaleString()})`;
+            }
+        } catch (error) {
+            console.warn('Could not restore the autosaved project:', error);
+        }
+    }
 });
@@ -6,8 +6,36 @@ class GPXMap {
         this.trackData = null;
         this.trackLayerId = 'gpx-track';
         this.trackSourceId = 'gpx-track-source';
+        this.trackLayerIds = []; // One layer, or one per segment when coloured or revealed
+        this.trackColoring = null; // TrackColoring; null or disabled draws one colour per track
+        this.trackLines = []; // Per segment drawn with a line-gradient: { id, tailId, stops, distances, length }
+
+        // Trail reveal: the track is drawn up to the progress marker as the flyover plays
+        this.trailReveal = {
+            mode: 'off', // 'off', 'hide' or 'ghost' (the part still to come)
+            tail: false // Fading comet tail behind the marker
+        };
+        this.ghostOpacity = 0.25; // Opacity of the ghosted part, relative to the track
+        this.tailLength = 400; // Meters
+        this.trailPosition = null; // { index, t } in getTrackPoints(); null shows the whole track
+        this.highlightLayerId = 'track-highlight';
+        this.highlightSourceId = 'track-highlight-source';
+        this.mediaLayerId = 'media-markers';
+        this.waypointLayerId = 'waypoint-markers';
+        this.mediaSourceId = 'media-source';
+        this.media = []; // MediaLibrary items shown as markers
+        this.mediaImages = []; // Thumbnail image ids added to the style
         this.currentStyle = 'esri-satellite';
 
+        // Callbacks
+        this.onClick = null; // (lngLat) when the map is clicked
+
+        // Multi-track support: null plays all tracks back to back, a number selects one track
+        this.activeTrack = null;
+        this.activePoints = [];
+        this.activeSegments = [];
+        this.trackColors = ['#e94560', '#4ecca3', '#f9a826', '#3fa7d6', '#b07cde', '#f2f2f2'];
+
         // Define available map styles (using local tile cache proxy)
         this.mapStyles = {
             'esri-satellite': {
@@ -81,7 +109,8 @@ class GPXMap {
         };
     }
 
-    async init(styleKey = 'esri-satellite') {
+    // options are passed on to the MapLibre map (render maps use them to size and hide it)
+    async init(styleKey = 'esri-satellite', options = {}) {
         this.currentStyle = styleKey;
 
         this.map = new maplibregl.Map({
@@ -92,11 +121,15 @@ class GPXMap {
             pitch: 60,
             bearing: 0,
             maxPitch: 85,
-            antialias: true
+            antialias: true,
+            preserveDrawingBuffer: true, // Recorded frames are copied from the canvas after rendering
+            ...options
         });
 
         // Add navigation controls
-        this.map.addControl(new maplibregl.NavigationControl(), 'top-right');
+        if (options.interactive !== false) {
+            this.map.addControl(new maplibregl.NavigationControl(), 'top-right');
+        }
 
         return new Promise((resolve) => {
             let resolved = false;
@@ -114,37 +147,100 @@ class GPXMap {
             this.map.on('error', (e) => {
                 console.warn('Map error:', e.error?.message || e);
             });
+
+            this.map.on('click', (e) => {
+                if (this.onClick) {
+                    this.onClick(e.lngLat);
+                }
+            });
         });
     }
 
     loadTrack(trackData) {
+        // A new file starts with all tracks selected
+        if (trackData !== this.trackData) {
+            this.activeTrack = null;
+        }
         this.trackData = trackData;
 
-        // Remove existing track if any
-        if (this.map.getLayer(this.trackLayerId)) {
-            this.map.removeLayer(this.trackLayerId);
+        this.updateActivePoints();
+        this.drawTrack();
+
+        // Fit map to track bounds with padding
+        const bounds = this.getTrackBounds();
+
+        this.map.fitBounds(bounds, {
+            padding: { top: 100, bottom: 100, left: 100, right: 100 },
+            pitch: 60,
+            duration: 1500
+        });
+    }
+
+    // Colour the track line by a metric; redraws it when a track is loaded
+    setTrackColoring(coloring) {
+        this.trackColoring = coloring;
+        if (this.map && this.trackData) {
+            this.drawTrack();
+        }
+    }
+
+    // Show the played part of the track only, optionally with a comet tail; redraws the track
+    setTrailReveal(options) {
+        this.trailReveal = { ...this.trailReveal, ...options };
+        if (this.map && this.trackData) {
+            this.drawTrack();
         }
+    }
+
+    // Add (or replace) the track line. Every segment is its own line so gaps are not bridged;
+    // coloured by a metric or revealed as the flyover plays, each segment gets a layer with its
+    // own line-gradient
+    drawTrack() {
+        const beforeId = this.getLayerAboveTrack();
+        for (const layerId of this.trackLayerIds) {
+            if (this.map.getLayer(layerId)) {
+                this.map.removeLayer(layerId);
+            }
+        }
+        this.trackLayerIds = [];
+        this.trackLines = [];
         if (this.map.getSource(this.trackSourceId)) {
             this.map.removeSource(this.trackSourceId);
         }
 
-        // Create GeoJSON from track points
-        const coordinates = trackData.points.map(p => [p.lon, p.lat, p.ele]);
+        const points = this.trackData.points;
+        const segments = [];
+        this.getTracks().forEach((track, trackIndex) => {
+            for (const segment of track.segments) {
+                segments.push({ ...segment, trackIndex });
+            }
+        });
+
+        const features = segments.map((segment, index) => ({
+            type: 'Feature',
+            properties: {
+                trackIndex: segment.trackIndex,
+                segmentIndex: index,
+                color: this.getTrackColor(segment.trackIndex)
+            },
+            geometry: {
+                type: 'LineString',
+                coordinates: points.slice(segment.start, segment.end).map(p => [p.lon, p.lat, p.ele])
+            }
+        }));
 
+        const colored = this.trackColoring && this.trackColoring.isEnabled();
+        const gradient = colored || this.trailReveal.mode !== 'off' || this.trailReveal.tail;
         this.map.addSource(this.trackSourceId, {
             type: 'geojson',
+            lineMetrics: gradient, // line-progress, for line-gradient
             data: {
-                type: 'Feature',
-                geometry: {
-                    type: 'LineString',
-                    coordinates: coordinates
-                }
+                type: 'FeatureCollection',
+                features
             }
         });
 
-        // Add track line layer
-        this.map.addLayer({
-            id: this.trackLayerId,
+        const layer = {
             type: 'line',
             source: this.trackSourceId,
             layout: {
@@ -152,27 +248,281 @@ class GPXMap {
                 'line-cap': 'round'
             },
             paint: {
-                'line-color': '#e94560',
                 'line-width': 4,
-                'line-opacity': 0.9
+                'line-opacity': this.getTrackOpacityExpression()
+            }
+        };
+
+        if (!gradient) {
+            this.map.addLayer({ ...layer, id: this.trackLayerId, paint: { ...layer.paint, 'line-color': ['get', 'color'] } }, beforeId);
+            this.trackLayerIds.push(this.trackLayerId);
+            return;
+        }
+
+        // line-gradient can't be data-driven, so each segment has its own layer
+        if (colored) {
+            this.trackColoring.update(points, segments);
+        }
+        segments.forEach((segment, index) => {
+            const distances = this.getLineDistances(points, segment);
+            const hex = this.getTrackColor(segment.trackIndex);
+            const color = [1, 3, 5].map(i => parseInt(hex.slice(i, i + 2), 16));
+            const line = {
+                id: `${this.trackLayerId}-${index}`,
+                tailId: this.trailReveal.tail ? `${this.trackLayerId}-tail-${index}` : null,
+                stops: colored ? this.trackColoring.getGradientStops(segment, distances) : [[0, color], [1, color]],
+                distances,
+                length: this.getLineLength(points, segment),
+                progress: null,
+                tailProgress: null
+            };
+            const filter = ['==', ['get', 'segmentIndex'], index];
+
+            this.map.addLayer({
+                ...layer,
+                id: line.id,
+                filter,
+                paint: { ...layer.paint, 'line-gradient': this.getTrailGradient(line, 1) }
+            }, beforeId);
+            this.trackLayerIds.push(line.id);
+
+            if (line.tailId) {
+                this.map.addLayer({
+                    ...layer,
+                    id: line.tailId,
+                    filter,
+                    paint: { 'line-width': 10, 'line-blur': 4, 'line-gradient': this.getTailGradient(line, null) }
+                }, beforeId);
+                this.trackLayerIds.push(line.tailId);
             }
+            this.trackLines.push(line);
         });
 
-        // Fit map to track bounds with padding
-        const bounds = new maplibregl.LngLatBounds(
-            [trackData.bounds.minLon, trackData.bounds.minLat],
-            [trackData.bounds.maxLon, trackData.bounds.maxLat]
-        );
+        this.applyTrail();
+    }
 
-        this.map.fitBounds(bounds, {
-            padding: { top: 100, bottom: 100, left: 100, right: 100 },
-            pitch: 60,
-            duration: 1500
+    // Length of a segment's line at each of its points, in the Web Mercator units line-progress
+    // is measured in (meters would put stops off where the line runs north-south)
+    getLineDistances(points, segment) {
+        const project = p => [p.lon / 360, Math.log(Math.tan(Math.PI / 4 + p.lat * Math.PI / 360)) / (2 * Math.PI)];
+        const distances = [0];
+        let previous = project(points[segment.start]);
+        for (let i = segment.start + 1; i < segment.end; i++) {
+            const current = project(points[i]);
+            distances.push(distances[distances.length - 1] + Math.hypot(current[0] - previous[0], current[1] - previous[1]));
+            previous = current;
+        }
+        return distances;
+    }
+
+    // Length of a segment in meters
+    getLineLength(points, segment) {
+        const R = 6371000; // Earth's radius in meters
+        let length = 0;
+        for (let i = segment.start + 1; i < segment.end; i++) {
+            const lat1 = points[i - 1].lat * Math.PI / 180;
+            const lat2 = points[i].lat * Math.PI / 180;
+            const dLat = lat2 - lat1;
+            const dLon = (points[i].lon - points[i - 1].lon) * Math.PI / 180;
+            const a = Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+                Math.cos(lat1) * Math.cos(lat2) * Math.sin(dLon / 2) * Math.sin(dLon / 2);
+            length += R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+        }
+        return length;
+    }
+
+    // Reveal the track up to a position in getTrackPoints(): index of the point before it and t,
+    // the fraction of the way to the next one. null shows the whole track again
+    setTrailPosition(index, t = 0) {
+        this.trailPosition = index === null ? null : { index, t };
+        this.applyTrail();
+    }
+
+    applyTrail() {
+        if (!this.map || this.trackLines.length === 0) return;
+
+        // Segments played before the current one are complete and later ones still to come;
+        // segments outside the active selection are left whole
+        const progress = new Array(this.trackLines.length).fill(1);
+        const tailProgress = new Array(this.trackLines.length).fill(null);
+        const position = this.trailPosition;
+        const current = position ? this.activeSegments.findIndex(s => position.index >= s.start && position.index < s.end) : -1;
+        if (current >= 0) {
+            this.activeSegments.forEach((segment, k) => {
+                if (k > current) {
+                    progress[segment.line] = 0;
+                } else if (k === current) {
+                    const distances = this.trackLines[segment.line].distances;
+                    const local = position.index - segment.start;
+                    const next = Math.min(local + 1, distances.length - 1);
+                    const length = distances[distances.length - 1];
+                    const distance = distances[local] + (distances[next] - distances[local]) * position.t;
+                    progress[segment.line] = length > 0 ? Math.max(0, Math.min(1, distance / length)) : 1;
+                    tailProgress[segment.line] = progress[segment.line];
+                }
+            });
+        }
+
+        // Only lines whose gradient changed are updated
+        this.trackLines.forEach((line, index) => {
+            if (this.trailReveal.mode !== 'off' && line.progress !== progress[index]) {
+                line.progress = progress[index];
+                this.map.setPaintProperty(line.id, 'line-gradient', this.getTrailGradient(line, line.progress));
+            }
+            if (line.tailId && line.tailProgress !== tailProgress[index]) {
+                line.tailProgress = tailProgress[index];
+                this.map.setPaintProperty(line.tailId, 'line-gradient', this.getTailGradient(line, line.tailProgress));
+            }
+        });
+    }
+
+    // line-gradient of a line revealed up to a line-progress: its colours before, hidden or
+    // ghosted after
+    getTrailGradient(line, progress) {
+        const rgba = ([r, g, b], alpha) => `rgba(${r}, ${g}, ${b}, ${alpha})`;
+        const expression = ['interpolate', ['linear'], ['line-progress']];
+        if (this.trailReveal.mode === 'off' || progress >= 1) {
+            for (const [at, color] of line.stops) {
+                expression.push(at, rgba(color, 1));
+            }
+            return expression;
+        }
+
+        const upcoming = this.trailReveal.mode === 'ghost' ? this.ghostOpacity : 0;
+        const edge = Math.min(1, progress + 1e-4);
+        let split = false;
+        line.stops.forEach(([at, color], index) => {
+            if (at < progress) {
+                expression.push(at, rgba(color, 1));
+                return;
+            }
+            if (!split) {
+                // Colour at the split, interpolated from the stops either side
+                const [from, fromColor] = line.stops[Math.max(0, index - 1)];
+                const f = at > from ? (progress - from) / (at - from) : 1;
+                const splitColor = fromColor.map((c, i) => Math.round(c + (color[i] - c) * f));
+                if (progress > 0) {
+                    expression.push(progress, rgba(splitColor, 1));
+                }
+                expression.push(edge, rgba(splitColor, upcoming));
+                split = true;
+            }
+            if (at > edge) {
+                expression.push(at, rgba(color, upcoming));
+            }
+        });
+        return expression;
+    }
+
+    // line-gradient of the comet tail: fading in over tailLength up to a line-progress,
+    // transparent elsewhere (and everywhere for null)
+    getTailGradient(line, progress) {
+        const clear = 'rgba(255, 255, 255, 0)';
+        const expression = ['interpolate', ['linear'], ['line-progress']];
+        if (progress === null || progress <= 0) {
+            expression.push(0, clear, 1, clear);
+            return expression;
+        }
+
+        const start = line.length > 0 ? Math.max(0, progress - this.tailLength / line.length) : 0;
+        if (start > 0) {
+            expression.push(0, clear);
+        }
+        expression.push(start, clear, progress, 'rgba(255, 255, 255, 0.9)');
+        if (progress < 1) {
+            expression.push(Math.min(1, progress + 1e-4), clear);
+        }
+        return expression;
+    }
+
+    // Layer right above the track, so a redrawn track keeps its place under the markers
+    getLayerAboveTrack() {
+        const layers = this.map.getStyle().layers;
+        let last = -1;
+        layers.forEach((layer, index) => {
+            if (this.trackLayerIds.includes(layer.id)) last = index;
         });
+        return last >= 0 && last + 1 < layers.length ? layers[last + 1].id : undefined;
+    }
+
+    getTrackBounds() {
+        const bounds = this.trackData.bounds;
+        return new maplibregl.LngLatBounds(
+            [bounds.minLon, bounds.minLat],
+            [bounds.maxLon, bounds.maxLat]
+        );
+    }
+
+    // Tracks with [start, end) segment ranges; single-segment fallback for data without them
+    getTracks() {
+        if (!this.trackData) return [];
+        if (this.trackData.tracks && this.trackData.tracks.length > 0) {
+            return this.trackData.tracks;
+        }
+        return [{
+            name: this.trackData.name,
+            segments: [{ start: 0, end: this.trackData.points.length }]
+        }];
+    }
+
+    getTrackColor(index) {
+        return this.trackColors[index % this.trackColors.length];
+    }
+
+    // Dim the other tracks while a single track is selected
+    getTrackOpacityExpression() {
+        if (this.activeTrack === null) return 0.9;
+        return ['case', ['==', ['get', 'trackIndex'], this.activeTrack], 0.9, 0.35];
+    }
+
+    setActiveTrack(index) {
+        this.activeTrack = index;
+        this.trailPosition = null;
+        this.updateActivePoints();
+        this.applyTrail();
+
+        for (const layerId of this.trackLayerIds) {
+            if (this.map.getLayer(layerId)) {
+                this.map.setPaintProperty(layerId, 'line-opacity', this.getTrackOpacityExpression());
+            }
+        }
+    }
+
+    // Points and segment ranges (relative to those points) of the active selection
+    updateActivePoints() {
+        const allPoints = this.trackData?.points || [];
+        const tracks = this.activeTrack === null ? this.getTracks() : [this.getTracks()[this.activeTrack]];
+
+        this.activePoints = [];
+        this.activeSegments = [];
+
+        // line: the segment's index among all drawn segments (the track layers)
+        const lineStarts = this.getTracks().map((track, index, all) =>
+            all.slice(0, index).reduce((count, previous) => count + previous.segments.length, 0));
+        for (const track of tracks) {
+            const trackIndex = this.getTracks().indexOf(track);
+            track.segments.forEach((segment, segmentIndex) => {
+                const start = this.activePoints.length;
+                for (let i = segment.start; i < segment.end; i++) {
+                    this.activePoints.push(allPoints[i]);
+                }
+                this.activeSegments.push({ start, end: this.activePoints.length, track: trackIndex, line: lineStarts[trackIndex] + segmentIndex });
+            });
+        }
     }
 
     getTrackPoints() {
-        return this.trackData?.points || [];
+        return this.activePoints;
+    }
+
+    // Segments of getTrackPoints() as [start, end) ranges; the flyover jumps between them
+    getTrackSegments() {
+        return this.activeSegments;
+    }
+
+    // Optional per-point fields (time, hr, cad, power, atemp, speed) present in the track
+    getTrackFields() {
+        return this.trackData?.fields || [];
     }
 
     setCamera(options) {
@@ -194,9 +544,17 @@ class GPXMap {
         });
     }
 
+    // Plain-text credit for the current base map (for burning into videos)
+    getAttributionText() {
+        const style = this.mapStyles[this.currentStyle] || this.mapStyles['esri-satellite'];
+        const element = document.createElement('div');
+        element.innerHTML = style.source.attribution;
+        return element.textContent;
+    }
+
     setMapStyle(styleKey) {
         if (!this.mapStyles[styleKey] || styleKey === this.currentStyle) {
-            return;
+            return Promise.resolve();
         }
 
         // Save current camera position
@@ -213,24 +571,205 @@ class GPXMap {
         // Set new style
         this.map.setStyle(this.getStyleConfig(styleKey));
 
-        // Restore state after style loads
-        let restored = false;
-        const restoreState = () => {
-            if (restored) return;
-            restored = true;
+        // Restore state after style loads; resolves once the track is back on the map
+        return new Promise((resolve) => {
+            let restored = false;
+            const restoreState = () => {
+                if (restored) return;
+                restored = true;
 
-            // Restore camera
-            this.map.jumpTo({ center, zoom, pitch, bearing });
+                // Restore camera
+                this.map.jumpTo({ center, zoom, pitch, bearing });
 
-            // Re-add track if it existed
-            if (savedTrackData) {
-                this.loadTrack(savedTrackData);
-            }
+                // Re-add track if it existed
+                if (savedTrackData) {
+                    this.loadTrack(savedTrackData);
+                }
+                this.setMedia(this.media);
+                resolve();
+            };
+
+            this.map.once('style.load', restoreState);
+            this.map.once('idle', restoreState);
+            setTimeout(restoreState, 3000);
+        });
+    }
+
+    // Mark a location on the track (e.g. hovered in the elevation profile); null clears it
+    setHighlightPoint(point) {
+        if (!this.map) return;
+
+        const data = {
+            type: 'FeatureCollection',
+            features: point ? [{
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [point.lon, point.lat] },
+                properties: {}
+            }] : []
         };
 
-        this.map.once('style.load', restoreState);
-        this.map.once('idle', restoreState);
-        setTimeout(restoreState, 3000);
+        const source = this.map.getSource(this.highlightSourceId);
+        if (source) {
+            source.setData(data);
+            return;
+        }
+        if (!point) return;
+
+        this.map.addSource(this.highlightSourceId, { type: 'geojson', data });
+        this.map.addLayer({
+            id: this.highlightLayerId,
+            type: 'circle',
+            source: this.highlightSourceId,
+            paint: {
+                'circle-radius': 7,
+                'circle-color': '#ffffff',
+                'circle-stroke-width': 3,
+                'circle-stroke-color': '#e94560'
+            }
+        });
+    }
+
+    // Photo and clip thumbnails and waypoint dots at their positions; items without one are skipped
+    setMedia(items) {
+        this.media = items;
+        if (!this.map) return;
+
+        for (const layerId of [this.mediaLayerId, this.waypointLayerId]) {
+            if (this.map.getLayer(layerId)) {
+                this.map.removeLayer(layerId);
+            }
+        }
+        if (this.map.getSource(this.mediaSourceId)) {
+            this.map.removeSource(this.mediaSourceId);
+        }
+        for (const imageId of this.mediaImages) {
+            if (this.map.hasImage(imageId)) {
+                this.map.removeImage(imageId);
+            }
+        }
+        this.mediaImages = [];
+
+        const features = [];
+        for (const item of items) {
+            if (!isFinite(item.lat) || !isFinite(item.lon)) continue;
+            if (item.thumbnail) {
+                // Thumbnails are drawn at twice the resolution they are shown at
+                this.map.addImage(item.id, item.thumbnail, { pixelRatio: 2 });
+                this.mediaImages.push(item.id);
+            }
+            features.push({
+                type: 'Feature',
+                geometry: { type: 'Point', coordinates: [item.lon, item.lat] },
+                properties: { kind: item.kind, icon: item.id, name: item.name }
+            });
+        }
+        if (features.length === 0) return;
+
+        this.map.addSource(this.mediaSourceId, {
+            type: 'geojson',
+            data: { type: 'FeatureCollection', features }
+        });
+        this.map.addLayer({
+            id: this.waypointLayerId,
+            type: 'circle',
+            source: this.mediaSourceId,
+            filter: ['==', ['get', 'kind'], 'waypoint'],
+            paint: {
+                'circle-radius': 6,
+                'circle-color': '#f9a826',
+                'circle-stroke-width': 2,
+                'circle-stroke-color': '#ffffff'
+            }
+        });
+        this.map.addLayer({
+            id: this.mediaLayerId,
+            type: 'symbol',
+            source: this.mediaSourceId,
+            filter: ['!=', ['get', 'kind'], 'waypoint'],
+            layout: {
+                'icon-image': ['get', 'icon'],
+                'icon-anchor': 'bottom',
+                'icon-allow-overlap': true
+            }
+        });
+    }
+
+    // Raster cross-fades keep the map busy after tiles arrive; recording turns them off
+    setTileFading(enabled) {
+        if (!this.map || !this.map.getLayer('base-layer')) return;
+        this.map.setPaintProperty('base-layer', 'raster-fade-duration', enabled ? 300 : 0);
+    }
+
+    // Tile URLs (base map and terrain) the map will request for a camera position
+    getTileUrlsForCamera(cameraPosition) {
+        const urls = [];
+        if (!this.map || !this.map.transform) return urls;
+
+        try {
+            const transform = this.map.transform.clone();
+            transform.center = maplibregl.LngLat.convert(cameraPosition.center);
+            transform.zoom = cameraPosition.zoom;
+            transform.pitch = cameraPosition.pitch;
+            transform.bearing = cameraPosition.bearing;
+
+            const terrain = this.map.terrain;
+            const sources = [
+                { id: 'base-map', roundZoom: true },
+                // MapLibre covers the view with 1024px terrain tiles when picking DEM tiles
+                { id: 'terrain-source', roundZoom: false, tileSize: 1024 }
+            ];
+
+            for (const { id, roundZoom, tileSize } of sources) {
+                const source = this.map.getSource(id);
+                if (!source || !source.tiles) continue;
+
+                const tileIDs = transform.coveringTiles({
+                    tileSize: tileSize || source.tileSize,
+                    minzoom: source.minzoom,
+                    maxzoom: source.maxzoom,
+                    roundZoom,
+                    terrain
+                });
+                for (const tileID of tileIDs) {
+                    const { z, x, y } = tileID.canonical;
+                    urls.push(source.tiles[0].replace('{z}', z).replace('{x}', x).replace('{y}', y));
+                }
+            }
+        } catch (e) {
+            console.warn('Could not work out tiles for camera:', e);
+        }
+
+        return urls;
+    }
+
+    // Hidden, non-interactive map whose canvas is exactly width x height pixels: it lays out at
+    // width / pixelRatio CSS pixels, so pixelRatio scales lines and picks the tile detail
+    static async createRenderMap(width, height, pixelRatio, styleKey) {
+        const container = document.createElement('div');
+        container.id = `render-map-${Date.now()}`;
+        container.className = 'render-map';
+        container.style.width = `${width / pixelRatio}px`;
+        container.style.height = `${height / pixelRatio}px`;
+        document.body.appendChild(container);
+
+        const renderMap = new GPXMap(container.id);
+        await renderMap.init(styleKey, {
+            interactive: false,
+            attributionControl: false,
+            pixelRatio,
+            maxCanvasSize: [Math.max(4096, width), Math.max(4096, height)] // MapLibre caps canvases at 4096 by default
+        });
+
+        // Frames are captured once tiles are in; a cross-fade would still be running then
+        renderMap.setTileFading(false);
+        return renderMap;
+    }
+
+    // Tear down a map made by createRenderMap()
+    remove() {
+        const container = this.map.getContainer();
+        this.map.remove();
+        container.remove();
     }
 
     getCanvas() {
@@ -0,0 +1,414 @@
+// Marker at the flyover's position: a dot, a built-in icon, an uploaded avatar or a glTF 3D model.
+// Drawn by the map, so recorded frames show it too
+class ProgressMarker {
+    constructor() {
+        this.type = 'dot'; // 'dot', 'icon', 'avatar' or 'model'
+        this.icon = 'hiker'; // A key of icons
+        this.color = '#00ff00';
+        this.size = 1; // Scale of the default size
+        this.visible = true;
+
+        this.avatarFile = null; // PNG or SVG the avatar was loaded from
+        this.avatar = null; // Loaded avatar image
+        this.modelFile = null; // .glb or .gltf the model was loaded from
+        this.model = null; // MarkerModel
+
+        this.map = null; // MapLibre map the marker is on
+        this.shown = true; // Hidden while the flyover is stopped
+        this.position = null; // { lon, lat } the marker is at
+        this.bearing = 0;
+        this.properties = {}; // Passed on to the marker's feature
+
+        this.sourceId = 'progress-marker-source';
+        this.layerId = 'progress-marker-layer';
+        this.outlineLayerId = 'progress-marker-outline-layer';
+        this.pointerLayerId = 'progress-marker-pointer-layer';
+        this.modelLayerId = 'progress-marker-model-layer';
+        this.imageId = 'progress-marker-image';
+        this.pointerImageId = 'progress-marker-pointer';
+
+        this.badgeRadius = 22; // CSS pixels at size 1
+        this.modelSize = 48; // CSS pixels along the model's longest side at size 1
+        this.pixelRatio = 2; // Icons are drawn at twice the resolution they are shown at
+
+        // Built-in icons: white figures drawn in a 24 x 24 box on the marker colour
+        this.icons = {
+            hiker: (ctx) => {
+                this.drawCircle(ctx, 13, 3.5, 2);
+                ctx.fillRect(8, 7, 3, 5);
+                this.drawLines(ctx, [[12.5, 7], [11.5, 13], [9, 20]], [[11.5, 13], [14, 16], [14, 20]], [[12.5, 8.5], [15.5, 11]], [[16.5, 9], [17.5, 20]]);
+            },
+            cyclist: (ctx) => {
+                this.drawCircle(ctx, 15, 3.5, 2);
+                this.drawLines(ctx, [[6, 17], [10, 11], [16, 11], [18, 17]], [[10, 11], [12, 17], [6, 17]], [[14, 7], [11, 11], [13, 13]], [[14, 7], [16, 10]]);
+                ctx.lineWidth = 1.5;
+                this.drawRing(ctx, 6, 17, 3.5);
+                this.drawRing(ctx, 18, 17, 3.5);
+            },
+            skier: (ctx) => {
+                this.drawCircle(ctx, 15, 3.5, 2);
+                this.drawLines(ctx, [[14, 7], [11, 12], [13.5, 16.5]], [[11, 12], [8, 16]], [[13, 8.5], [17, 10], [19, 16]], [[4, 19.5], [20, 15.5]]);
+            },
+            car: (ctx) => {
+                ctx.beginPath();
+                ctx.moveTo(3, 17);
+                ctx.lineTo(3, 12.5);
+                ctx.lineTo(6.5, 12);
+                ctx.lineTo(9, 8);
+                ctx.lineTo(16, 8);
+                ctx.lineTo(18.5, 12);
+                ctx.lineTo(21, 12.5);
+                ctx.lineTo(21, 17);
+                ctx.closePath();
+                ctx.fill();
+                ctx.fillStyle = this.color;
+                this.drawCircle(ctx, 7.5, 17, 2.5);
+                this.drawCircle(ctx, 16.5, 17, 2.5);
+                ctx.fillStyle = '#ffffff';
+                this.drawCircle(ctx, 7.5, 17, 1.5);
+                this.drawCircle(ctx, 16.5, 17, 1.5);
+            }
+        };
+    }
+
+    setType(type) {
+        this.type = type;
+        this.refresh();
+    }
+
+    setIcon(icon) {
+        if (icon in this.icons) {
+            this.icon = icon;
+        }
+        this.refresh();
+    }
+
+    setColor(color) {
+        this.color = color;
+        this.refresh();
+    }
+
+    setSize(size) {
+        this.size = size;
+        this.refresh();
+    }
+
+    setVisible(visible) {
+        this.visible = visible;
+        this.refresh();
+    }
+
+    // PNG or SVG picture shown in a round frame
+    async setAvatar(file) {
+        const url = URL.createObjectURL(file);
+        try {
+            // An <img> decodes SVG as well as bitmaps
+            const image = new Image();
+            image.src = url;
+            await image.decode();
+            if (!image.naturalWidth) {
+                throw new Error('The image has no size');
+            }
+            this.avatar = await createImageBitmap(image);
+            this.avatarFile = file;
+        } finally {
+            URL.revokeObjectURL(url);
+        }
+        this.refresh();
+    }
+
+    async setModel(file) {
+        this.model = await MarkerModel.load(file);
+        this.modelFile = file;
+        this.refresh();
+    }
+
+    // Falls back to the dot while the picked avatar or model isn't loaded
+    getEffectiveType() {
+        if (this.type === 'avatar' && !this.avatar) return 'dot';
+        if (this.type === 'model' && !this.model) return 'dot';
+        return this.type;
+    }
+
+    // Settings as plain data (render jobs, saved projects)
+    getSettings() {
+        return {
+            type: this.type,
+            icon: this.icon,
+            color: this.color,
+            size: this.size,
+            visible: this.visible,
+            avatarFile: this.avatarFile,
+            modelFile: this.modelFile
+        };
+    }
+
+    async applySettings(settings) {
+        this.type = settings.type;
+        this.icon = settings.icon in this.icons ? settings.icon : 'hiker';
+        this.color = settings.color;
+        this.size = settings.size;
+        this.visible = settings.visible;
+
+        // A file that no longer loads leaves the marker as a dot
+        const files = [[settings.avatarFile, file => this.setAvatar(file)], [settings.modelFile, file => this.setModel(file)]];
+        for (const [file, load] of files) {
+            if (!file) continue;
+            try {
+                await load(file);
+            } catch (error) {
+                console.warn(`Could not load marker file ${file.name}:`, error);
+            }
+        }
+        this.refresh();
+    }
+
+    // Put the marker on a map (again: a style change removes its layers)
+    add(map) {
+        this.remove();
+        this.map = map;
+
+        map.addSource(this.sourceId, {
+            type: 'geojson',
+            data: this.getFeature()
+        });
+
+        const type = this.getEffectiveType();
+        if (type === 'dot') {
+            map.addLayer({
+                id: this.outlineLayerId,
+                type: 'circle',
+                source: this.sourceId,
+                paint: {
+                    'circle-radius': 18 * this.size,
+                    'circle-color': '#ffffff',
+                    'circle-opacity': 0.6,
+                    'circle-blur': 0.5
+                }
+            });
+            map.addLayer({
+                id: this.layerId,
+                type: 'circle',
+                source: this.sourceId,
+                paint: {
+                    'circle-radius': 12 * this.size,
+                    'circle-color': this.color,
+                    'circle-stroke-width': 3 * this.size,
+                    'circle-stroke-color': '#ffffff',
+                    'circle-opacity': 1
+                }
+            });
+        } else if (type === 'model') {
+            map.addLayer(this.model.createLayer(this.modelLayerId, () => this.getModelPlacement()));
+        } else {
+            // Badge upright on screen, with a pointer around it turning with the bearing
+            map.addImage(this.pointerImageId, this.createPointerImage(), { pixelRatio: this.pixelRatio });
+            map.addImage(this.imageId, this.createBadgeImage(type), { pixelRatio: this.pixelRatio });
+            const symbol = {
+                type: 'symbol',
+                source: this.sourceId,
+                layout: {
+                    'icon-size': this.size,
+                    'icon-allow-overlap': true,
+                    'icon-ignore-placement': true
+                }
+            };
+            map.addLayer({
+                ...symbol,
+                id: this.pointerLayerId,
+                layout: {
+                    ...symbol.layout,
+                    'icon-image': this.pointerImageId,
+                    'icon-rotate': ['get', 'bearing'],
+                    'icon-rotation-alignment': 'map',
+                    'icon-pitch-alignment': 'map'
+                }
+            });
+            map.addLayer({ ...symbol, id: this.layerId, layout: { ...symbol.layout, 'icon-image': this.imageId } });
+        }
+
+        this.applyVisibility();
+    }
+
+    isOnMap(map) {
+        return this.map === map && !!map.getSource(this.sourceId);
+    }
+
+    // position: track point ({ lon, lat, ... }); properties are passed on to the marker's feature
+    update(position, bearing, properties = {}) {
+        this.position = position;
+        this.bearing = bearing || 0;
+        this.properties = properties;
+        if (!this.map) return;
+
+        const source = this.map.getSource(this.sourceId);
+        if (source) {
+            source.setData(this.getFeature());
+        }
+        if (this.getEffectiveType() === 'model') {
+            this.map.triggerRepaint();
+        }
+    }
+
+    getFeature() {
+        const position = this.position || { lon: 0, lat: 0 };
+        return {
+            type: 'Feature',
+            geometry: {
+                type: 'Point',
+                coordinates: [position.lon, position.lat]
+            },
+            properties: { ...this.properties, bearing: this.bearing }
+        };
+    }
+
+    // Shown while the flyover runs; setVisible() hides it for good
+    setShown(shown) {
+        this.shown = shown;
+        this.applyVisibility();
+    }
+
+    applyVisibility() {
+        if (!this.map) return;
+        const visibility = this.shown && this.visible ? 'visible' : 'none';
+        for (const layerId of [this.layerId, this.outlineLayerId, this.pointerLayerId, this.modelLayerId]) {
+            if (this.map.getLayer(layerId)) {
+                this.map.setLayoutProperty(layerId, 'visibility', visibility);
+            }
+        }
+    }
+
+    remove() {
+        const map = this.map;
+        if (!map) return;
+
+        for (const layerId of [this.layerId, this.outlineLayerId, this.pointerLayerId, this.modelLayerId]) {
+            if (map.getLayer(layerId)) {
+                map.removeLayer(layerId);
+            }
+        }
+        if (map.getSource(this.sourceId)) {
+            map.removeSource(this.sourceId);
+        }
+        for (const imageId of [this.imageId, this.pointerImageId]) {
+            if (map.hasImage(imageId)) {
+                map.removeImage(imageId);
+            }
+        }
+        this.map = null;
+    }
+
+    // Redraw with changed settings, where the marker is on a map
+    refresh() {
+        if (this.map && this.map.getSource(this.sourceId)) {
+            this.add(this.map);
+        }
+    }
+
+    // Placement for the model layer: a constant size on screen around the marker
+    getModelPlacement() {
+        if (!this.position || !this.shown || !this.visible) return null;
+        const metersPerPixel = 40075016.686 * Math.cos(this.position.lat * Math.PI / 180) / (512 * 2 ** this.map.getZoom());
+        return {
+            lngLat: [this.position.lon, this.position.lat],
+            bearing: this.bearing,
+            size: this.modelSize * this.size * metersPerPixel,
+            color: [1, 3, 5].map(i => parseInt(this.color.slice(i, i + 2), 16) / 255)
+        };
+    }
+
+    // Round badge in the marker colour holding the icon or avatar, as ImageData
+    createBadgeImage(type) {
+        const radius = this.badgeRadius;
+        const size = (radius + 2) * 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size * this.pixelRatio;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+        const center = size / 2;
+
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.fillStyle = this.color;
+        ctx.fill();
+
+        if (type === 'avatar') {
+            // Cover the inner circle, cropped to it
+            const inner = radius - 4;
+            const { width, height } = this.avatar;
+            const fit = Math.max((inner * 2) / width, (inner * 2) / height);
+            ctx.save();
+            ctx.beginPath();
+            ctx.arc(center, center, inner, 0, Math.PI * 2);
+            ctx.clip();
+            ctx.drawImage(this.avatar, center - (width * fit) / 2, center - (height * fit) / 2, width * fit, height * fit);
+            ctx.restore();
+        } else {
+            ctx.save();
+            ctx.translate(center - radius * 0.6, center - radius * 0.6);
+            ctx.scale((radius * 1.2) / 24, (radius * 1.2) / 24);
+            ctx.fillStyle = '#ffffff';
+            ctx.strokeStyle = '#ffffff';
+            ctx.lineWidth = 2;
+            ctx.lineCap = 'round';
+            ctx.lineJoin = 'round';
+            this.icons[this.icon](ctx);
+            ctx.restore();
+        }
+
+        ctx.beginPath();
+        ctx.arc(center, center, radius, 0, Math.PI * 2);
+        ctx.lineWidth = 3;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    // Arrowhead just outside the badge, pointing up (north before it is rotated by the bearing)
+    createPointerImage() {
+        const size = (this.badgeRadius + 12) * 2;
+        const canvas = document.createElement('canvas');
+        canvas.width = canvas.height = size * this.pixelRatio;
+        const ctx = canvas.getContext('2d');
+        ctx.scale(this.pixelRatio, this.pixelRatio);
+
+        const center = size / 2;
+        ctx.beginPath();
+        ctx.moveTo(center, 1);
+        ctx.lineTo(center + 9, 15);
+        ctx.lineTo(center - 9, 15);
+        ctx.closePath();
+        ctx.fillStyle = this.color;
+        ctx.fill();
+        ctx.lineWidth = 2;
+        ctx.strokeStyle = '#ffffff';
+        ctx.stroke();
+
+        return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    }
+
+    drawCircle(ctx, x, y, radius) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawRing(ctx, x, y, radius) {
+        ctx.beginPath();
+        ctx.arc(x, y, radius, 0, Math.PI * 2);
+        ctx.stroke();
+    }
+
+    // Polylines given as lists of [x, y]
+    drawLines(ctx, ...lines) {
+        for (const line of lines) {
+            ctx.beginPath();
+            line.forEach(([x, y], index) => index === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+            ctx.stroke();
+        }
+    }
+}
+
+// Export for use in other modules
+window.ProgressMarker = ProgressMarker;
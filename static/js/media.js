@@ -0,0 +1,365 @@
+// Photos, video clips and GPX waypoints shown along the flyover. Photos and clips are placed by
+// their GPS position (EXIF, or the clip's location tag) or, without one, by matching their capture
+// time against the track's timestamps
+class MediaLibrary {
+    constructor() {
+        // { id, kind: 'photo' | 'video' | 'waypoint', name, lat, lon, ele, time, placement,
+        //   file, element, width, height, thumbnail }
+        this.items = [];
+        this.timeZone = -new Date().getTimezoneOffset() / 60; // Camera clock's UTC offset (hours) when the file doesn't record one
+        this.maxTimeGap = 600; // Seconds a capture time may fall outside the track's timestamps
+        this.thumbnailSize = 96; // Map marker size in image pixels (shown at half size)
+        this.nextId = 1;
+    }
+
+    // Add image and video files; files that can't be read are skipped with a warning
+    async addFiles(files) {
+        for (const file of files) {
+            try {
+                await this.addFile(file);
+            } catch (error) {
+                console.warn(`Could not add ${file.name}:`, error);
+            }
+        }
+    }
+
+    async addFile(file) {
+        const kind = file.type.startsWith('video/') ? 'video' : 'photo';
+        const metadata = kind === 'video'
+            ? await this.readVideoMetadata(file)
+            : this.readExif(await file.arrayBuffer());
+
+        const item = {
+            id: `media-${this.nextId++}`,
+            kind,
+            name: file.name,
+            file,
+            lat: metadata.lat,
+            lon: metadata.lon,
+            ele: metadata.ele,
+            gps: isFinite(metadata.lat) && isFinite(metadata.lon),
+            utcTime: metadata.utcTime, // Capture time when the file records it in UTC
+            localTime: metadata.localTime, // Camera clock reading, as if it were UTC
+            utcOffset: metadata.utcOffset, // Hours, when the file records it
+            time: null,
+            placement: null // 'gps', 'time' or null (not on the track)
+        };
+        item.time = this.getCaptureTime(item);
+
+        if (kind === 'video') {
+            await this.loadVideo(item);
+        } else {
+            await this.loadPhoto(item);
+        }
+        item.thumbnail = this.createThumbnail(item.element, item.width, item.height);
+        this.items.push(item);
+        return item;
+    }
+
+    async loadPhoto(item) {
+        // Decoding honours the EXIF orientation
+        item.element = await createImageBitmap(item.file);
+        item.width = item.element.width;
+        item.height = item.element.height;
+    }
+
+    loadVideo(item) {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.playsInline = true;
+        video.preload = 'auto';
+        video.src = URL.createObjectURL(item.file);
+        item.element = video;
+
+        return new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', () => {
+                item.width = video.videoWidth;
+                item.height = video.videoHeight;
+                item.duration = video.duration;
+                resolve();
+            }, { once: true });
+            video.addEventListener('error', () => reject(new Error('Unsupported video')), { once: true });
+        });
+    }
+
+    // Waypoints from the GPX file: [{ lat, lon, name, ele, description, time }]
+    setWaypoints(waypoints) {
+        this.items = this.items.filter(item => item.kind !== 'waypoint');
+        for (const waypoint of waypoints) {
+            this.items.push({
+                ...waypoint,
+                id: `media-${this.nextId++}`,
+                kind: 'waypoint',
+                placement: 'gps'
+            });
+        }
+    }
+
+    removeItem(id) {
+        const item = this.items.find(i => i.id === id);
+        if (!item) return;
+        this.releaseItem(item);
+        this.items = this.items.filter(i => i !== item);
+    }
+
+    // Remove all photos and clips (waypoints belong to the track and stay)
+    clearMedia() {
+        for (const item of this.getMedia()) {
+            this.releaseItem(item);
+        }
+        this.items = this.items.filter(item => item.kind === 'waypoint');
+    }
+
+    releaseItem(item) {
+        if (item.kind === 'video') {
+            item.element.pause();
+            URL.revokeObjectURL(item.element.src);
+        } else if (item.kind === 'photo') {
+            item.element.close();
+        }
+    }
+
+    // Photos and clips, without waypoints
+    getMedia() {
+        return this.items.filter(item => item.kind !== 'waypoint');
+    }
+
+    setTimeZone(hours) {
+        this.timeZone = hours;
+        for (const item of this.getMedia()) {
+            item.time = this.getCaptureTime(item);
+        }
+    }
+
+    getCaptureTime(item) {
+        if (item.utcTime !== undefined) return item.utcTime;
+        if (item.localTime === undefined) return null;
+        const offset = item.utcOffset !== undefined ? item.utcOffset : this.timeZone;
+        return item.localTime - offset * 3600000;
+    }
+
+    // Find each photo and clip on the track: by GPS when it has a position, otherwise by the track
+    // point recorded closest to its capture time (which then becomes its position)
+    locate(points) {
+        const timed = points.filter(p => p.time !== undefined);
+
+        for (const item of this.getMedia()) {
+            if (item.gps) {
+                item.placement = 'gps';
+                continue;
+            }
+
+            item.placement = null;
+            const point = item.time !== null ? this.findPointAtTime(timed, item.time) : null;
+            if (point) {
+                item.lat = point.lat;
+                item.lon = point.lon;
+                item.ele = point.ele;
+                item.placement = 'time';
+            }
+        }
+    }
+
+    findPointAtTime(points, time) {
+        if (points.length === 0) return null;
+        if (time < points[0].time - this.maxTimeGap * 1000) return null;
+        if (time > points[points.length - 1].time + this.maxTimeGap * 1000) return null;
+
+        let best = points[0];
+        for (const point of points) {
+            if (Math.abs(point.time - time) < Math.abs(best.time - time)) {
+                best = point;
+            }
+        }
+        return best;
+    }
+
+    // Square crop with a white frame, as ImageData for map.addImage
+    createThumbnail(source, width, height) {
+        const size = this.thumbnailSize;
+        const frame = 6;
+        const canvas = document.createElement('canvas');
+        canvas.width = size;
+        canvas.height = size;
+        const ctx = canvas.getContext('2d');
+
+        const crop = Math.min(width, height);
+        ctx.fillStyle = '#ffffff';
+        ctx.fillRect(0, 0, size, size);
+        ctx.drawImage(source, (width - crop) / 2, (height - crop) / 2, crop, crop, frame, frame, size - frame * 2, size - frame * 2);
+        return ctx.getImageData(0, 0, size, size);
+    }
+
+    // Capture time and GPS position from a JPEG's EXIF block
+    readExif(buffer) {
+        const view = new DataView(buffer);
+        if (view.byteLength < 4 || view.getUint16(0) !== 0xFFD8) return {};
+
+        let offset = 2;
+        while (offset + 10 <= view.byteLength) {
+            const marker = view.getUint16(offset);
+            if ((marker & 0xFF00) !== 0xFF00 || marker === 0xFFDA) break; // Image data starts
+            const size = view.getUint16(offset + 2);
+            if (marker === 0xFFE1 && view.getUint32(offset + 4) === 0x45786966) { // 'Exif'
+                return this.readTiff(view, offset + 10);
+            }
+            offset += 2 + size;
+        }
+        return {};
+    }
+
+    readTiff(view, start) {
+        const little = view.getUint16(start) === 0x4949; // 'II'
+        const readIfd = (pointer) => pointer ? this.readIfd(view, start, start + pointer, little) : {};
+
+        const ifd0 = readIfd(view.getUint32(start + 4, little));
+        const exif = readIfd(ifd0[0x8769]);
+        const gps = readIfd(ifd0[0x8825]);
+        const metadata = {};
+
+        const dateTime = this.parseExifDate(exif[0x9003] || ifd0[0x0132]); // DateTimeOriginal, DateTime
+        if (dateTime !== null) {
+            metadata.localTime = dateTime;
+        }
+        const offsetMatch = /^([+-])(\d{2}):(\d{2})/.exec(exif[0x9011] || ''); // OffsetTimeOriginal
+        if (offsetMatch) {
+            metadata.utcOffset = (offsetMatch[1] === '-' ? -1 : 1) * (Number(offsetMatch[2]) + Number(offsetMatch[3]) / 60);
+        }
+
+        if (gps[2] && gps[4]) {
+            const toDegrees = ([d, m, s]) => d + m / 60 + s / 3600;
+            metadata.lat = toDegrees(gps[2]) * (gps[1] === 'S' ? -1 : 1);
+            metadata.lon = toDegrees(gps[4]) * (gps[3] === 'W' ? -1 : 1);
+            if (gps[6] !== undefined) {
+                metadata.ele = gps[6] * (gps[5] === 1 ? -1 : 1);
+            }
+            // GPS date and time are UTC
+            if (gps[29] && gps[7]) {
+                const [h, m, s] = gps[7];
+                const utcTime = this.parseExifDate(`${gps[29]} 00:00:00`);
+                if (utcTime !== null) {
+                    metadata.utcTime = utcTime + ((h * 60 + m) * 60 + s) * 1000;
+                }
+            }
+        }
+        return metadata;
+    }
+
+    // Tag number -> value (string, number, or array of numbers) for one image file directory
+    readIfd(view, tiffStart, offset, little) {
+        const typeSizes = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 7: 1, 9: 4, 10: 8 };
+        const tags = {};
+        if (offset + 2 > view.byteLength) return tags;
+
+        const count = view.getUint16(offset, little);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.byteLength) break;
+            const tag = view.getUint16(entry, little);
+            const type = view.getUint16(entry + 2, little);
+            const length = view.getUint32(entry + 4, little);
+            const size = typeSizes[type];
+            if (!size) continue;
+
+            const valueOffset = size * length > 4 ? tiffStart + view.getUint32(entry + 8, little) : entry + 8;
+            if (valueOffset + size * length > view.byteLength) continue;
+
+            const values = [];
+            for (let j = 0; j < length; j++) {
+                const at = valueOffset + j * size;
+                switch (type) {
+                    case 3: values.push(view.getUint16(at, little)); break;
+                    case 4: values.push(view.getUint32(at, little)); break;
+                    case 9: values.push(view.getInt32(at, little)); break;
+                    case 5: values.push(view.getUint32(at, little) / (view.getUint32(at + 4, little) || 1)); break;
+                    case 10: values.push(view.getInt32(at, little) / (view.getInt32(at + 4, little) || 1)); break;
+                    default: values.push(view.getUint8(at));
+                }
+            }
+            if (type === 2) {
+                tags[tag] = String.fromCharCode(...values).replace(/\0+$/, '');
+            } else {
+                tags[tag] = values.length === 1 ? values[0] : values;
+            }
+        }
+        return tags;
+    }
+
+    // 'YYYY:MM:DD HH:MM:SS' as milliseconds, reading the clock as UTC
+    parseExifDate(text) {
+        const match = /^(\d{4}):(\d{2}):(\d{2}) (\d{2}):(\d{2}):(\d{2})/.exec(text || '');
+        if (!match) return null;
+        const [, y, mo, d, h, mi, s] = match.map(Number);
+        return Date.UTC(y, mo - 1, d, h, mi, s);
+    }
+
+    // Creation time and location of an MP4/QuickTime clip, from its movie header. Only the boxes
+    // before the 'moov' box are visited, so the media data is never read
+    async readVideoMetadata(file) {
+        let offset = 0;
+        while (offset + 8 <= file.size) {
+            const header = new DataView(await file.slice(offset, offset + 16).arrayBuffer());
+            const type = String.fromCharCode(header.getUint8(4), header.getUint8(5), header.getUint8(6), header.getUint8(7));
+            let size = header.getUint32(0);
+            let headerSize = 8;
+            if (size === 1 && header.byteLength >= 16) {
+                size = Number(header.getBigUint64(8));
+                headerSize = 16;
+            } else if (size === 0) {
+                size = file.size - offset;
+            }
+            if (size < headerSize) break;
+
+            if (type === 'moov') {
+                return this.readMovieBox(await file.slice(offset + headerSize, offset + size).arrayBuffer());
+            }
+            offset += size;
+        }
+        return {};
+    }
+
+    readMovieBox(buffer) {
+        const view = new DataView(buffer);
+        const metadata = {};
+
+        // Movie header: creation time in seconds since 1904 (UTC), 0 when unset
+        const text = new TextDecoder('latin1').decode(buffer);
+        const mvhd = text.indexOf('mvhd');
+        if (mvhd >= 0 && mvhd + 16 <= view.byteLength) {
+            const version = view.getUint8(mvhd + 4);
+            const created = version === 1 ? Number(view.getBigUint64(mvhd + 8)) : view.getUint32(mvhd + 8);
+            if (created > 0) {
+                metadata.utcTime = (created - 2082844800) * 1000;
+            }
+        }
+
+        // Location as an ISO 6709 string ('+46.8912+010.6312+2000.000/'), stored in the '©xyz' box
+        // or the QuickTime location key
+        const location = /([+-]\d{1,2}\.\d+)([+-]\d{1,3}\.\d+)([+-]\d+(?:\.\d+)?)?\//.exec(text);
+        if (location) {
+            metadata.lat = Number(location[1]);
+            metadata.lon = Number(location[2]);
+            if (location[3] !== undefined) {
+                metadata.ele = Number(location[3]);
+            }
+        }
+        return metadata;
+    }
+
+    // Photos and clips as plain data (render jobs, saved projects); waypoints come with the track
+    getSettings() {
+        return {
+            timeZone: this.timeZone,
+            files: this.getMedia().map(item => item.file)
+        };
+    }
+
+    async applySettings(settings) {
+        this.clearMedia();
+        this.timeZone = settings.timeZone;
+        await this.addFiles(settings.files);
+    }
+}
+
+// Export for use in other modules
+window.MediaLibrary = MediaLibrary;
@@ -0,0 +1,141 @@
+// Photo or video clip shown while the flyover pauses at it, full screen or picture-in-picture.
+// Drawn onto a 2D canvas (preview overlay and recorded frames)
+class MediaCard {
+    constructor() {
+        this.display = 'fullscreen'; // 'fullscreen' or 'pip'
+        this.fadeDuration = 0.4; // Seconds to fade in and out
+        this.frameAccurate = false; // Recording: clips are seeked to every frame instead of playing
+        this.playingVideo = null; // Clip playing in the preview
+
+        // Colors follow the app theme (style.css)
+        this.backdrop = 'rgba(10, 12, 24, 0.9)';
+        this.background = 'rgba(22, 33, 62, 0.88)';
+        this.frameColor = '#eeeeee';
+        this.textColor = '#eeeeee';
+        this.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    }
+
+    setDisplay(display) {
+        this.display = display;
+    }
+
+    setFrameAccurate(enabled) {
+        this.frameAccurate = enabled;
+        this.stopPlayback();
+    }
+
+    // media: { item, time, duration } from FlyoverAnimation.getActiveMedia()
+    getOpacity(media) {
+        if (!media) return 0;
+        const fade = Math.min(this.fadeDuration, media.duration / 2);
+        if (fade <= 0) return 1;
+        return Math.max(0, Math.min(1, media.time / fade, (media.duration - media.time) / fade));
+    }
+
+    // Clip time for a pause time; clips shorter than the pause hold their last frame
+    getVideoTime(media) {
+        const video = media.item.element;
+        return Math.max(0, Math.min(media.time, (video.duration || 0) - 0.05));
+    }
+
+    // Recording: seek the clip to this frame's time before it is drawn
+    async prepare(media) {
+        if (!media || media.item.kind !== 'video') return;
+        const video = media.item.element;
+        const time = this.getVideoTime(media);
+        video.pause();
+        if (Math.abs(video.currentTime - time) < 0.001) return;
+
+        await new Promise(resolve => {
+            // A seek that never completes must not stall the recording
+            const timeout = setTimeout(resolve, 2000);
+            video.addEventListener('seeked', () => {
+                clearTimeout(timeout);
+                resolve();
+            }, { once: true });
+            video.currentTime = time;
+        });
+    }
+
+    // Preview: play the active clip in real time and stop it once the flyover moves on
+    syncPlayback(media) {
+        if (this.frameAccurate) return;
+        const video = media && media.item.kind === 'video' ? media.item.element : null;
+        if (video === this.playingVideo) return;
+
+        this.stopPlayback();
+        if (video) {
+            video.currentTime = this.getVideoTime(media);
+            video.play().catch(() => {});
+            this.playingVideo = video;
+        }
+    }
+
+    stopPlayback() {
+        if (this.playingVideo) {
+            this.playingVideo.pause();
+            this.playingVideo = null;
+        }
+    }
+
+    // Sizes are designed for frames whose short side is 1080 pixels and scale with the canvas
+    draw(ctx, width, height, media) {
+        this.syncPlayback(media);
+        const opacity = this.getOpacity(media);
+        if (opacity <= 0) return;
+
+        const item = media.item;
+        const scale = Math.min(width, height) / 1080;
+        const margin = 40 * scale;
+        const captionHeight = item.name ? 64 * scale : 0;
+
+        ctx.save();
+        ctx.globalAlpha = opacity;
+
+        let box;
+        if (this.display === 'pip') {
+            // Top right, clear of the title and readouts
+            const maxSize = Math.min(width, height) * 0.42;
+            const fit = Math.min(maxSize / item.width, maxSize / item.height);
+            const w = item.width * fit;
+            const h = item.height * fit;
+            box = { x: width - margin - w, y: margin, width: w, height: h };
+
+            const border = 6 * scale;
+            ctx.fillStyle = this.frameColor;
+            ctx.fillRect(box.x - border, box.y - border, box.width + border * 2, box.height + border * 2 + captionHeight);
+            ctx.fillStyle = this.background;
+            ctx.fillRect(box.x, box.y + box.height, box.width, captionHeight);
+        } else {
+            ctx.fillStyle = this.backdrop;
+            ctx.fillRect(0, 0, width, height);
+
+            const maxWidth = width - margin * 2;
+            const maxHeight = height - margin * 2 - captionHeight;
+            const fit = Math.min(maxWidth / item.width, maxHeight / item.height);
+            const w = item.width * fit;
+            const h = item.height * fit;
+            box = { x: (width - w) / 2, y: (height - captionHeight - h) / 2, width: w, height: h };
+        }
+
+        ctx.drawImage(item.element, box.x, box.y, box.width, box.height);
+
+        if (captionHeight > 0) {
+            ctx.textBaseline = 'middle';
+            ctx.textAlign = 'center';
+            ctx.fillStyle = this.textColor;
+            ctx.font = `${Math.round((this.display === 'pip' ? 24 : 32) * scale)}px ${this.fontFamily}`;
+            ctx.fillText(this.getCaption(item), box.x + box.width / 2, box.y + box.height + captionHeight / 2, box.width - margin);
+        }
+
+        ctx.restore();
+    }
+
+    // File name without its extension
+    getCaption(item) {
+        return item.name.replace(/\.[^.]+$/, '');
+    }
+}
+
+// Export for use in other modules
+window.MediaCard = MediaCard;
@@ -0,0 +1,321 @@
+// glTF 2.0 model (.glb, or .gltf with embedded buffers) drawn on the map by a MapLibre custom
+// layer. Triangles only, flat shaded with their material's base colour
+class MarkerModel {
+    constructor(vertices, bounds) {
+        this.vertices = vertices; // Float32Array: position (3), normal (3), colour (4) per vertex
+        this.bounds = bounds; // { min: [x, y, z], max: [x, y, z] } in model space
+        this.vertexCount = vertices.length / 10;
+        this.extent = Math.max(...bounds.max.map((max, i) => max - bounds.min[i])) || 1;
+    }
+
+    static async load(file) {
+        const data = await file.arrayBuffer();
+        const view = new DataView(data);
+
+        let json;
+        let binary = null;
+        if (data.byteLength >= 12 && view.getUint32(0, true) === 0x46546c67) {
+            // .glb: header, then a JSON chunk and an optional binary chunk
+            let offset = 12;
+            while (offset + 8 <= data.byteLength) {
+                const length = view.getUint32(offset, true);
+                const type = view.getUint32(offset + 4, true);
+                if (type === 0x4e4f534a) {
+                    json = JSON.parse(new TextDecoder().decode(new Uint8Array(data, offset + 8, length)));
+                } else if (type === 0x004e4942) {
+                    binary = data.slice(offset + 8, offset + 8 + length);
+                }
+                offset += 8 + length;
+            }
+        } else {
+            json = JSON.parse(new TextDecoder().decode(data));
+        }
+        if (!json || !json.asset || !String(json.asset.version).startsWith('2')) {
+            throw new Error('Not a glTF 2.0 model');
+        }
+
+        const buffers = (json.buffers || []).map((buffer, index) => {
+            if (buffer.uri === undefined && index === 0 && binary) return binary;
+            const match = /^data:[^;]*;base64,(.*)$/.exec(buffer.uri || '');
+            if (!match) {
+                throw new Error('Models with external files are not supported; use a .glb file');
+            }
+            return Uint8Array.from(atob(match[1]), c => c.charCodeAt(0)).buffer;
+        });
+
+        return new MarkerModel(...MarkerModel.buildVertices(json, buffers));
+    }
+
+    // Every triangle of the default scene in model space, with face normals and material colours
+    static buildVertices(json, buffers) {
+        const vertices = [];
+        const min = [Infinity, Infinity, Infinity];
+        const max = [-Infinity, -Infinity, -Infinity];
+
+        const addMesh = (mesh, matrix) => {
+            for (const primitive of mesh.primitives) {
+                if ((primitive.mode ?? 4) !== 4 || primitive.attributes.POSITION === undefined) continue;
+
+                const positions = MarkerModel.readAccessor(json, buffers, primitive.attributes.POSITION);
+                const indices = primitive.indices !== undefined
+                    ? MarkerModel.readAccessor(json, buffers, primitive.indices)
+                    : Array.from({ length: positions.length / 3 }, (_, i) => i);
+                const material = json.materials?.[primitive.material];
+                // Negative red: use the marker colour
+                const color = material?.pbrMetallicRoughness?.baseColorFactor || [-1, 0, 0, 1];
+
+                for (let i = 0; i + 2 < indices.length; i += 3) {
+                    const corners = [indices[i], indices[i + 1], indices[i + 2]].map(index =>
+                        MarkerModel.transformPoint(matrix, positions.slice(index * 3, index * 3 + 3)));
+                    const normal = MarkerModel.getNormal(...corners);
+                    for (const corner of corners) {
+                        vertices.push(...corner, ...normal, ...color);
+                        for (let axis = 0; axis < 3; axis++) {
+                            min[axis] = Math.min(min[axis], corner[axis]);
+                            max[axis] = Math.max(max[axis], corner[axis]);
+                        }
+                    }
+                }
+            }
+        };
+
+        const visit = (nodeIndex, parentMatrix) => {
+            const node = json.nodes[nodeIndex];
+            const matrix = MarkerModel.multiply(parentMatrix, MarkerModel.getNodeMatrix(node));
+            if (node.mesh !== undefined) {
+                addMesh(json.meshes[node.mesh], matrix);
+            }
+            for (const child of node.children || []) {
+                visit(child, matrix);
+            }
+        };
+
+        const scene = json.scenes?.[json.scene || 0];
+        const identity = [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1];
+        if (scene) {
+            for (const node of scene.nodes) {
+                visit(node, identity);
+            }
+        } else {
+            (json.meshes || []).forEach(mesh => addMesh(mesh, identity));
+        }
+
+        if (vertices.length === 0) {
+            throw new Error('The model has no triangles');
+        }
+        return [new Float32Array(vertices), { min, max }];
+    }
+
+    // Accessor values as a flat array
+    static readAccessor(json, buffers, index) {
+        const accessor = json.accessors[index];
+        if (accessor.bufferView === undefined || accessor.sparse) {
+            throw new Error('Sparse model data is not supported');
+        }
+        const bufferView = json.bufferViews[accessor.bufferView];
+        const types = {
+            5121: [Uint8Array, 1],
+            5123: [Uint16Array, 2],
+            5125: [Uint32Array, 4],
+            5126: [Float32Array, 4]
+        };
+        if (!types[accessor.componentType] || (accessor.normalized && accessor.componentType !== 5126)) {
+            throw new Error('Unsupported model data (quantized or normalized)');
+        }
+
+        const [ArrayType, bytes] = types[accessor.componentType];
+        const components = { SCALAR: 1, VEC2: 2, VEC3: 3, VEC4: 4 }[accessor.type];
+        const stride = bufferView.byteStride || components * bytes;
+        const view = new DataView(buffers[bufferView.buffer], (bufferView.byteOffset || 0) + (accessor.byteOffset || 0));
+        const getters = { 1: 'getUint8', 2: 'getUint16', 4: ArrayType === Float32Array ? 'getFloat32' : 'getUint32' };
+
+        const values = new Array(accessor.count * components);
+        for (let i = 0; i < accessor.count; i++) {
+            for (let c = 0; c < components; c++) {
+                values[i * components + c] = view[getters[bytes]](i * stride + c * bytes, true);
+            }
+        }
+        return values;
+    }
+
+    // Column-major 4x4 matrix from a node's matrix or translation, rotation and scale
+    static getNodeMatrix(node) {
+        if (node.matrix) return node.matrix;
+        const [tx, ty, tz] = node.translation || [0, 0, 0];
+        const [x, y, z, w] = node.rotation || [0, 0, 0, 1];
+        const [sx, sy, sz] = node.scale || [1, 1, 1];
+        return [
+            (1 - 2 * (y * y + z * z)) * sx, 2 * (x * y + z * w) * sx, 2 * (x * z - y * w) * sx, 0,
+            2 * (x * y - z * w) * sy, (1 - 2 * (x * x + z * z)) * sy, 2 * (y * z + x * w) * sy, 0,
+            2 * (x * z + y * w) * sz, 2 * (y * z - x * w) * sz, (1 - 2 * (x * x + y * y)) * sz, 0,
+            tx, ty, tz, 1
+        ];
+    }
+
+    static multiply(a, b) {
+        const out = new Array(16).fill(0);
+        for (let column = 0; column < 4; column++) {
+            for (let row = 0; row < 4; row++) {
+                for (let k = 0; k < 4; k++) {
+                    out[column * 4 + row] += a[k * 4 + row] * b[column * 4 + k];
+                }
+            }
+        }
+        return out;
+    }
+
+    static transformPoint(m, [x, y, z]) {
+        return [
+            m[0] * x + m[4] * y + m[8] * z + m[12],
+            m[1] * x + m[5] * y + m[9] * z + m[13],
+            m[2] * x + m[6] * y + m[10] * z + m[14]
+        ];
+    }
+
+    static getNormal(a, b, c) {
+        const u = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const v = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const n = [u[1] * v[2] - u[2] * v[1], u[2] * v[0] - u[0] * v[2], u[0] * v[1] - u[1] * v[0]];
+        const length = Math.hypot(...n) || 1;
+        return n.map(value => value / length);
+    }
+
+    // Custom layer drawing the model. getPlacement() returns { lngLat, bearing, size, color }
+    // (size: meters along the model's longest side, color: [r, g, b] from 0 to 1) or null to hide it
+    createLayer(id, getPlacement) {
+        const model = this;
+        let map = null;
+        let program = null;
+        let buffer = null;
+        let locations = null;
+
+        return {
+            id,
+            type: 'custom',
+            renderingMode: '3d', // Shares the depth buffer, so terrain in front hides the model
+
+            onAdd(layerMap, gl) {
+                map = layerMap;
+                const vertexSource = `
+                    uniform mat4 u_matrix;
+                    uniform mat3 u_rotation;
+                    attribute vec3 a_position;
+                    attribute vec3 a_normal;
+                    attribute vec4 a_color;
+                    varying vec3 v_normal;
+                    varying vec4 v_color;
+                    void main() {
+                        v_normal = u_rotation * a_normal;
+                        v_color = a_color;
+                        gl_Position = u_matrix * vec4(a_position, 1.0);
+                    }`;
+                const fragmentSource = `
+                    precision mediump float;
+                    uniform vec3 u_color;
+                    varying vec3 v_normal;
+                    varying vec4 v_color;
+                    void main() {
+                        vec3 base = v_color.r < 0.0 ? u_color : v_color.rgb;
+                        // Light from above the camera's left; either side of a face is lit the same
+                        float light = 0.45 + 0.55 * abs(dot(normalize(v_normal), normalize(vec3(-0.4, -0.6, 1.0))));
+                        gl_FragColor = vec4(base * light, v_color.a);
+                    }`;
+
+                const compile = (type, source) => {
+                    const shader = gl.createShader(type);
+                    gl.shaderSource(shader, source);
+                    gl.compileShader(shader);
+                    return shader;
+                };
+                program = gl.createProgram();
+                gl.attachShader(program, compile(gl.VERTEX_SHADER, vertexSource));
+                gl.attachShader(program, compile(gl.FRAGMENT_SHADER, fragmentSource));
+                gl.linkProgram(program);
+                if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+                    console.warn('Could not compile marker model shaders:', gl.getProgramInfoLog(program));
+                    program = null;
+                    return;
+                }
+
+                locations = {
+                    matrix: gl.getUniformLocation(program, 'u_matrix'),
+                    rotation: gl.getUniformLocation(program, 'u_rotation'),
+                    color: gl.getUniformLocation(program, 'u_color'),
+                    position: gl.getAttribLocation(program, 'a_position'),
+                    normal: gl.getAttribLocation(program, 'a_normal'),
+                    vertexColor: gl.getAttribLocation(program, 'a_color')
+                };
+
+                buffer = gl.createBuffer();
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                gl.bufferData(gl.ARRAY_BUFFER, model.vertices, gl.STATIC_DRAW);
+            },
+
+            render(gl, matrix) {
+                const placement = getPlacement();
+                if (!program || !placement) return;
+
+                // Standing on the terrain at the marker, facing along the bearing
+                const elevation = map.queryTerrainElevation(placement.lngLat) || 0;
+                const origin = maplibregl.MercatorCoordinate.fromLngLat(placement.lngLat, elevation);
+                const scale = (placement.size / model.extent) * origin.meterInMercatorCoordinateUnits();
+                const angle = placement.bearing * Math.PI / 180;
+                const cos = Math.cos(angle);
+                const sin = Math.sin(angle);
+
+                // glTF is +Y up with the front facing +Z and its right side at -X; Mercator is
+                // x east, y south, z up. Rotated by the bearing clockwise from north
+                const rotation = [
+                    -cos, -sin, 0,
+                    0, 0, 1,
+                    sin, -cos, 0
+                ];
+                const { min, max } = model.bounds;
+                const center = [-(min[0] + max[0]) / 2, -min[1], -(min[2] + max[2]) / 2];
+                const modelMatrix = MarkerModel.multiply([
+                    rotation[0] * scale, rotation[1] * scale, rotation[2] * scale, 0,
+                    rotation[3] * scale, rotation[4] * scale, rotation[5] * scale, 0,
+                    rotation[6] * scale, rotation[7] * scale, rotation[8] * scale, 0,
+                    origin.x, origin.y, origin.z, 1
+                ], [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, ...center, 1]);
+
+                gl.useProgram(program);
+                gl.uniformMatrix4fv(locations.matrix, false, MarkerModel.multiply(Array.from(matrix), modelMatrix));
+                gl.uniformMatrix3fv(locations.rotation, false, rotation);
+                gl.uniform3fv(locations.color, placement.color);
+
+                if (gl.bindVertexArray) {
+                    gl.bindVertexArray(null);
+                }
+                gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+                const stride = 10 * 4;
+                gl.enableVertexAttribArray(locations.position);
+                gl.vertexAttribPointer(locations.position, 3, gl.FLOAT, false, stride, 0);
+                gl.enableVertexAttribArray(locations.normal);
+                gl.vertexAttribPointer(locations.normal, 3, gl.FLOAT, false, stride, 3 * 4);
+                gl.enableVertexAttribArray(locations.vertexColor);
+                gl.vertexAttribPointer(locations.vertexColor, 4, gl.FLOAT, false, stride, 6 * 4);
+
+                // Mirrored into Mercator, so faces can't be culled by winding
+                gl.disable(gl.CULL_FACE);
+                gl.enable(gl.BLEND);
+                gl.blendFunc(gl.SRC_ALPHA, gl.ONE_MINUS_SRC_ALPHA);
+                gl.drawArrays(gl.TRIANGLES, 0, model.vertexCount);
+
+                gl.disableVertexAttribArray(locations.position);
+                gl.disableVertexAttribArray(locations.normal);
+                gl.disableVertexAttribArray(locations.vertexColor);
+            },
+
+            onRemove(layerMap, gl) {
+                if (buffer) gl.deleteBuffer(buffer);
+                if (program) gl.deleteProgram(program);
+                buffer = null;
+                program = null;
+            }
+        };
+    }
+}
+
+// Export for use in other modules
+window.MarkerModel = MarkerModel;
@@ -0,0 +1,243 @@
+// Elevation profile chart synced to the flyover
+class ElevationProfile {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.canvas = this.container.querySelector('.profile-canvas');
+        this.readout = this.container.querySelector('.profile-readout');
+        this.ctx = this.canvas.getContext('2d');
+
+        this.animation = null;
+        this.points = [];
+        this.totalDistance = 0; // Along the track, segment gaps add nothing
+        this.minEle = 0;
+        this.maxEle = 0;
+        this.cursorDistance = 0;
+        this.hoverDistance = null;
+        this.dragging = false;
+        this.picking = false; // Clicks pick a spot (onPick) instead of seeking
+
+        // Chart styling (matches style.css)
+        this.lineColor = '#e94560';
+        this.fillColor = 'rgba(233, 69, 96, 0.25)';
+        this.cursorColor = '#4ecca3';
+        this.hoverColor = 'rgba(255, 255, 255, 0.6)';
+        this.labelColor = '#aaaaaa';
+        this.outsideRangeColor = 'rgba(22, 33, 62, 0.7)'; // Past the in and out points
+        this.padding = { top: 8, right: 8, bottom: 16, left: 44 };
+
+        // Callbacks
+        this.onSeek = null; // (progress) on click or drag
+        this.onHover = null; // (point or null) while the pointer is over the chart
+        this.onPick = null; // (distance) on click while picking
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.animation) return;
+            if (this.picking) {
+                if (this.onPick) {
+                    this.onPick(this.getDistanceFromEvent(e));
+                }
+                return;
+            }
+            this.dragging = true;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.seek(this.getDistanceFromEvent(e));
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.animation) return;
+            const distance = this.getDistanceFromEvent(e);
+            if (this.dragging) {
+                this.seek(distance);
+            }
+            this.hover(distance);
+        });
+
+        this.canvas.addEventListener('pointerup', () => {
+            this.dragging = false;
+        });
+
+        this.canvas.addEventListener('pointerleave', () => {
+            if (!this.dragging) {
+                this.hover(null);
+            }
+        });
+
+        // Redraw at the new size when the map area changes
+        new ResizeObserver(() => this.draw()).observe(this.canvas);
+    }
+
+    setAnimation(animation) {
+        this.animation = animation;
+        this.refresh();
+    }
+
+    setPicking(picking) {
+        this.picking = picking;
+        this.dragging = false;
+    }
+
+    // Rebuild from the animation's track (call after the active track changes)
+    refresh() {
+        const animation = this.animation;
+        if (!animation) return;
+        if (!animation.distanceDataInitialized) {
+            animation.initializeDistanceData();
+        }
+
+        this.points = animation.map.getTrackPoints();
+        this.totalDistance = animation.totalDistance;
+
+        this.minEle = Infinity;
+        this.maxEle = -Infinity;
+        for (const point of this.points) {
+            const ele = point.ele || 0;
+            this.minEle = Math.min(this.minEle, ele);
+            this.maxEle = Math.max(this.maxEle, ele);
+        }
+        // Keep flat tracks from filling the whole chart height
+        if (this.maxEle - this.minEle < 50) {
+            this.maxEle = this.minEle + 50;
+        }
+
+        this.cursorDistance = 0;
+        this.hoverDistance = null;
+        this.draw();
+    }
+
+    // Follow the flyover position
+    setProgress(progress) {
+        if (!this.animation || !this.animation.distanceDataInitialized) return;
+        this.cursorDistance = this.animation.getDistanceAtProgress(progress);
+        this.draw();
+    }
+
+    seek(distance) {
+        this.cursorDistance = distance;
+        this.draw();
+        if (this.onSeek) {
+            this.onSeek(this.animation.getProgressAtDistance(distance));
+        }
+    }
+
+    hover(distance) {
+        this.hoverDistance = distance;
+        this.draw();
+        if (this.onHover) {
+            this.onHover(distance === null ? null : this.getPointAtDistance(distance));
+        }
+    }
+
+    getPointAtDistance(distance) {
+        return this.animation.getTrackPointAtDistance(distance);
+    }
+
+    getDistanceFromEvent(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        const chartWidth = rect.width - this.padding.left - this.padding.right;
+        const t = (e.clientX - rect.left - this.padding.left) / chartWidth;
+        return Math.max(0, Math.min(1, t)) * this.totalDistance;
+    }
+
+    draw() {
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (width === 0 || height === 0) return;
+
+        // Render at device resolution for crisp lines
+        const ratio = window.devicePixelRatio || 1;
+        if (this.canvas.width !== Math.round(width * ratio) || this.canvas.height !== Math.round(height * ratio)) {
+            this.canvas.width = Math.round(width * ratio);
+            this.canvas.height = Math.round(height * ratio);
+        }
+
+        const ctx = this.ctx;
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        if (this.points.length < 2 || this.totalDistance <= 0) return;
+
+        const { top, right, bottom, left } = this.padding;
+        const chartWidth = width - left - right;
+        const chartHeight = height - top - bottom;
+        const x = (distance) => left + (distance / this.totalDistance) * chartWidth;
+        const y = (ele) => top + (1 - (ele - this.minEle) / (this.maxEle - this.minEle)) * chartHeight;
+
+        // One sample per pixel column keeps long tracks cheap to draw
+        ctx.beginPath();
+        for (let px = 0; px <= chartWidth; px++) {
+            const point = this.getPointAtDistance((px / chartWidth) * this.totalDistance);
+            const py = y(point.ele || 0);
+            if (px === 0) {
+                ctx.moveTo(left, py);
+            } else {
+                ctx.lineTo(left + px, py);
+            }
+        }
+        ctx.strokeStyle = this.lineColor;
+        ctx.lineWidth = 1.5;
+        ctx.stroke();
+
+        ctx.lineTo(left + chartWidth, top + chartHeight);
+        ctx.lineTo(left, top + chartHeight);
+        ctx.closePath();
+        ctx.fillStyle = this.fillColor;
+        ctx.fill();
+
+        // Track outside the in and out points is dimmed: it isn't played or recorded
+        const animation = this.animation;
+        if (animation && animation.hasRange()) {
+            const inX = x(animation.getDistanceAtProgress(animation.inPoint));
+            const outX = x(animation.getDistanceAtProgress(animation.outPoint));
+            ctx.fillStyle = this.outsideRangeColor;
+            ctx.fillRect(left, top, inX - left, chartHeight);
+            ctx.fillRect(outX, top, left + chartWidth - outX, chartHeight);
+        }
+
+        // Axis labels
+        ctx.fillStyle = this.labelColor;
+        ctx.font = '10px sans-serif';
+        ctx.textAlign = 'right';
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${Math.round(this.maxEle)} m`, left - 6, top);
+        ctx.textBaseline = 'bottom';
+        ctx.fillText(`${Math.round(this.minEle)} m`, left - 6, top + chartHeight);
+        ctx.textBaseline = 'top';
+        ctx.fillText(`${(this.totalDistance / 1000).toFixed(1)} km`, left + chartWidth, top + chartHeight + 3);
+
+        if (this.hoverDistance !== null) {
+            ctx.fillStyle = this.hoverColor;
+            ctx.fillRect(Math.round(x(this.hoverDistance)), top, 1, chartHeight);
+        }
+
+        // Flyover cursor: line plus a dot on the profile
+        const cursorPoint = this.getPointAtDistance(this.cursorDistance);
+        const cursorX = x(this.cursorDistance);
+        ctx.fillStyle = this.cursorColor;
+        ctx.fillRect(Math.round(cursorX) - 1, top, 2, chartHeight);
+        ctx.beginPath();
+        ctx.arc(cursorX, y(cursorPoint.ele || 0), 4, 0, Math.PI * 2);
+        ctx.fill();
+
+        this.updateReadout();
+    }
+
+    updateReadout() {
+        if (!this.readout) return;
+        const distance = this.hoverDistance !== null ? this.hoverDistance : this.cursorDistance;
+        const point = this.getPointAtDistance(distance);
+        this.readout.textContent = `${(distance / 1000).toFixed(2)} km | ${Math.round(point.ele || 0)} m`;
+    }
+
+    show(visible = true) {
+        this.container.classList.toggle('hidden', !visible);
+        if (visible) {
+            this.draw();
+        }
+    }
+}
+
+// Export for use in other modules
+window.ElevationProfile = ElevationProfile;
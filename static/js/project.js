@@ -0,0 +1,109 @@
+// Project files: the whole flyover setup (track, map style, camera, overlay, output, soundtrack,
+// photos and marker) in one JSON file, with the files it uses embedded, so it can be shared
+class ProjectFile {
+    constructor() {
+        this.format = 'gpx-flyover-project';
+        this.version = 1;
+        this.extension = 'json';
+    }
+
+    isProjectFile(fileName) {
+        return fileName.toLowerCase().endsWith(`.${this.extension}`);
+    }
+
+    // JSON text for a project; Files, Blobs and ArrayBuffers are embedded as base64
+    async serialize(project) {
+        const binaries = new Map();
+        await this.encodeBinaries(project, binaries);
+
+        return JSON.stringify({
+            format: this.format,
+            version: this.version,
+            savedAt: new Date().toISOString(),
+            project
+        }, (key, value) => binaries.has(value) ? binaries.get(value) : value);
+    }
+
+    // The project saved in a JSON file, with its files restored
+    async parse(file) {
+        let data;
+        try {
+            data = JSON.parse(await file.text(), (key, value) => value && value.$binary ? this.decodeBinary(value.$binary) : value);
+        } catch (error) {
+            throw new Error('This is not a project file (invalid JSON)');
+        }
+
+        if (!data || data.format !== this.format || !data.project) {
+            throw new Error('This is not a GPX flyover project file');
+        }
+        if (data.version > this.version) {
+            throw new Error('This project was saved by a newer version of GPX flyover');
+        }
+        return data.project;
+    }
+
+    // Encode every binary value found in the project into binaries (value -> { $binary })
+    async encodeBinaries(value, binaries) {
+        if (value instanceof Blob) {
+            binaries.set(value, {
+                $binary: {
+                    kind: value instanceof File ? 'file' : 'blob',
+                    name: value.name,
+                    type: value.type,
+                    lastModified: value.lastModified,
+                    data: this.toBase64(await value.arrayBuffer())
+                }
+            });
+        } else if (value instanceof ArrayBuffer) {
+            binaries.set(value, { $binary: { kind: 'arraybuffer', data: this.toBase64(value) } });
+        } else if (value && typeof value === 'object') {
+            for (const item of Object.values(value)) {
+                await this.encodeBinaries(item, binaries);
+            }
+        }
+    }
+
+    decodeBinary(binary) {
+        const buffer = this.fromBase64(binary.data);
+        switch (binary.kind) {
+            case 'file': return new File([buffer], binary.name, { type: binary.type, lastModified: binary.lastModified });
+            case 'blob': return new Blob([buffer], { type: binary.type });
+            default: return buffer;
+        }
+    }
+
+    toBase64(buffer) {
+        const bytes = new Uint8Array(buffer);
+        const chunkSize = 0x8000; // String.fromCharCode takes a limited number of arguments
+        let text = '';
+        for (let i = 0; i < bytes.length; i += chunkSize) {
+            text += String.fromCharCode(...bytes.subarray(i, i + chunkSize));
+        }
+        return btoa(text);
+    }
+
+    fromBase64(base64) {
+        const text = atob(base64);
+        const bytes = new Uint8Array(text.length);
+        for (let i = 0; i < text.length; i++) {
+            bytes[i] = text.charCodeAt(i);
+        }
+        return bytes.buffer;
+    }
+
+    // Save a project as a JSON file download
+    async download(project, name) {
+        const blob = new Blob([await this.serialize(project)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `${name}.${this.extension}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+}
+
+// Export for use in other modules
+window.ProjectFile = ProjectFile;
@@ -0,0 +1,360 @@
+// Render queue: records jobs one after another on hidden render maps, checkpointing encoded
+// chunks in IndexedDB so an interrupted render resumes from its last completed frame
+class RenderQueue {
+    constructor(containerId, store) {
+        this.container = document.getElementById(containerId);
+        this.list = this.container.querySelector('.queue-list');
+        this.empty = this.container.querySelector('.queue-empty');
+
+        this.store = store;
+        this.jobs = [];
+        this.activeJob = null;
+        this.stopReason = null; // 'pause' or 'cancel' while the active job is being stopped
+        this.checkpointFrames = 60; // Frames between checkpoints
+
+        // Callbacks
+        this.onBusyChange = null; // (busy) when the queue starts or stops rendering
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.list.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+            const job = this.jobs.find(j => j.id === button.closest('.queue-job').dataset.id);
+            if (!job) return;
+
+            if (button.dataset.action === 'pause') {
+                this.pauseJob(job);
+            } else if (button.dataset.action === 'resume') {
+                this.resumeJob(job);
+            } else if (button.dataset.action === 'cancel') {
+                this.cancelJob(job);
+            }
+        });
+    }
+
+    isBusy() {
+        return this.activeJob !== null;
+    }
+
+    // Load saved jobs; a job that was rendering when the page closed waits to be resumed
+    async restore() {
+        this.jobs = (await this.store.getJobs()).sort((a, b) => a.createdAt - b.createdAt);
+        for (const job of this.jobs) {
+            if (job.status === 'rendering') {
+                job.status = 'paused';
+                await this.store.putJob(job);
+            }
+        }
+        this.render();
+    }
+
+    // job: { name, trackData, activeTrack, mapStyle, animation, output, overlay, summary, audio, media,
+    //        trackColoring, trailReveal, marker }
+    async addJob(settings) {
+        if (!WebCodecsEncoder.isSupported()) {
+            throw new Error('The render queue needs WebCodecs (Chrome or Edge)');
+        }
+
+        const job = {
+            ...settings,
+            id: `job-${Date.now()}`,
+            createdAt: Date.now(),
+            status: 'queued',
+            frame: 0, // Frames completed and stored
+            totalFrames: null,
+            animationState: null, // Animation state after the last completed frame
+            cameraSpeeds: [], // Per completed frame, for the soundtrack's wind
+            error: null
+        };
+        this.jobs.push(job);
+        await this.store.putJob(job);
+        this.render();
+        this.processQueue();
+    }
+
+    async pauseJob(job) {
+        if (job === this.activeJob) {
+            this.stopReason = 'pause';
+            return;
+        }
+        if (job.status === 'queued') {
+            job.status = 'paused';
+            await this.store.putJob(job);
+            this.render();
+        }
+    }
+
+    async resumeJob(job) {
+        if (job.status !== 'paused' && job.status !== 'failed') return;
+        job.status = 'queued';
+        job.error = null;
+        await this.store.putJob(job);
+        this.render();
+        this.processQueue();
+    }
+
+    async cancelJob(job) {
+        if (job === this.activeJob) {
+            this.stopReason = 'cancel';
+            return;
+        }
+        await this.removeJob(job);
+    }
+
+    async removeJob(job) {
+        this.jobs = this.jobs.filter(j => j !== job);
+        await this.store.deleteJob(job.id);
+        this.render();
+    }
+
+    // Render queued jobs in order
+    async processQueue() {
+        if (this.activeJob) return;
+
+        let job = this.jobs.find(j => j.status === 'queued');
+        if (!job) return;
+
+        if (this.onBusyChange) {
+            this.onBusyChange(true);
+        }
+
+        while (job) {
+            await this.runJob(job);
+            job = this.jobs.find(j => j.status === 'queued');
+        }
+
+        if (this.onBusyChange) {
+            this.onBusyChange(false);
+        }
+    }
+
+    async runJob(job) {
+        this.activeJob = job;
+        this.stopReason = null;
+        job.status = 'rendering';
+        this.render();
+
+        // The job's own recorder and overlay, set up like the UI had them; the recorder renders
+        // the job's view on a hidden map, so the visible map is never involved
+        const recorder = new VideoRecorder(null, null);
+        const media = new MediaLibrary();
+        let encoder = null;
+        try {
+            recorder.applySettings(job.output);
+
+            const summaryCard = new SummaryCard();
+            summaryCard.setStats(job.summary.title, job.summary.stats);
+            const hud = new HudCompositor();
+            hud.applySettings(job.overlay);
+            hud.setSummaryCard(summaryCard);
+            recorder.setHud(hud);
+
+            // Jobs queued before soundtracks existed have none
+            if (job.audio) {
+                const soundtrack = new Soundtrack();
+                await soundtrack.applySettings(job.audio);
+                recorder.setSoundtrack(soundtrack);
+            }
+
+            // Photos and clips are loaded again from their files; jobs queued before media had none
+            if (job.media) {
+                await media.applySettings(job.media);
+            }
+            media.setWaypoints(job.trackData.waypoints || []);
+            media.locate(job.trackData.points);
+
+            await recorder.openRenderMap({ ...job, media: media.items });
+            const animation = recorder.renderAnimation;
+            hud.setAttribution(recorder.renderMap.getAttributionText());
+            hud.setTrackColoring(recorder.renderMap.trackColoring);
+
+            const totalDuration = animation.getSequenceDuration();
+            const lastFrame = recorder.getFrameCount(totalDuration);
+            job.totalFrames = lastFrame + 1;
+            recorder.recordingDuration = totalDuration;
+
+            // Continue from the last checkpoint; chunks encoded after it are dropped
+            await this.store.deleteChunks(job.id, job.frame);
+            if (job.animationState) {
+                animation.restoreState(job.animationState);
+            }
+            recorder.resetCameraSpeeds();
+            recorder.cameraSpeeds = (job.cameraSpeeds || []).slice(0, job.frame);
+
+            const pendingWrites = [];
+            encoder = recorder.createWebCodecsEncoder();
+            encoder.onChunk = (chunk, meta) => {
+                const frame = Math.round(chunk.timestamp * recorder.fps / 1e6);
+                pendingWrites.push(this.store.putChunk(job.id, frame, WebCodecsEncoder.serializeChunk(chunk, meta)));
+            };
+            await encoder.init();
+
+            const canvas = recorder.createFrameCanvas();
+            const ctx = canvas.getContext('2d');
+            recorder.resetPrefetch();
+
+            const startFrame = job.frame;
+            const startTime = performance.now();
+            let frame = startFrame;
+            for (; frame <= lastFrame && !this.stopReason; frame++) {
+                await recorder.renderFrame((frame / lastFrame) * totalDuration);
+                recorder.sampleCameraSpeed(frame);
+                recorder.prefetchTiles(frame, lastFrame, totalDuration);
+                recorder.drawFrame(ctx);
+                await encoder.encodeFrame(canvas, frame);
+
+                if ((frame + 1) % this.checkpointFrames === 0) {
+                    await this.checkpoint(job, encoder, pendingWrites, frame + 1, recorder);
+                }
+
+                // ETA from this session's render rate
+                const rate = (frame + 1 - startFrame) / ((performance.now() - startTime) / 1000);
+                this.updateProgress(job, frame + 1, (lastFrame - frame) / rate);
+            }
+
+            if (this.stopReason === 'cancel') {
+                // No more chunks arrive once the encoder is closed
+                encoder.cancel();
+                await Promise.allSettled(pendingWrites);
+                await this.removeJob(job);
+                return;
+            }
+
+            await this.checkpoint(job, encoder, pendingWrites, frame, recorder);
+
+            if (this.stopReason === 'pause') {
+                job.status = 'paused';
+                await this.store.putJob(job);
+                return;
+            }
+
+            // Every frame is stored: mux them into the video file
+            this.updateProgress(job, job.frame, null, 'Muxing...');
+            const audio = encoder.audioConfig ? await recorder.renderSoundtrack() : null;
+            const blob = await encoder.muxChunks(await this.store.getChunks(job.id), audio);
+            recorder.downloadVideo(blob, encoder.getMimeType());
+
+            job.status = 'done';
+            job.animationState = null;
+            job.cameraSpeeds = [];
+            await this.store.putJob(job);
+            await this.store.deleteChunks(job.id);
+
+        } catch (error) {
+            console.error('Render job failed:', error);
+            job.status = 'failed';
+            job.error = error.message;
+            await this.store.putJob(job);
+        } finally {
+            if (encoder) {
+                encoder.cancel();
+            }
+            recorder.closeRenderMap();
+            media.clearMedia();
+            this.activeJob = null;
+            this.stopReason = null;
+            this.render();
+        }
+    }
+
+    // Store everything up to nextFrame so a restart continues from there
+    async checkpoint(job, encoder, pendingWrites, nextFrame, recorder) {
+        await encoder.flush();
+        await Promise.all(pendingWrites.splice(0));
+        job.frame = nextFrame;
+        job.animationState = recorder.renderAnimation.saveState();
+        job.cameraSpeeds = recorder.cameraSpeeds.slice(0, nextFrame);
+        await this.store.putJob(job);
+    }
+
+    getStatusText(job) {
+        const percent = job.totalFrames ? Math.floor((job.frame / job.totalFrames) * 100) : 0;
+        switch (job.status) {
+            case 'queued': return 'Queued';
+            case 'rendering': return `Rendering ${percent}%`;
+            case 'paused': return `Paused at ${percent}%`;
+            case 'done': return 'Done';
+            case 'failed': return `Failed: ${job.error}`;
+            default: return job.status;
+        }
+    }
+
+    formatEta(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = Math.floor(seconds % 60);
+        if (mins >= 60) {
+            return `${Math.floor(mins / 60)}h ${mins % 60}m`;
+        }
+        return `${mins}:${String(secs).padStart(2, '0')}`;
+    }
+
+    // Update the active job's bar and status without rebuilding the list (keeps its buttons clickable)
+    updateProgress(job, framesDone, etaSeconds, text = null) {
+        const element = this.list.querySelector(`[data-id="${job.id}"]`);
+        if (!element) return;
+
+        const fraction = job.totalFrames ? framesDone / job.totalFrames : 0;
+        element.querySelector('.queue-job-fill').style.width = (fraction * 100) + '%';
+
+        let status = text || `Rendering ${Math.floor(fraction * 100)}%`;
+        if (!text && etaSeconds !== null && isFinite(etaSeconds)) {
+            status += ` | ETA ${this.formatEta(etaSeconds)}`;
+        }
+        element.querySelector('.queue-job-status').textContent = status;
+    }
+
+    render() {
+        this.list.innerHTML = '';
+
+        for (const job of this.jobs) {
+            const element = document.createElement('div');
+            element.className = `queue-job ${job.status}`;
+            element.dataset.id = job.id;
+
+            const header = document.createElement('div');
+            header.className = 'queue-job-header';
+            const name = document.createElement('span');
+            name.className = 'queue-job-name';
+            name.textContent = job.name;
+            const status = document.createElement('span');
+            status.className = 'queue-job-status';
+            status.textContent = this.getStatusText(job);
+            header.append(name, status);
+
+            const bar = document.createElement('div');
+            bar.className = 'progress-bar';
+            const fill = document.createElement('div');
+            fill.className = 'progress-fill queue-job-fill';
+            fill.style.width = job.totalFrames ? ((job.frame / job.totalFrames) * 100) + '%' : '0%';
+            bar.appendChild(fill);
+
+            const actions = document.createElement('div');
+            actions.className = 'queue-job-actions';
+            const addButton = (action, label) => {
+                const button = document.createElement('button');
+                button.className = 'btn btn-small';
+                button.dataset.action = action;
+                button.textContent = label;
+                actions.appendChild(button);
+            };
+            if (job.status === 'rendering' || job.status === 'queued') {
+                addButton('pause', 'Pause');
+            }
+            if (job.status === 'paused' || job.status === 'failed') {
+                addButton('resume', 'Resume');
+            }
+            addButton('cancel', job.status === 'done' || job.status === 'failed' ? 'Remove' : 'Cancel');
+
+            element.append(header, bar, actions);
+            this.list.appendChild(element);
+        }
+
+        this.empty.classList.toggle('hidden', this.jobs.length > 0);
+    }
+}
+
+// Export for use in other modules
+window.RenderQueue = RenderQueue;
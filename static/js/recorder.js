@@ -12,21 +12,54 @@ class VideoRecorder {
         this.height = 1080;
         this.fps = 30;
         this.outputFormat = 'mp4'; // 'mp4' or 'webm'
-
-        // FFmpeg for conversion
-        this.ffmpeg = null;
-        this.ffmpegLoaded = false;
+        this.codec = 'h264'; // 'h264', 'vp9' or 'av1' (WebCodecs only)
+        this.bitrate = 8000000; // bits per second
+        this.keyframeInterval = 2; // seconds (WebCodecs only)
+        this.pixelRatio = 'auto'; // Map pixel ratio of the render, or 'auto' (see getRenderPixelRatio)
+
+        // Frame-by-frame recording renders on a hidden map at the output size, with its own animation
+        this.renderMap = null;
+        this.renderAnimation = null;
+
+        // WebCodecs encoder for the recording in progress; null when MediaRecorder is used
+        this.encoder = null;
+
+        // Frame-by-frame rendering waits for tiles and terrain before capturing each frame
+        this.maxTileWait = 10000; // ms; a frame is captured anyway after this, with a warning
+        this.prefetchFrames = 30; // Frames ahead whose tiles are requested early
+        this.prefetchedTiles = new Set();
+        this.prefetchState = null; // Animation state after the last frame computed ahead
+        this.prefetchFrame = 0;
+
+        // HUD compositor drawn over the map in recorded frames (set by main.js)
+        this.hud = null;
+        this.hudAnimation = null; // The HUD's own animation, while it follows the render animation
+
+        // Soundtrack mixed into the video (set by main.js); its wind follows the camera speeds
+        this.soundtrack = null;
+        this.cameraSpeeds = []; // m/s per recorded frame
+        this.lastCameraPosition = null;
+
+        // Converters by output format, used when the browser records a different one (see converter.js)
+        this.converters = {
+            mp4: new FFmpegConverter()
+        };
+        this.isConverting = false;
+        this.activeConverter = null;
+        this.recordingDuration = 0; // Seconds of video, for conversion progress
 
         // Callbacks
         this.onProgress = null;
         this.onComplete = null;
         this.onError = null;
         this.onStatusChange = null;
+        this.onConversionProgress = null; // (fraction) while converting
     }
 
     setResolution(width, height) {
-        this.width = width;
-        this.height = height;
+        // Video encoders need even dimensions
+        this.width = width - (width % 2);
+        this.height = height - (height % 2);
     }
 
     setFPS(fps) {
@@ -37,108 +70,176 @@ class VideoRecorder {
         this.outputFormat = format;
     }
 
-    // Load FFmpeg for MP4 conversion
-    async loadFFmpeg() {
-        if (this.ffmpegLoaded) return true;
-
-        try {
-            if (this.onStatusChange) {
-                this.onStatusChange('Loading video encoder...');
-            }
+    setCodec(codec) {
+        this.codec = codec;
+    }
 
-            // Load FFmpeg from CDN
-            const { FFmpeg } = await import('https://esm.sh/@ffmpeg/ffmpeg@0.12.7');
-            const { fetchFile } = await import('https://esm.sh/@ffmpeg/util@0.12.1');
+    setBitrate(bitsPerSecond) {
+        this.bitrate = bitsPerSecond;
+    }
 
-            this.ffmpeg = new FFmpeg();
-            this.fetchFile = fetchFile;
+    setKeyframeInterval(seconds) {
+        this.keyframeInterval = seconds;
+    }
 
-            // Load FFmpeg core
-            await this.ffmpeg.load({
-                coreURL: 'https://esm.sh/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.js',
-                wasmURL: 'https://esm.sh/@ffmpeg/core@0.12.4/dist/esm/ffmpeg-core.wasm',
-            });
+    setPixelRatio(pixelRatio) {
+        this.pixelRatio = pixelRatio;
+    }
 
-            this.ffmpegLoaded = true;
-            if (this.onStatusChange) {
-                this.onStatusChange('Video encoder ready');
-            }
-            return true;
-        } catch (error) {
-            console.error('Failed to load FFmpeg:', error);
-            if (this.onStatusChange) {
-                this.onStatusChange('MP4 encoder unavailable, will use WebM');
-            }
-            return false;
+    // Auto keeps lines and labels the size they have in a 1080p video
+    getRenderPixelRatio() {
+        if (this.pixelRatio === 'auto') {
+            return Math.max(1, Math.min(this.width, this.height) / 1080);
         }
+        return this.pixelRatio;
     }
 
-    async startRecording() {
-        if (this.isRecording) return;
+    setMaxTileWait(ms) {
+        this.maxTileWait = ms;
+    }
 
-        try {
-            this.isRecording = true;
-            this.recordedChunks = [];
+    setPrefetchFrames(frames) {
+        this.prefetchFrames = frames;
+    }
 
-            const canvas = this.map.getCanvas();
+    // Output settings as plain data (render jobs, saved projects)
+    getSettings() {
+        return {
+            width: this.width,
+            height: this.height,
+            fps: this.fps,
+            outputFormat: this.outputFormat,
+            codec: this.codec,
+            bitrate: this.bitrate,
+            keyframeInterval: this.keyframeInterval,
+            pixelRatio: this.pixelRatio,
+            maxTileWait: this.maxTileWait
+        };
+    }
 
-            // Get stream from canvas
-            const stream = canvas.captureStream(this.fps);
+    applySettings(settings) {
+        this.setResolution(settings.width, settings.height);
+        this.setFPS(settings.fps);
+        this.setOutputFormat(settings.outputFormat);
+        this.setCodec(settings.codec);
+        this.setBitrate(settings.bitrate);
+        this.setKeyframeInterval(settings.keyframeInterval);
+        this.setPixelRatio(settings.pixelRatio ?? 'auto');
+        this.setMaxTileWait(settings.maxTileWait);
+    }
 
-            // Check for supported MIME types
-            const mimeType = this.getSupportedMimeType();
-            if (!mimeType) {
-                throw new Error('No supported video format found in this browser');
-            }
+    // Plug in a converter for an output format; null removes it
+    setConverter(format, converter) {
+        if (converter) {
+            this.converters[format] = converter;
+        } else {
+            delete this.converters[format];
+        }
+    }
 
-            // Create MediaRecorder
-            this.mediaRecorder = new MediaRecorder(stream, {
-                mimeType: mimeType,
-                videoBitsPerSecond: 8000000 // 8 Mbps for good quality
-            });
+    setHud(hud) {
+        this.hud = hud;
+    }
 
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
+    setSoundtrack(soundtrack) {
+        this.soundtrack = soundtrack;
+    }
 
-            this.mediaRecorder.onstop = () => {
-                this.finishRecording();
-            };
+    // What the visible map shows, as a view for openRenderMap()
+    getSourceView() {
+        return {
+            mapStyle: this.map.currentStyle,
+            trackData: this.map.trackData,
+            activeTrack: this.map.activeTrack,
+            animation: this.animation.getSettings(),
+            media: this.map.media,
+            trackColoring: this.map.trackColoring ? this.map.trackColoring.getSettings() : null,
+            trailReveal: { ...this.map.trailReveal },
+            marker: this.animation.progressMarker.getSettings()
+        };
+    }
 
-            this.mediaRecorder.onerror = (event) => {
-                console.error('MediaRecorder error:', event);
-                this.isRecording = false;
-                if (this.onError) {
-                    this.onError(event.error);
-                }
-            };
+    // Set up the hidden render map for a view ({ mapStyle, trackData, activeTrack, animation, media,
+    // trackColoring, trailReveal, marker }) and an animation on it with the view's camera settings; the HUD follows that animation
+    async openRenderMap(view) {
+        this.renderMap = await GPXMap.createRenderMap(this.width, this.height, this.getRenderPixelRatio(), view.mapStyle);
+        if (view.trackColoring) {
+            const coloring = new TrackColoring();
+            coloring.applySettings(view.trackColoring);
+            this.renderMap.setTrackColoring(coloring);
+        }
+        if (view.trailReveal) {
+            this.renderMap.setTrailReveal(view.trailReveal);
+        }
+        this.renderMap.loadTrack(view.trackData);
+        this.renderMap.setActiveTrack(view.activeTrack);
+        this.renderMap.setMedia(view.media || []);
+
+        this.renderAnimation = new FlyoverAnimation(this.renderMap);
+        this.renderAnimation.applySettings(view.animation);
+        this.renderAnimation.setMedia(view.media || []);
+        if (view.marker) {
+            const marker = new ProgressMarker();
+            await marker.applySettings(view.marker);
+            this.renderAnimation.setProgressMarker(marker);
+        }
+        this.renderAnimation.initializeDistanceData();
 
-            // Start recording
-            this.mediaRecorder.start(100); // Collect data every 100ms
+        if (this.hud) {
+            this.hudAnimation = this.hud.animation;
+            this.hud.setAnimation(this.renderAnimation);
+            this.hud.setFrameAccurate(true);
+        }
+    }
 
-            // Start animation
-            this.animation.progress = 0;
-            this.animation.onProgress = (progress) => {
-                if (this.onProgress) {
-                    this.onProgress(progress);
-                }
-            };
+    closeRenderMap() {
+        if (this.hud && this.hudAnimation) {
+            this.hud.setAnimation(this.hudAnimation);
+        }
+        if (this.hud) {
+            this.hud.setFrameAccurate(false);
+        }
+        this.hudAnimation = null;
 
-            this.animation.onComplete = () => {
-                this.stopRecording();
-            };
+        if (this.renderMap) {
+            this.renderMap.remove();
+        }
+        this.renderMap = null;
+        this.renderAnimation = null;
+    }
 
-            this.animation.start();
+    // MediaRecorder fallback; the recording is downloaded once it stops
+    startMediaRecorder(stream) {
+        // Check for supported MIME types
+        const mimeType = this.getSupportedMimeType();
+        if (!mimeType) {
+            throw new Error('No supported video format found in this browser');
+        }
 
-        } catch (error) {
+        this.mediaRecorder = new MediaRecorder(stream, {
+            mimeType: mimeType,
+            videoBitsPerSecond: this.bitrate
+        });
+
+        this.mediaRecorder.ondataavailable = (event) => {
+            if (event.data.size > 0) {
+                this.recordedChunks.push(event.data);
+            }
+        };
+
+        this.mediaRecorder.onstop = () => {
+            this.finishRecording();
+        };
+
+        this.mediaRecorder.onerror = (event) => {
+            console.error('MediaRecorder error:', event);
             this.isRecording = false;
-            console.error('Recording error:', error);
             if (this.onError) {
-                this.onError(error);
+                this.onError(event.error);
             }
-        }
+        };
+
+        this.mediaRecorder.start();
     }
 
     getSupportedMimeType() {
@@ -160,8 +261,6 @@ class VideoRecorder {
     stopRecording() {
         if (!this.isRecording) return;
 
-        this.animation.stop();
-
         if (this.mediaRecorder && this.mediaRecorder.state !== 'inactive') {
             this.mediaRecorder.stop();
         }
@@ -180,71 +279,80 @@ class VideoRecorder {
         const mimeType = this.mediaRecorder.mimeType;
         const blob = new Blob(this.recordedChunks, { type: mimeType });
 
-        // If MP4 is requested and we recorded WebM, convert it
-        if (this.outputFormat === 'mp4' && mimeType.includes('webm')) {
-            this.convertToMP4(blob);
+        // Convert when the browser recorded a different format than requested
+        const converter = this.converters[this.outputFormat];
+        if (converter && !mimeType.includes(this.outputFormat)) {
+            this.convertRecording(blob, converter);
         } else {
+            if (this.soundtrack && this.soundtrack.isEnabled()) {
+                // MediaRecorder only captures the canvas; sound is added by encoders and converters
+                console.warn('Recorded without WebCodecs or conversion, the video has no sound');
+                if (this.onStatusChange) {
+                    this.onStatusChange('Saved without sound (needs WebCodecs or MP4 conversion)');
+                }
+            }
             this.downloadVideo(blob, mimeType);
         }
     }
 
-    async convertToMP4(webmBlob) {
+    async convertRecording(blob, converter) {
+        const format = this.outputFormat.toUpperCase();
+        this.isConverting = true;
+        this.activeConverter = converter;
+
         try {
             if (this.onStatusChange) {
-                this.onStatusChange('Converting to MP4...');
+                this.onStatusChange('Loading video encoder...');
             }
 
-            // Load FFmpeg if not already loaded
-            const loaded = await this.loadFFmpeg();
+            const loaded = await converter.load();
             if (!loaded) {
-                // Fall back to WebM download
                 if (this.onStatusChange) {
-                    this.onStatusChange('Downloading as WebM (MP4 conversion unavailable)');
+                    this.onStatusChange(`Downloading as WebM (${format} conversion unavailable)`);
                 }
-                this.downloadVideo(webmBlob, 'video/webm');
+                this.downloadVideo(blob, blob.type);
                 return;
             }
 
-            // Write input file
-            const inputData = await this.fetchFile(webmBlob);
-            await this.ffmpeg.writeFile('input.webm', inputData);
+            const audio = await this.renderSoundtrack();
 
-            // Convert to MP4 with H.264
             if (this.onStatusChange) {
-                this.onStatusChange('Encoding MP4 (this may take a while)...');
+                this.onStatusChange(`Encoding ${format}...`);
             }
 
-            await this.ffmpeg.exec([
-                '-i', 'input.webm',
-                '-c:v', 'libx264',
-                '-preset', 'fast',
-                '-crf', '23',
-                '-pix_fmt', 'yuv420p',
-                '-movflags', '+faststart',
-                'output.mp4'
-            ]);
-
-            // Read output file
-            const outputData = await this.ffmpeg.readFile('output.mp4');
-            const mp4Blob = new Blob([outputData.buffer], { type: 'video/mp4' });
-
-            // Clean up
-            await this.ffmpeg.deleteFile('input.webm');
-            await this.ffmpeg.deleteFile('output.mp4');
+            const converted = await converter.convert(blob, {
+                audio: audio ? Soundtrack.encodeWav(audio) : null,
+                duration: this.recordingDuration,
+                onProgress: (fraction) => {
+                    if (this.onConversionProgress) {
+                        this.onConversionProgress(fraction);
+                    }
+                }
+            });
 
             if (this.onStatusChange) {
-                this.onStatusChange('MP4 ready!');
+                this.onStatusChange(`${format} ready!`);
             }
-
-            this.downloadVideo(mp4Blob, 'video/mp4');
+            this.downloadVideo(converted, converter.mimeType);
 
         } catch (error) {
-            console.error('MP4 conversion failed:', error);
+            console.error(`${format} conversion failed:`, error);
             if (this.onStatusChange) {
-                this.onStatusChange('MP4 conversion failed, downloading WebM');
+                this.onStatusChange(converter.cancelled
+                    ? `${format} conversion cancelled, downloading WebM`
+                    : `${format} conversion failed, downloading WebM`);
             }
             // Fall back to WebM
-            this.downloadVideo(webmBlob, 'video/webm');
+            this.downloadVideo(blob, blob.type);
+        } finally {
+            this.isConverting = false;
+            this.activeConverter = null;
+        }
+    }
+
+    cancelConversion() {
+        if (this.activeConverter) {
+            this.activeConverter.cancel();
         }
     }
 
@@ -270,7 +378,7 @@ class VideoRecorder {
         }
     }
 
-    // Alternative: Frame-by-frame recording for more precise control
+    // Frame-by-frame recording: every frame is rendered with its tiles loaded, at an exact time
     async recordFrameByFrame() {
         if (this.isRecording) return;
 
@@ -278,68 +386,78 @@ class VideoRecorder {
             this.isRecording = true;
             this.recordedChunks = [];
 
-            const canvas = this.map.getCanvas();
-            const totalFrames = Math.ceil(this.animation.getTotalDuration() * this.fps);
+            // Render on a hidden map at the output size instead of scaling the visible one
+            await this.openRenderMap(this.getSourceView());
+
+            // Duration follows the animation pacing (distance or recorded time) plus intro and outro
+            const totalDuration = this.renderAnimation.getSequenceDuration();
+            const totalFrames = this.getFrameCount(totalDuration);
+            this.recordingDuration = totalDuration;
+            this.resetCameraSpeeds();
 
             // Create offscreen canvas for consistent resolution
-            const offscreenCanvas = document.createElement('canvas');
-            offscreenCanvas.width = this.width;
-            offscreenCanvas.height = this.height;
+            const offscreenCanvas = this.createFrameCanvas();
             const ctx = offscreenCanvas.getContext('2d');
 
-            const stream = offscreenCanvas.captureStream(0);
-            const videoTrack = stream.getVideoTracks()[0];
-
-            const mimeType = this.getSupportedMimeType();
-            this.mediaRecorder = new MediaRecorder(stream, {
-                mimeType: mimeType,
-                videoBitsPerSecond: 8000000
-            });
-
-            this.mediaRecorder.ondataavailable = (event) => {
-                if (event.data.size > 0) {
-                    this.recordedChunks.push(event.data);
-                }
-            };
-
-            this.mediaRecorder.onstop = () => {
-                this.finishRecording();
-            };
+            // WebCodecs gives every frame an exact timestamp; MediaRecorder is the fallback
+            this.encoder = await this.createEncoder();
+            let videoTrack = null;
+            if (!this.encoder) {
+                const stream = offscreenCanvas.captureStream(0);
+                videoTrack = stream.getVideoTracks()[0];
+                this.startMediaRecorder(stream);
+            }
 
-            this.mediaRecorder.start();
+            this.resetPrefetch();
 
             // Record frame by frame
-            for (let frame = 0; frame <= totalFrames; frame++) {
-                const progress = frame / totalFrames;
+            for (let frame = 0; frame <= totalFrames && this.isRecording; frame++) {
+                const sequenceProgress = frame / totalFrames;
 
-                // Update animation
-                this.animation.stepToProgress(progress);
-
-                // Wait for map to render
-                await this.waitForMapRender();
+                // Position the camera and wait until the map is fully loaded there
+                await this.renderFrame(sequenceProgress * totalDuration);
+                this.sampleCameraSpeed(frame);
+                this.prefetchTiles(frame, totalFrames, totalDuration);
 
                 // Draw map canvas to offscreen canvas
-                ctx.drawImage(canvas, 0, 0, this.width, this.height);
-
-                // Manually request frame
-                if (videoTrack.requestFrame) {
-                    videoTrack.requestFrame();
+                this.drawFrame(ctx);
+
+                if (this.encoder) {
+                    await this.encoder.encodeFrame(offscreenCanvas, frame);
+                } else {
+                    // Manually request frame
+                    if (videoTrack.requestFrame) {
+                        videoTrack.requestFrame();
+                    }
                 }
 
                 // Report progress
                 if (this.onProgress) {
-                    this.onProgress(progress);
+                    this.onProgress(this.renderAnimation.progress, sequenceProgress);
                 }
 
-                // Small delay to allow encoding
-                await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+                if (!this.encoder) {
+                    // Small delay to allow encoding
+                    await new Promise(resolve => setTimeout(resolve, 1000 / this.fps));
+                }
             }
 
-            this.mediaRecorder.stop();
             this.isRecording = false;
+            this.closeRenderMap();
+            if (this.encoder) {
+                await this.finishEncoder();
+            } else if (this.mediaRecorder.state !== 'inactive') {
+                // stopRecording() may already have stopped the recorder
+                this.mediaRecorder.stop();
+            }
 
         } catch (error) {
             this.isRecording = false;
+            this.closeRenderMap();
+            if (this.encoder) {
+                this.encoder.cancel();
+                this.encoder = null;
+            }
             console.error('Frame recording error:', error);
             if (this.onError) {
                 this.onError(error);
@@ -347,14 +465,198 @@ class VideoRecorder {
         }
     }
 
-    waitForMapRender() {
+    // WebCodecs encoder for the current settings, or null to fall back to MediaRecorder
+    async createEncoder() {
+        if (!WebCodecsEncoder.isSupported()) {
+            console.warn('WebCodecs not available, recording with MediaRecorder');
+            return null;
+        }
+
+        const encoder = this.createWebCodecsEncoder();
+
+        try {
+            await encoder.init();
+            return encoder;
+        } catch (error) {
+            console.warn('WebCodecs encoder unavailable, recording with MediaRecorder:', error);
+            encoder.cancel();
+            return null;
+        }
+    }
+
+    // Encoder for the current settings (not yet initialized)
+    createWebCodecsEncoder() {
+        let codec = this.codec;
+        if (this.outputFormat === 'webm' && codec === 'h264') {
+            // WebM has no H.264; VP9 is the closest match
+            codec = 'vp9';
+            if (this.onStatusChange) {
+                this.onStatusChange('WebM does not support H.264, encoding VP9');
+            }
+        }
+
+        return new WebCodecsEncoder({
+            width: this.width,
+            height: this.height,
+            fps: this.fps,
+            container: this.outputFormat,
+            codec,
+            bitrate: this.bitrate,
+            keyframeInterval: this.keyframeInterval,
+            audio: this.soundtrack && this.soundtrack.isEnabled()
+                ? { sampleRate: this.soundtrack.sampleRate, numberOfChannels: this.soundtrack.numberOfChannels }
+                : null
+        });
+    }
+
+    async finishEncoder() {
+        if (this.onStatusChange) {
+            this.onStatusChange('Finishing video...');
+        }
+        const encoder = this.encoder;
+        this.encoder = null;
+        const audio = encoder.audioConfig ? await this.renderSoundtrack() : null;
+        const blob = await encoder.finish(audio);
+        this.downloadVideo(blob, encoder.getMimeType());
+    }
+
+    // The soundtrack mixed to the recording's length, or null without one
+    async renderSoundtrack() {
+        if (!this.soundtrack || !this.soundtrack.isEnabled()) return null;
+
+        if (this.onStatusChange) {
+            this.onStatusChange('Mixing audio...');
+        }
+        return this.soundtrack.render(this.recordingDuration, this.cameraSpeeds, this.fps);
+    }
+
+    resetCameraSpeeds() {
+        this.cameraSpeeds = [];
+        this.lastCameraPosition = null;
+    }
+
+    // Record how fast the camera moved into a frame (m/s), from where the animation placed it.
+    // Only the soundtrack's wind uses the speeds
+    sampleCameraSpeed(frame) {
+        if (!this.soundtrack || !this.soundtrack.wind) return;
+
+        const location = (this.renderAnimation || this.animation).cameraLocation;
+        if (!location) return;
+        const position = maplibregl.MercatorCoordinate.fromLngLat([location.lon, location.lat], location.alt);
+        const previous = this.lastCameraPosition;
+        this.lastCameraPosition = position;
+
+        if (!previous) {
+            // First frame (or first after resuming): carry on at the previous speed
+            this.cameraSpeeds[frame] = this.cameraSpeeds[frame - 1] || 0;
+            return;
+        }
+
+        const metersPerUnit = 1 / position.meterInMercatorCoordinateUnits();
+        const distance = Math.hypot(position.x - previous.x, position.y - previous.y, position.z - previous.z) * metersPerUnit;
+        this.cameraSpeeds[frame] = distance * this.fps;
+    }
+
+    // Frames are numbered 0..count, so a recording holds count + 1 frames
+    getFrameCount(totalDuration) {
+        return Math.max(1, Math.ceil(totalDuration * this.fps));
+    }
+
+    createFrameCanvas() {
+        const canvas = document.createElement('canvas');
+        canvas.width = this.width;
+        canvas.height = this.height;
+        return canvas;
+    }
+
+    // Copy the rendered map into a frame canvas and draw the HUD over it. The render map is already
+    // the output size; the visible map is cropped to the output aspect ratio
+    drawFrame(ctx) {
+        const canvas = (this.renderMap || this.map).getCanvas();
+        const scale = Math.max(this.width / canvas.width, this.height / canvas.height);
+        const sourceWidth = this.width / scale;
+        const sourceHeight = this.height / scale;
+        ctx.drawImage(
+            canvas,
+            (canvas.width - sourceWidth) / 2, (canvas.height - sourceHeight) / 2, sourceWidth, sourceHeight,
+            0, 0, this.width, this.height
+        );
+        if (this.hud) {
+            this.hud.draw(ctx, this.width, this.height);
+        }
+    }
+
+    resetPrefetch() {
+        this.prefetchedTiles.clear();
+        this.prefetchState = null;
+        this.prefetchFrame = 0;
+    }
+
+    // Render one frame of the sequence with its tiles and terrain loaded
+    async renderFrame(time) {
+        const state = this.renderAnimation.saveState();
+        this.renderAnimation.stepToTime(time);
+        await this.waitForTiles();
+
+        // The camera keeps clear of the terrain, so place it again now that the
+        // elevation data for this view is in; the pose then no longer depends on load timing
+        this.renderAnimation.restoreState(state);
+        this.renderAnimation.stepToTime(time);
+        await this.waitForTiles();
+
+        // A clip the flyover is paused at shows the frame for this time
+        if (this.hud) {
+            await this.hud.prepareFrame();
+        }
+    }
+
+    // Resolves once the map is idle (all tiles and terrain for the view loaded and drawn),
+    // or after maxTileWait
+    waitForTiles() {
         return new Promise(resolve => {
-            this.map.map.once('render', resolve);
-            this.map.triggerRepaint();
-            // Fallback timeout
-            setTimeout(resolve, 50);
+            const map = this.renderMap.map;
+            const timer = setTimeout(() => {
+                map.off('idle', onIdle);
+                console.warn(`Map tiles not loaded after ${this.maxTileWait} ms, capturing frame anyway`);
+                resolve(false);
+            }, this.maxTileWait);
+            const onIdle = () => {
+                clearTimeout(timer);
+                resolve(true);
+            };
+            map.once('idle', onIdle);
+            this.renderMap.triggerRepaint();
         });
     }
+
+    // Request the tiles of the next prefetchFrames frames so they are cached when needed.
+    // Frames ahead are computed from their own copy of the animation state, one new frame per call
+    prefetchTiles(frame, totalFrames, totalDuration) {
+        const lastFrame = Math.min(totalFrames, frame + this.prefetchFrames);
+        if (this.prefetchFrames <= 0 || lastFrame <= this.prefetchFrame) return;
+
+        const animation = this.renderAnimation;
+        const state = animation.saveState();
+        if (this.prefetchState && this.prefetchFrame > frame) {
+            animation.restoreState(this.prefetchState);
+        }
+
+        for (let ahead = Math.max(frame, this.prefetchFrame) + 1; ahead <= lastFrame; ahead++) {
+            const computed = animation.computeFrameAtTime((ahead / totalFrames) * totalDuration);
+            if (!computed) continue;
+
+            for (const url of this.renderMap.getTileUrlsForCamera(computed.cameraPosition)) {
+                if (this.prefetchedTiles.has(url)) continue;
+                this.prefetchedTiles.add(url);
+                // The tile proxy sends cache headers, so the map's own request hits the browser cache
+                fetch(url).catch(() => {});
+            }
+        }
+
+        this.prefetchState = animation.saveState();
+        this.prefetchFrame = lastFrame;
+        animation.restoreState(state);
+    }
 }
 
 // Export for use in other modules
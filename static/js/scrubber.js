@@ -0,0 +1,165 @@
+// Preview player: scrub through the flyover, step frames, set the playback rate and looping,
+// and mark in and out points so only part of the track is played and recorded
+class PlaybackScrubber {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.track = this.container.querySelector('.player-track');
+        this.fill = this.container.querySelector('.player-fill');
+        this.handle = this.container.querySelector('.player-handle');
+        this.timeText = this.container.querySelector('.player-time');
+        this.rangeText = this.container.querySelector('.player-range');
+        this.rateSelect = this.container.querySelector('[data-field="rate"]');
+        this.loopSelect = this.container.querySelector('[data-field="loop"]');
+        this.clearButton = this.container.querySelector('[data-action="clear-range"]');
+
+        this.animation = null;
+        this.time = 0; // Sequence time shown, in seconds
+        this.duration = 0;
+        this.dragging = false;
+
+        // Callbacks
+        this.onSeek = null; // (time) on click or drag
+        this.onStep = null; // (direction) from the frame-step buttons
+        this.onRangeChange = null; // () after the in or out point changes
+
+        this.bindEvents();
+    }
+
+    bindEvents() {
+        this.container.querySelectorAll('[data-action]').forEach(button => {
+            button.addEventListener('click', () => {
+                switch (button.dataset.action) {
+                    case 'step-back': this.step(-1); break;
+                    case 'step-forward': this.step(1); break;
+                    case 'set-in': this.setInPoint(); break;
+                    case 'set-out': this.setOutPoint(); break;
+                    case 'clear-range': this.clearRange(); break;
+                }
+            });
+        });
+
+        this.rateSelect.addEventListener('change', () => {
+            if (this.animation) {
+                this.animation.setPlaybackRate(parseFloat(this.rateSelect.value));
+            }
+        });
+
+        this.loopSelect.addEventListener('change', () => {
+            if (this.animation) {
+                this.animation.setLoopMode(this.loopSelect.value);
+            }
+        });
+
+        // Click or drag along the track to scrub
+        this.track.addEventListener('pointerdown', (e) => {
+            if (!this.animation) return;
+            this.dragging = true;
+            this.track.setPointerCapture(e.pointerId);
+            this.seek(this.getTimeFromEvent(e));
+        });
+
+        this.track.addEventListener('pointermove', (e) => {
+            if (this.dragging) {
+                this.seek(this.getTimeFromEvent(e));
+            }
+        });
+
+        this.track.addEventListener('pointerup', () => {
+            this.dragging = false;
+        });
+    }
+
+    getTimeFromEvent(e) {
+        const rect = this.track.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width)) * this.duration;
+    }
+
+    // The animation takes the player's rate and loop settings
+    setAnimation(animation) {
+        this.animation = animation;
+        animation.setPlaybackRate(parseFloat(this.rateSelect.value));
+        animation.setLoopMode(this.loopSelect.value);
+        this.update();
+    }
+
+    // Follow the flyover position (and the sequence length, which changes with the settings)
+    update() {
+        if (!this.animation) return;
+        this.time = this.animation.sequenceTime;
+        this.duration = this.animation.getSequenceDuration();
+        this.render();
+    }
+
+    seek(time) {
+        this.time = Math.max(0, Math.min(this.duration, time));
+        this.render();
+        if (this.onSeek) {
+            this.onSeek(this.time);
+        }
+    }
+
+    seekBy(seconds) {
+        this.seek(this.time + seconds);
+    }
+
+    step(direction) {
+        if (this.animation && this.onStep) {
+            this.onStep(direction);
+        }
+    }
+
+    // In and out points are set at the flyover's position; one past the other clears the other
+    setInPoint() {
+        if (!this.animation) return;
+        const progress = this.animation.progress;
+        this.animation.setRange(progress, progress < this.animation.outPoint ? this.animation.outPoint : 1);
+        this.changeRange();
+    }
+
+    setOutPoint() {
+        if (!this.animation) return;
+        const progress = this.animation.progress;
+        this.animation.setRange(progress > this.animation.inPoint ? this.animation.inPoint : 0, progress);
+        this.changeRange();
+    }
+
+    clearRange() {
+        if (!this.animation) return;
+        this.animation.setRange(0, 1);
+        this.changeRange();
+    }
+
+    changeRange() {
+        if (this.onRangeChange) {
+            this.onRangeChange();
+        }
+        this.update();
+    }
+
+    formatTime(seconds) {
+        const mins = Math.floor(seconds / 60);
+        const secs = (seconds % 60).toFixed(1).padStart(4, '0');
+        return `${mins}:${secs}`;
+    }
+
+    render() {
+        const fraction = this.duration > 0 ? this.time / this.duration : 0;
+        this.fill.style.width = (fraction * 100) + '%';
+        this.handle.style.left = (fraction * 100) + '%';
+        this.timeText.textContent = `${this.formatTime(this.time)} / ${this.formatTime(this.duration)}`;
+
+        const animation = this.animation;
+        const hasRange = !!animation && animation.hasRange();
+        this.clearButton.disabled = !hasRange;
+        this.rangeText.textContent = hasRange
+            ? `${(animation.getDistanceAtProgress(animation.inPoint) / 1000).toFixed(2)}–${(animation.getDistanceAtProgress(animation.outPoint) / 1000).toFixed(2)} km`
+            : '';
+    }
+
+    show(visible = true) {
+        this.container.classList.toggle('hidden', !visible);
+    }
+}
+
+// Export for use in other modules
+window.PlaybackScrubber = PlaybackScrubber;
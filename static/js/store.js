@@ -0,0 +1,88 @@
+// IndexedDB persistence for render jobs, their encoded video chunks and saved projects
+class RenderStore {
+    constructor(dbName = 'gpx-flyover-renders') {
+        this.dbName = dbName;
+        this.version = 2;
+        this.db = null;
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.version);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                // Jobs by id; chunks keyed [jobId, frame] so a job's chunks read back in frame order
+                if (!db.objectStoreNames.contains('jobs')) {
+                    db.createObjectStore('jobs', { keyPath: 'id' });
+                    db.createObjectStore('chunks');
+                }
+                // Projects by id (version 2)
+                if (!db.objectStoreNames.contains('projects')) {
+                    db.createObjectStore('projects', { keyPath: 'id' });
+                }
+            };
+
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    // Run fn(objectStore) in a transaction; resolves with the result of the request fn returns
+    async run(storeName, mode, fn) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeName, mode);
+            const request = fn(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    getJobs() {
+        return this.run('jobs', 'readonly', store => store.getAll());
+    }
+
+    putJob(job) {
+        return this.run('jobs', 'readwrite', store => store.put(job));
+    }
+
+    async deleteJob(id) {
+        await this.deleteChunks(id);
+        return this.run('jobs', 'readwrite', store => store.delete(id));
+    }
+
+    putChunk(jobId, frame, record) {
+        return this.run('chunks', 'readwrite', store => store.put(record, [jobId, frame]));
+    }
+
+    getChunks(jobId) {
+        return this.run('chunks', 'readonly', store => store.getAll(this.chunkRange(jobId)));
+    }
+
+    // Remove a job's chunks from a frame onwards (all of them by default)
+    deleteChunks(jobId, fromFrame = 0) {
+        return this.run('chunks', 'readwrite', store => store.delete(this.chunkRange(jobId, fromFrame)));
+    }
+
+    getProject(id) {
+        return this.run('projects', 'readonly', store => store.get(id));
+    }
+
+    putProject(project) {
+        return this.run('projects', 'readwrite', store => store.put(project));
+    }
+
+    chunkRange(jobId, fromFrame = 0) {
+        return IDBKeyRange.bound([jobId, fromFrame], [jobId, Infinity]);
+    }
+}
+
+// Export for use in other modules
+window.RenderStore = RenderStore;
@@ -0,0 +1,76 @@
+// End-of-flyover summary card, drawn onto a 2D canvas (preview overlay and recorded frames)
+class SummaryCard {
+    constructor() {
+        this.title = '';
+        this.stats = []; // [{ label, value }]
+
+        // Colors follow the app theme (style.css)
+        this.background = 'rgba(22, 33, 62, 0.88)';
+        this.accent = '#e94560';
+        this.textColor = '#eeeeee';
+        this.mutedColor = '#aaaaaa';
+        this.fontFamily = "-apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif";
+    }
+
+    setStats(title, stats) {
+        this.title = title || '';
+        this.stats = stats;
+    }
+
+    // Sizes are designed for frames whose short side is 1080 pixels and scale with the canvas
+    draw(ctx, width, height, opacity = 1) {
+        if (opacity <= 0 || this.stats.length === 0) return;
+
+        const scale = Math.min(width, height) / 1080;
+        const padding = 40 * scale;
+        const titleHeight = 64 * scale;
+        const rowHeight = 56 * scale;
+        const cardWidth = Math.min(width * 0.85, 720 * scale);
+        const cardHeight = padding * 2 + titleHeight + this.stats.length * rowHeight;
+        const x = (width - cardWidth) / 2;
+        const y = (height - cardHeight) / 2;
+
+        ctx.save();
+        ctx.globalAlpha = opacity;
+
+        ctx.fillStyle = this.background;
+        ctx.beginPath();
+        if (ctx.roundRect) {
+            ctx.roundRect(x, y, cardWidth, cardHeight, 16 * scale);
+        } else {
+            ctx.rect(x, y, cardWidth, cardHeight);
+        }
+        ctx.fill();
+
+        ctx.fillStyle = this.accent;
+        ctx.fillRect(x, y, cardWidth, 6 * scale);
+
+        // Title
+        const innerWidth = cardWidth - padding * 2;
+        ctx.textBaseline = 'middle';
+        ctx.textAlign = 'center';
+        ctx.fillStyle = this.textColor;
+        ctx.font = `600 ${Math.round(40 * scale)}px ${this.fontFamily}`;
+        ctx.fillText(this.title, width / 2, y + padding + titleHeight / 2, innerWidth);
+
+        // One row per stat: label left, value right
+        this.stats.forEach((stat, index) => {
+            const rowY = y + padding + titleHeight + rowHeight * (index + 0.5);
+
+            ctx.textAlign = 'left';
+            ctx.fillStyle = this.mutedColor;
+            ctx.font = `${Math.round(28 * scale)}px ${this.fontFamily}`;
+            ctx.fillText(stat.label, x + padding, rowY, innerWidth / 2);
+
+            ctx.textAlign = 'right';
+            ctx.fillStyle = this.textColor;
+            ctx.font = `600 ${Math.round(32 * scale)}px ${this.fontFamily}`;
+            ctx.fillText(stat.value, x + cardWidth - padding, rowY, innerWidth / 2);
+        });
+
+        ctx.restore();
+    }
+}
+
+// Export for use in other modules
+window.SummaryCard = SummaryCard;
@@ -0,0 +1,200 @@
+// Keyframe-based camera timeline editor
+class CameraTimeline {
+    constructor(containerId) {
+        this.container = document.getElementById(containerId);
+        this.track = this.container.querySelector('.timeline-track');
+        this.playhead = this.container.querySelector('.timeline-playhead');
+        this.editor = this.container.querySelector('.keyframe-editor');
+        this.addButton = this.container.querySelector('[data-action="add"]');
+        this.deleteButton = this.container.querySelector('[data-action="delete"]');
+        this.clearButton = this.container.querySelector('[data-action="clear"]');
+
+        this.animation = null;
+        this.keyframes = [];
+        this.selected = null;
+        this.progress = 0;
+        this.dragging = null;
+
+        // Callbacks
+        this.onSeek = null; // (progress) when the user clicks the timeline
+        this.onChange = null; // (keyframes) after any edit
+
+        this.populateModes();
+        this.bindEvents();
+    }
+
+    // Mode options mirror the animationMode radio group
+    populateModes() {
+        const select = this.editor.querySelector('[data-field="mode"]');
+        document.querySelectorAll('input[name="animationMode"]').forEach(radio => {
+            const option = document.createElement('option');
+            option.value = radio.value;
+            option.textContent = radio.parentElement.textContent.trim();
+            select.appendChild(option);
+        });
+    }
+
+    bindEvents() {
+        this.addButton.addEventListener('click', () => this.addKeyframe(this.progress));
+        this.deleteButton.addEventListener('click', () => this.deleteKeyframe(this.selected));
+        this.clearButton.addEventListener('click', () => {
+            this.keyframes = [];
+            this.select(null);
+            this.commit();
+        });
+
+        // Click empty track to seek, drag keyframes to move them
+        this.track.addEventListener('pointerdown', (e) => {
+            const marker = e.target.closest('.timeline-keyframe');
+            if (marker) {
+                const keyframe = this.keyframes[parseInt(marker.dataset.index)];
+                this.select(keyframe);
+                this.dragging = keyframe;
+                this.track.setPointerCapture(e.pointerId);
+                return;
+            }
+            this.seek(this.getProgressFromEvent(e));
+        });
+
+        this.track.addEventListener('pointermove', (e) => {
+            if (!this.dragging) return;
+            this.dragging.progress = this.getProgressFromEvent(e);
+            this.commit();
+        });
+
+        this.track.addEventListener('pointerup', () => {
+            this.dragging = null;
+        });
+
+        this.editor.querySelectorAll('[data-field]').forEach(input => {
+            input.addEventListener('change', () => this.readEditor());
+        });
+    }
+
+    getProgressFromEvent(e) {
+        const rect = this.track.getBoundingClientRect();
+        return Math.max(0, Math.min(1, (e.clientX - rect.left) / rect.width));
+    }
+
+    setAnimation(animation) {
+        this.animation = animation;
+        this.keyframes = animation ? animation.keyframes.map(k => ({ ...k })) : [];
+        this.select(null);
+        this.setProgress(0);
+        this.render();
+    }
+
+    setProgress(progress) {
+        this.progress = progress;
+        this.playhead.style.left = (progress * 100) + '%';
+    }
+
+    seek(progress) {
+        this.setProgress(progress);
+        if (this.onSeek) {
+            this.onSeek(progress);
+        }
+    }
+
+    // New keyframes start from whatever the camera is doing at that position
+    addKeyframe(progress) {
+        if (!this.animation) return;
+
+        const settings = this.animation.getCameraSettings(progress);
+        const mode = settings.blendMode && settings.blend >= 0.5 ? settings.blendMode : settings.mode;
+        const keyframe = {
+            progress,
+            mode,
+            altitude: Math.round(settings.altitude),
+            pitch: Math.round(settings.pitch),
+            distance: Math.round(settings.distance),
+            bearingOffset: Math.round(settings.bearingOffset),
+            easing: 'easeInOut'
+        };
+
+        this.keyframes.push(keyframe);
+        this.select(keyframe);
+        this.commit();
+    }
+
+    deleteKeyframe(keyframe) {
+        if (!keyframe) return;
+        this.keyframes = this.keyframes.filter(k => k !== keyframe);
+        this.select(null);
+        this.commit();
+    }
+
+    select(keyframe) {
+        this.selected = keyframe;
+        this.editor.classList.toggle('hidden', !keyframe);
+        this.deleteButton.disabled = !keyframe;
+        if (keyframe) {
+            this.writeEditor(keyframe);
+        }
+        this.render();
+    }
+
+    writeEditor(keyframe) {
+        this.editor.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            input.value = field === 'progress' ? (keyframe.progress * 100).toFixed(1) : keyframe[field];
+        });
+    }
+
+    readEditor() {
+        const keyframe = this.selected;
+        if (!keyframe) return;
+
+        this.editor.querySelectorAll('[data-field]').forEach(input => {
+            const field = input.dataset.field;
+            if (field === 'mode' || field === 'easing') {
+                keyframe[field] = input.value;
+            } else if (field === 'progress') {
+                keyframe.progress = Math.max(0, Math.min(1, (parseFloat(input.value) || 0) / 100));
+            } else {
+                keyframe[field] = parseFloat(input.value) || 0;
+            }
+        });
+
+        this.commit();
+    }
+
+    // Push keyframes to the animation and redraw
+    commit() {
+        this.keyframes.sort((a, b) => a.progress - b.progress);
+        if (this.animation) {
+            this.animation.setKeyframes(this.keyframes);
+        }
+        if (this.selected) {
+            this.writeEditor(this.selected);
+        }
+        this.render();
+        if (this.onChange) {
+            this.onChange(this.keyframes);
+        }
+    }
+
+    render() {
+        this.track.querySelectorAll('.timeline-keyframe').forEach(el => el.remove());
+
+        this.keyframes.forEach((keyframe, index) => {
+            const marker = document.createElement('div');
+            marker.className = 'timeline-keyframe';
+            marker.classList.toggle('selected', keyframe === this.selected);
+            marker.dataset.index = index;
+            marker.style.left = (keyframe.progress * 100) + '%';
+            marker.title = `${keyframe.mode} @ ${(keyframe.progress * 100).toFixed(1)}%`;
+            this.track.appendChild(marker);
+        });
+
+        this.clearButton.disabled = this.keyframes.length === 0;
+        this.container.classList.toggle('has-keyframes', this.keyframes.length > 0);
+    }
+
+    show(visible = true) {
+        this.container.classList.toggle('hidden', !visible);
+    }
+}
+
+// Export for use in other modules
+window.CameraTimeline = CameraTimeline;
@@ -0,0 +1,105 @@
+// View links: the track's URL, map style, camera and position as URL hash parameters
+// (#track=...&style=...&mode=...&progress=...), so a link or an embed opens the same view
+class ViewState {
+    constructor() {
+        // Hash parameter -> 'string' or 'number'
+        this.fields = {
+            track: 'string', // URL of a track file or saved project
+            style: 'string',
+            mode: 'string',
+            progress: 'number',
+            speed: 'number',
+            altitude: 'number',
+            pitch: 'number'
+        };
+
+        this.trackImporter = new TrackImporter();
+        this.projectFile = new ProjectFile();
+    }
+
+    // The view in a hash; parameters that are missing or unreadable are left out
+    parse(hash = window.location.hash) {
+        const params = new URLSearchParams(hash.replace(/^#/, ''));
+        const state = {};
+        for (const [name, type] of Object.entries(this.fields)) {
+            const value = params.get(name);
+            if (value === null || value === '') continue;
+            if (type === 'number') {
+                const number = parseFloat(value);
+                if (isFinite(number)) {
+                    state[name] = number;
+                }
+            } else {
+                state[name] = value;
+            }
+        }
+        return state;
+    }
+
+    serialize(state) {
+        const params = new URLSearchParams();
+        for (const name of Object.keys(this.fields)) {
+            if (state[name] !== undefined && state[name] !== null) {
+                params.set(name, state[name]);
+            }
+        }
+        return '#' + params.toString();
+    }
+
+    // The view shown by a map and its flyover
+    capture(trackUrl, gpxMap, animation) {
+        return {
+            track: trackUrl,
+            style: gpxMap.currentStyle,
+            mode: animation.mode,
+            progress: Math.round(animation.progress * 10000) / 10000,
+            speed: animation.speed,
+            altitude: animation.cameraAltitude,
+            pitch: animation.cameraPitch
+        };
+    }
+
+    // Camera settings from a view (the position is up to the caller: seek or start there)
+    applyCamera(animation, state) {
+        if (state.mode !== undefined && state.mode in animation.poseBuilders) {
+            animation.setMode(state.mode);
+        }
+        if (state.speed !== undefined) {
+            animation.setSpeed(state.speed);
+        }
+        if (state.altitude !== undefined) {
+            animation.setCameraAltitude(state.altitude);
+        }
+        if (state.pitch !== undefined) {
+            animation.setCameraPitch(state.pitch);
+        }
+    }
+
+    // Fetch the linked file: { trackData, project }, project being null for a plain track file.
+    // Files on other sites need to allow cross-origin requests (CORS)
+    async loadTrack(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Could not fetch ${url} (${response.status})`);
+        }
+
+        const name = decodeURIComponent(new URL(url, window.location.href).pathname.split('/').pop()) || 'track.gpx';
+        const file = new File([await response.blob()], name);
+        if (this.projectFile.isProjectFile(name)) {
+            const project = await this.projectFile.parse(file);
+            return { trackData: project.trackData, project };
+        }
+        if (!this.trackImporter.isSupported(name)) {
+            throw new Error(`${name} is not a GPX, TCX, KML, KMZ or FIT file, or a saved project`);
+        }
+        return { trackData: await this.trackImporter.parseFile(file), project: null };
+    }
+
+    // Link to the embeddable player for a view, next to the app's own page
+    getEmbedUrl(state) {
+        return new URL('embed' + this.serialize(state), window.location.href).href;
+    }
+}
+
+// Export for use in other modules
+window.ViewState = ViewState;